@@ -0,0 +1,602 @@
+// OneShot.pro Progress Analytics
+// Cross-session trends computed from stored history
+// getProgress() follows the shape of GET /analytics/progress in the API spec
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProgressAnalytics {
+    /**
+     * @param {Array} sessions - stored session records
+     * @param {Array} shots - stored shot summaries (any sessions)
+     * @param {number} now - reference time in ms (for period windows and streaks)
+     */
+    constructor(sessions, shots, now = Date.now()) {
+        this.sessions = sessions;
+        this.shots = shots.slice().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.now = now;
+    }
+
+    /**
+     * Start of the day or ISO week (Monday) containing timestamp, in local time
+     */
+    static bucketStart(timestamp, bucket) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        if (bucket === 'week') {
+            const dayOfWeek = (date.getDay() + 6) % 7;
+            date.setDate(date.getDate() - dayOfWeek);
+        }
+        return date.getTime();
+    }
+
+    // Least-squares slope of y over x
+    static slope(points) {
+        if (points.length < 2) return 0;
+
+        const n = points.length;
+        const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+        const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+        const num = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+        const den = points.reduce((sum, p) => sum + (p.x - meanX) * (p.x - meanX), 0);
+        return den === 0 ? 0 : num / den;
+    }
+
+    getShotsInPeriod(period) {
+        const days = CONFIG.analytics.periods[period] || CONFIG.analytics.periods.month;
+        const since = this.now - days * DAY_MS;
+        return this.shots.filter(shot => new Date(shot.timestamp).getTime() >= since);
+    }
+
+    // Recorded arrows in the period, linked to the form of their shots
+    getArrowAnalysis(period = 'month') {
+        return new ArrowAnalysis(this.getShotsInPeriod(period));
+    }
+
+    /**
+     * Headline progress numbers for a period (week | month | year)
+     */
+    getProgress(period = 'month') {
+        const shots = this.getShotsInPeriod(period);
+        const scores = shots.map(s => s.overallScore);
+        const averageScore = scores.length > 0
+            ? scores.reduce((a, b) => a + b, 0) / scores.length
+            : 0;
+
+        // Score change per week across the period
+        const points = shots.map(shot => ({
+            x: new Date(shot.timestamp).getTime() / DAY_MS,
+            y: shot.overallScore
+        }));
+
+        return {
+            averageScore: parseFloat(averageScore.toFixed(1)),
+            improvementRate: parseFloat((ProgressAnalytics.slope(points) * 7).toFixed(1)),
+            totalShots: shots.length,
+            streak: this.getStreak(),
+            errorTrends: this.getErrorTrends(period, 'week')
+        };
+    }
+
+    /**
+     * Consecutive days with at least one shot, ending today (or yesterday)
+     */
+    getStreak() {
+        const days = new Set(this.shots.map(shot => ProgressAnalytics.bucketStart(shot.timestamp, 'day')));
+        let day = ProgressAnalytics.bucketStart(this.now, 'day');
+        if (!days.has(day)) day -= DAY_MS;
+
+        let streak = 0;
+        while (days.has(day)) {
+            streak++;
+            day = ProgressAnalytics.bucketStart(day - DAY_MS / 2, 'day');
+        }
+        return streak;
+    }
+
+    /**
+     * Average and best score for each session in the period, oldest first
+     */
+    getSessionScores(period = 'month') {
+        const shots = this.getShotsInPeriod(period);
+        const bySession = {};
+        shots.forEach(shot => {
+            if (!bySession[shot.sessionId]) bySession[shot.sessionId] = [];
+            bySession[shot.sessionId].push(shot.overallScore);
+        });
+
+        return this.sessions
+            .filter(session => bySession[session.id])
+            .map(session => {
+                const scores = bySession[session.id];
+                return {
+                    sessionId: session.id,
+                    startTime: session.startTime,
+                    shotCount: scores.length,
+                    averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+                    bestScore: Math.max(...scores)
+                };
+            })
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+
+    /**
+     * Per-metric mean per day/week bucket
+     * @returns {Object} { [metricKey]: [{ date, mean, count }] }
+     */
+    getMetricTrends(period = 'month', bucket = 'day') {
+        const shots = this.getShotsInPeriod(period);
+        const trends = {};
+
+        metricRegistry.metricKeys().forEach(key => {
+            const buckets = new Map();
+            shots.forEach(shot => {
+                const value = shot.metrics[key];
+                if (!Number.isFinite(value)) return;
+                const start = ProgressAnalytics.bucketStart(shot.timestamp, bucket);
+                if (!buckets.has(start)) buckets.set(start, []);
+                buckets.get(start).push(value);
+            });
+
+            trends[key] = Array.from(buckets.entries())
+                .sort((a, b) => a[0] - b[0])
+                .map(([date, values]) => ({
+                    date,
+                    mean: values.reduce((a, b) => a + b, 0) / values.length,
+                    count: values.length
+                }));
+        });
+
+        return trends;
+    }
+
+    /**
+     * How often each error occurs per bucket (count and share of shots)
+     * @returns {Object} { [checkKey]: [{ date, count, rate }] }
+     */
+    getErrorTrends(period = 'month', bucket = 'week') {
+        const shots = this.getShotsInPeriod(period);
+        const shotsPerBucket = new Map();
+        const errorCounts = {};
+
+        shots.forEach(shot => {
+            const start = ProgressAnalytics.bucketStart(shot.timestamp, bucket);
+            shotsPerBucket.set(start, (shotsPerBucket.get(start) || 0) + 1);
+
+            shot.errors.forEach(error => {
+                const key = MetricRegistry.errorKey(error);
+                if (!errorCounts[key]) errorCounts[key] = new Map();
+                const counts = errorCounts[key];
+                counts.set(start, (counts.get(start) || 0) + 1);
+            });
+        });
+
+        const dates = Array.from(shotsPerBucket.keys()).sort((a, b) => a - b);
+        const trends = {};
+        Object.entries(errorCounts).forEach(([key, counts]) => {
+            trends[key] = dates.map(date => {
+                const count = counts.get(date) || 0;
+                return { date, count, rate: count / shotsPerBucket.get(date) };
+            });
+        });
+
+        return trends;
+    }
+}
+
+// Minimal canvas charts for the dashboard
+const TrendChart = {
+    padding: { top: 16, right: 16, bottom: 28, left: 44 },
+
+    // Size the backing store for crisp lines on HiDPI screens
+    prepare(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    },
+
+    drawAxes(ctx, width, height, yMin, yMax, formatY) {
+        const pad = this.padding;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i <= 4; i++) {
+            const value = yMin + (yMax - yMin) * (i / 4);
+            const y = height - pad.bottom - (height - pad.top - pad.bottom) * (i / 4);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y);
+            ctx.lineTo(width - pad.right, y);
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.fillText(formatY(value), pad.left - 6, y + 4);
+        }
+    },
+
+    drawEmpty(canvas, message = i18n.t('analytics.notEnoughData')) {
+        const { ctx, width, height } = this.prepare(canvas);
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '13px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(message, width / 2, height / 2);
+    },
+
+    /**
+     * Time-series line chart
+     * @param {Array} series - [{ label, color, points: [{ x: ms, y }] }]
+     * @param {Object} options - { yMin, yMax, formatY, guides: [{ y, color }] }
+     */
+    drawLines(canvas, series, options = {}) {
+        const allPoints = series.flatMap(s => s.points);
+        if (allPoints.length === 0) {
+            this.drawEmpty(canvas);
+            return;
+        }
+
+        const { ctx, width, height } = this.prepare(canvas);
+        const pad = this.padding;
+        const guides = options.guides || [];
+        const formatY = options.formatY || (v => v.toFixed(0));
+
+        const ys = allPoints.map(p => p.y).concat(guides.map(g => g.y));
+        let yMin = options.yMin !== undefined ? options.yMin : Math.min(...ys);
+        let yMax = options.yMax !== undefined ? options.yMax : Math.max(...ys);
+        if (yMax === yMin) {
+            yMax += 1;
+            yMin -= 1;
+        }
+
+        const xs = allPoints.map(p => p.x);
+        const xMin = Math.min(...xs);
+        const xMax = Math.max(...xs);
+
+        const toX = x => xMax === xMin
+            ? (pad.left + width - pad.right) / 2
+            : pad.left + (x - xMin) / (xMax - xMin) * (width - pad.left - pad.right);
+        const toY = y => height - pad.bottom - (y - yMin) / (yMax - yMin) * (height - pad.top - pad.bottom);
+
+        this.drawAxes(ctx, width, height, yMin, yMax, formatY);
+
+        // Threshold guides
+        guides.forEach(guide => {
+            ctx.strokeStyle = guide.color || 'rgba(239, 68, 68, 0.6)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, toY(guide.y));
+            ctx.lineTo(width - pad.right, toY(guide.y));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+
+        // Date labels at both ends
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'left';
+        ctx.fillText(new Date(xMin).toLocaleDateString(i18n.locale), pad.left, height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(xMax).toLocaleDateString(i18n.locale), width - pad.right, height - 8);
+
+        series.forEach(s => {
+            ctx.strokeStyle = s.color;
+            ctx.fillStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+                else ctx.lineTo(toX(p.x), toY(p.y));
+            });
+            ctx.stroke();
+
+            s.points.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(toX(p.x), toY(p.y), 3, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+    },
+
+    /**
+     * Grouped bar chart
+     * @param {Array} groups - [{ label, values: [number] }]
+     * @param {Array} colors - one color per value in a group
+     */
+    drawBars(canvas, groups, colors, options = {}) {
+        if (groups.length === 0) {
+            this.drawEmpty(canvas);
+            return;
+        }
+
+        const { ctx, width, height } = this.prepare(canvas);
+        const pad = this.padding;
+        const yMax = options.yMax || Math.max(...groups.flatMap(g => g.values), 1);
+        const formatY = options.formatY || (v => v.toFixed(0));
+
+        this.drawAxes(ctx, width, height, 0, yMax, formatY);
+
+        const groupWidth = (width - pad.left - pad.right) / groups.length;
+        const barWidth = Math.min(24, groupWidth * 0.8 / colors.length);
+
+        groups.forEach((group, gi) => {
+            const groupX = pad.left + gi * groupWidth + (groupWidth - barWidth * colors.length) / 2;
+            group.values.forEach((value, vi) => {
+                const barHeight = value / yMax * (height - pad.top - pad.bottom);
+                ctx.fillStyle = colors[vi];
+                ctx.fillRect(groupX + vi * barWidth, height - pad.bottom - barHeight, barWidth - 2, barHeight);
+            });
+
+            if (groups.length <= 12) {
+                ctx.fillStyle = '#94a3b8';
+                ctx.textAlign = 'center';
+                ctx.fillText(group.label, pad.left + gi * groupWidth + groupWidth / 2, height - 8);
+            }
+        });
+    }
+};
+
+class AnalyticsDashboard {
+    /**
+     * @param {ShotStorage} storage - local history
+     * @param {boolean} advanced - tier includes advanced_analytics (year view, metric trends)
+     */
+    constructor(storage, advanced = true) {
+        this.storage = storage;
+        this.advanced = advanced;
+        this.sessions = [];
+        this.shots = [];
+        this.period = 'month';
+        this.bucket = 'day';
+        this.seriesColors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16', '#f97316'];
+    }
+
+    async initialize() {
+        try {
+            this.sessions = await this.storage.getSessions();
+            this.shots = await this.storage.getAllShots();
+        } catch (error) {
+            console.error('Could not load history:', error);
+            this.showMessage(i18n.t('analytics.unavailable'));
+            return;
+        }
+
+        if (this.shots.length === 0) {
+            this.showMessage(i18n.t('analytics.noShots'));
+            return;
+        }
+
+        this.applyFeatureGates();
+        this.render();
+        window.addEventListener('resize', Utils.debounce(() => this.render(), 200));
+    }
+
+    applyFeatureGates() {
+        if (this.advanced) return;
+
+        const yearOption = document.querySelector('#periodSelect option[value="year"]');
+        if (yearOption) {
+            yearOption.disabled = true;
+            yearOption.textContent += ' (Pro)';
+        }
+        ['metricUpgrade', 'arrowUpgrade'].forEach(id => {
+            const note = document.getElementById(id);
+            if (note) note.hidden = false;
+        });
+    }
+
+    setPeriod(period) {
+        if (!this.advanced && period === 'year') return;
+        this.period = period;
+        this.render();
+    }
+
+    setBucket(bucket) {
+        this.bucket = bucket;
+        this.render();
+    }
+
+    showMessage(message) {
+        const container = document.getElementById('analyticsMessage');
+        if (container) {
+            container.textContent = message;
+            container.hidden = false;
+        }
+        const content = document.getElementById('analyticsContent');
+        if (content) content.hidden = true;
+    }
+
+    render() {
+        const analytics = new ProgressAnalytics(this.sessions, this.shots);
+
+        this.renderSummary(analytics.getProgress(this.period));
+        this.renderSessionChart(analytics.getSessionScores(this.period));
+        if (this.advanced) {
+            this.renderMetricCharts(analytics.getMetricTrends(this.period, this.bucket));
+        }
+        this.renderErrorChart(analytics.getErrorTrends(this.period, this.bucket));
+        this.renderArrows(analytics.getArrowAnalysis(this.period));
+    }
+
+    renderSummary(progress) {
+        const set = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        const sign = progress.improvementRate > 0 ? '+' : '';
+
+        set('statAverage', `${i18n.formatNumber(progress.averageScore, 1, 0)}%`);
+        set('statImprovement', i18n.t('analytics.perWeek', {
+            rate: `${sign}${i18n.formatNumber(progress.improvementRate, 1, 0)}`
+        }));
+        set('statShots', i18n.formatNumber(progress.totalShots));
+        set('statStreak', i18n.t('analytics.days', { count: progress.streak }));
+    }
+
+    renderSessionChart(sessionScores) {
+        const canvas = document.getElementById('sessionChart');
+        if (!canvas) return;
+
+        const groups = sessionScores.map(s => ({
+            label: new Date(s.startTime).toLocaleDateString(i18n.locale, { month: 'short', day: 'numeric' }),
+            values: [s.averageScore, s.bestScore]
+        }));
+        TrendChart.drawBars(canvas, groups, ['#3b82f6', '#10b981'], { yMax: 100 });
+    }
+
+    renderMetricCharts(trends) {
+        const container = document.getElementById('metricCharts');
+        if (!container) return;
+
+        const thresholds = metricRegistry.baseThresholds();
+        const metrics = metricRegistry.poseMetrics();
+
+        container.innerHTML = metrics.map(metric => {
+            const threshold = thresholds[metric.thresholdKey];
+            return `
+                <div class="chart-card">
+                    <h4>${metricRegistry.name(metric, threshold)}</h4>
+                    <canvas class="chart-canvas small" id="metricChart-${metric.metricKey}"></canvas>
+                </div>
+            `;
+        }).join('');
+
+        metrics.forEach(metric => {
+            const key = metric.metricKey;
+            const threshold = thresholds[metric.thresholdKey];
+            const canvas = document.getElementById(`metricChart-${key}`);
+            const digits = threshold.unit === 'ratio' ? 2 : 0;
+
+            // Pass band edges as guides
+            const guides = threshold.target !== undefined
+                ? [{ y: threshold.target - threshold.tolerance }, { y: threshold.target + threshold.tolerance }]
+                : [{ y: threshold.max }];
+
+            TrendChart.drawLines(canvas, [{
+                label: metricRegistry.name(metric, threshold),
+                color: '#3b82f6',
+                points: trends[key].map(p => ({ x: p.date, y: p.mean }))
+            }], {
+                guides,
+                formatY: v => i18n.formatNumber(v, digits)
+            });
+        });
+    }
+
+    renderErrorChart(errorTrends) {
+        const canvas = document.getElementById('errorChart');
+        const legend = document.getElementById('errorLegend');
+        if (!canvas) return;
+
+        const series = Object.entries(errorTrends).map(([key, points], index) => ({
+            label: Utils.escapeHtml(metricRegistry.checkName(key)),
+            color: this.seriesColors[index % this.seriesColors.length],
+            points: points.map(p => ({ x: p.date, y: p.rate * 100 }))
+        }));
+
+        TrendChart.drawLines(canvas, series, { yMin: 0, yMax: 100, formatY: v => `${v.toFixed(0)}%` });
+
+        if (legend) {
+            legend.innerHTML = series.length > 0
+                ? series.map(s => `<span class="legend-item"><i style="background:${s.color}"></i>${s.label}</span>`).join('')
+                : `<span class="muted">${i18n.t('analytics.noErrors')}</span>`;
+        }
+    }
+
+    renderArrows(arrowAnalysis) {
+        const plot = document.getElementById('arrowPlot');
+        const summaryText = document.getElementById('arrowSummary');
+        if (!plot) return;
+
+        const summary = arrowAnalysis.getSummary();
+        if (summary.arrows === 0) {
+            plot.innerHTML = `<p class="muted">${i18n.t('arrows.noArrows')}</p>`;
+            if (summaryText) summaryText.textContent = '';
+            this.renderArrowInsights([]);
+            return;
+        }
+
+        // Arrows from different faces share the most used one, kept in ring widths
+        const arrows = arrowAnalysis.shots.map(shot => shot.arrow);
+        const face = TargetFace.commonFace(arrows);
+        plot.innerHTML = TargetFace.svg(face, arrows
+            .filter(TargetFace.hasImpact)
+            .map(arrow => (arrow.targetFace === face ? arrow : TargetFace.convert(arrow, face))));
+
+        if (summaryText) {
+            summaryText.textContent = i18n.t('arrows.summary', {
+                count: summary.arrows,
+                average: i18n.formatNumber(summary.average, 1, 1),
+                x: summary.xCount,
+                misses: summary.misses
+            });
+        }
+
+        if (this.advanced) {
+            this.renderArrowInsights(AnalyticsDashboard.arrowInsights(arrowAnalysis));
+        }
+    }
+
+    // Sentences for miss patterns first, then the checks that track the arrow score
+    static arrowInsights(arrowAnalysis) {
+        const checkName = key => {
+            const metric = metricRegistry.get(key);
+            return metric ? metricRegistry.name(metric) : key;
+        };
+
+        return [
+            ...arrowAnalysis.getMissPatterns().map(pattern => i18n.t('arrows.missPattern', {
+                direction: i18n.t(`arrows.directions.${pattern.direction}`),
+                check: checkName(pattern.key),
+                op: pattern.op,
+                value: MetricRegistry.format(pattern.cutoff, pattern.unit),
+                count: pattern.count,
+                total: pattern.total
+            })),
+            ...arrowAnalysis.getScoreLinks().slice(0, 2).map(link => i18n.t('arrows.scoreLink', {
+                check: checkName(link.key),
+                r: i18n.formatNumber(link.r, 2, 2)
+            }))
+        ];
+    }
+
+    renderArrowInsights(insights) {
+        const list = document.getElementById('arrowInsights');
+        if (!list || !this.advanced) return;
+
+        list.innerHTML = insights.length > 0
+            ? insights.map(text => `<li>${text}</li>`).join('')
+            : `<li class="muted">${i18n.t('arrows.noInsights', { count: CONFIG.targets.minShots })}</li>`;
+    }
+}
+
+let dashboard;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', async () => {
+        if (!document.getElementById('analyticsContent')) return;
+        const apiClient = new ApiClient();
+        dashboard = new AnalyticsDashboard(new ShotStorage(), apiClient.hasFeature('advanced_analytics'));
+        await dashboard.initialize();
+    });
+}
+
+function setAnalyticsPeriod(period) {
+    if (dashboard) {
+        dashboard.setPeriod(period);
+    }
+}
+
+function setAnalyticsBucket(bucket) {
+    if (dashboard) {
+        dashboard.setBucket(bucket);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressAnalytics, TrendChart, AnalyticsDashboard };
+}
@@ -0,0 +1,467 @@
+// OneShot.pro API Client
+// REST client for the backend described in oneshot_api_spec.txt:
+// JWT auth, session/shot sync and an offline queue for writes
+
+class ApiError extends Error {
+    constructor(status, message, code = null, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;   // 0 when the server could not be reached
+        this.code = code;
+        this.details = details;
+    }
+
+    // Network failures, timeouts and server-side errors are worth retrying
+    get retryable() {
+        return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+class ApiClient {
+    constructor(apiConfig = CONFIG.api, store = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.config = apiConfig;
+        this.endpoints = apiConfig.endpoints;
+        this.store = store;
+        this.keys = CONFIG.storage;
+
+        // Signed-in account: { token, user }
+        const account = this.read(this.keys.userProfile) || {};
+        this.token = account.token || null;
+        this.user = account.user || null;
+
+        // Pending writes, oldest first, and local → server session ids
+        this.queue = this.read(this.keys.syncQueue) || [];
+        this.remoteIds = this.read(this.keys.syncIds) || {};
+        this.flushing = null;
+        this.retryTimer = null;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+
+    // --- Persistence (localStorage, JSON encoded) ---
+
+    read(key) {
+        if (!this.store) return null;
+        try {
+            const value = this.store.getItem(key);
+            return value === null ? null : JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (!this.store) return;
+        if (value === null) {
+            this.store.removeItem(key);
+        } else {
+            this.store.setItem(key, JSON.stringify(value));
+        }
+    }
+
+    // --- Authentication ---
+
+    /**
+     * Decode the payload of a JWT without verifying it (the server does that)
+     */
+    static decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isAuthenticated() {
+        if (!this.token) return false;
+        const payload = ApiClient.decodeToken(this.token);
+        return !!payload && (!payload.exp || payload.exp * 1000 > Date.now());
+    }
+
+    getUser() {
+        return this.isAuthenticated() ? this.user : null;
+    }
+
+    /**
+     * Subscription tier key; signed-out users are on the free tier
+     */
+    getTier() {
+        const user = this.getUser();
+        return user && CONFIG.tiers[user.tier] ? user.tier : 'free';
+    }
+
+    getTierConfig() {
+        return CONFIG.tiers[this.getTier()];
+    }
+
+    hasFeature(feature) {
+        return ApiClient.tierHasFeature(this.getTier(), feature);
+    }
+
+    /**
+     * Whether a tier includes a feature; 'all_pro' grants everything Pro has
+     */
+    static tierHasFeature(tier, feature) {
+        const features = CONFIG.tiers[tier] ? CONFIG.tiers[tier].features : [];
+        if (features.includes(feature)) return true;
+        return features.includes('all_pro') && CONFIG.tiers.pro.features.includes(feature);
+    }
+
+    setAuth(token, user) {
+        this.token = token;
+        this.user = user;
+        this.write(this.keys.userProfile, token ? { token, user } : null);
+    }
+
+    clearAuth() {
+        this.setAuth(null, null);
+    }
+
+    async login(email, password) {
+        const result = await this.request('POST', `${this.endpoints.auth}/login`, { email, password }, { auth: false });
+        this.setAuth(result.token, result.user);
+        this.flush();
+        return result.user;
+    }
+
+    async register(name, email, password) {
+        const result = await this.request('POST', `${this.endpoints.auth}/register`, { name, email, password }, { auth: false });
+        this.setAuth(result.token, result.user);
+        return result.user;
+    }
+
+    /**
+     * Sign out and drop anything still waiting to sync for this account
+     */
+    logout() {
+        this.clearAuth();
+        this.queue = [];
+        this.remoteIds = {};
+        this.write(this.keys.syncQueue, null);
+        this.write(this.keys.syncIds, null);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    // --- HTTP ---
+
+    /**
+     * Send a JSON request and return the parsed body.
+     * Throws ApiError; status 0 means the request never reached the server.
+     */
+    async request(method, path, body = null, options = {}) {
+        const useAuth = options.auth !== false;
+        const headers = { 'Accept': 'application/json' };
+
+        if (body !== null) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (useAuth) {
+            if (!this.isAuthenticated()) {
+                throw new ApiError(401, 'Not signed in', 'unauthenticated');
+            }
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.config.baseUrl + path, {
+                method,
+                headers,
+                body: body !== null ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new ApiError(0, 'Server unreachable', 'network_error');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = null;
+        }
+
+        if (!response.ok) {
+            if (response.status === 401 && useAuth) {
+                this.clearAuth();
+            }
+            const message = (data && data.message) || response.statusText || `HTTP ${response.status}`;
+            throw new ApiError(response.status, message, data && data.code, data && data.details);
+        }
+
+        return data;
+    }
+
+    // --- Reads ---
+
+    getProfile(userId = this.user && this.user.id) {
+        return this.request('GET', `${this.endpoints.users}/${userId}`);
+    }
+
+    /**
+     * Re-fetch the signed-in user so tier changes apply without a new login
+     */
+    async refreshUser() {
+        if (!this.isAuthenticated()) return null;
+        const user = await this.getProfile();
+        this.setAuth(this.token, user);
+        return user;
+    }
+
+    async updateProfile(profile) {
+        const user = await this.request('PUT', `${this.endpoints.users}/${this.user.id}`, profile);
+        this.setAuth(this.token, user);
+        return user;
+    }
+
+    /**
+     * @param {string} userId - a student's id when a coach is reading (default: own sessions)
+     */
+    getSessions(limit = 20, offset = 0, userId = null) {
+        const student = userId ? `&userId=${encodeURIComponent(userId)}` : '';
+        return this.request('GET', `${this.endpoints.sessions}?limit=${limit}&offset=${offset}${student}`);
+    }
+
+    getSession(sessionId) {
+        return this.request('GET', `${this.endpoints.sessions}/${sessionId}`);
+    }
+
+    getSessionShots(sessionId) {
+        return this.request('GET', `${this.endpoints.sessions}/${sessionId}/shots`);
+    }
+
+    getProgress(period = 'month', userId = null) {
+        const student = userId ? `&userId=${encodeURIComponent(userId)}` : '';
+        return this.request('GET', `${this.endpoints.analytics}/progress?period=${period}${student}`);
+    }
+
+    // --- Coaching ---
+
+    /**
+     * Whether the signed-in account has a coach profile and the tier for it
+     */
+    isCoach() {
+        const user = this.getUser();
+        return !!(user && user.coachId) && this.hasFeature('coach_tools');
+    }
+
+    getStudents(coachId = this.user && this.user.coachId) {
+        return this.request('GET', `${this.endpoints.coaches}/${coachId}/students`);
+    }
+
+    // --- Clubs ---
+
+    /**
+     * Team stats for the signed-in member's club
+     * @param {Object} filters - { bowType, experience }; empty values match every member
+     */
+    getClubDashboard(period = 'month', filters = {}, clubId = this.user && this.user.clubId) {
+        const params = new URLSearchParams({ period });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return this.request('GET', `${this.endpoints.clubs}/${clubId}/dashboard?${params}`);
+    }
+
+    // Coach comments on a shot, oldest first; visible to the archer and their coaches
+    getShotComments(shotId) {
+        return this.request('GET', `${this.endpoints.shots}/${shotId}/comments`);
+    }
+
+    // Sent straight away rather than queued: the coach is reviewing online
+    addShotComment(shotId, text) {
+        return this.request('POST', `${this.endpoints.shots}/${shotId}/comments`, { text });
+    }
+
+    // --- Writes (queued, delivered in order) ---
+
+    /**
+     * Queue an archer profile update when the setup form differs from the
+     * server's copy (club dashboards filter members on it)
+     */
+    syncProfile(userConfig) {
+        const profile = (this.user && this.user.profile) || {};
+        const changes = {
+            bowType: userConfig.bowType,
+            hand: userConfig.hand,
+            experience: userConfig.experience
+        };
+        if (Object.keys(changes).every(key => profile[key] === changes[key])) {
+            return Promise.resolve();
+        }
+        return this.enqueue({ type: 'updateProfile', body: changes });
+    }
+
+    /**
+     * Queue creation of a local session on the server.
+     * Writes are only queued while signed in.
+     */
+    syncSessionStart(session) {
+        return this.enqueue({
+            type: 'createSession',
+            sessionId: session.id,
+            body: { targetDistance: session.targetDistance, round: session.round }
+        });
+    }
+
+    syncShot(shot) {
+        return this.enqueue({
+            type: 'postShot',
+            sessionId: shot.sessionId,
+            body: ApiClient.toShotPayload(shot)
+        });
+    }
+
+    // Arrows are usually entered after the end, once the shot has been posted; null clears it
+    syncArrow(shot) {
+        return this.enqueue({
+            type: 'updateShot',
+            shotId: shot.id,
+            body: { arrow: shot.arrow || null }
+        });
+    }
+
+    syncSessionEnd(session) {
+        return this.enqueue({
+            type: 'endSession',
+            sessionId: session.id,
+            body: { endTime: session.endTime }
+        });
+    }
+
+    enqueue(entry) {
+        if (!this.isAuthenticated()) return Promise.resolve();
+
+        this.queue.push({ ...entry, attempts: 0 });
+        this.write(this.keys.syncQueue, this.queue);
+        return this.flush();
+    }
+
+    getPendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Deliver queued writes; concurrent calls share one pass
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drainQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drainQueue() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        while (this.queue.length > 0 && this.isAuthenticated()) {
+            const entry = this.queue[0];
+
+            try {
+                await this.send(entry);
+            } catch (error) {
+                // Signed out underneath us: keep the entry for the next login
+                if (error.status === 401) return;
+
+                if (error.retryable && entry.attempts + 1 < this.config.retry.maxAttempts) {
+                    entry.attempts++;
+                    this.write(this.keys.syncQueue, this.queue);
+                    this.scheduleRetry(entry.attempts);
+                    return;
+                }
+                console.warn(`Dropping ${entry.type} after ${entry.attempts + 1} attempt(s):`, error);
+            }
+
+            this.queue.shift();
+            this.write(this.keys.syncQueue, this.queue);
+        }
+    }
+
+    scheduleRetry(attempts) {
+        const delay = Math.min(this.config.retry.baseDelay * Math.pow(2, attempts - 1), this.config.retry.maxDelay);
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    async send(entry) {
+        if (entry.type === 'updateProfile') {
+            await this.updateProfile(entry.body);
+            return;
+        }
+
+        // Shot ids are chosen here, so no server session id is needed
+        if (entry.type === 'updateShot') {
+            await this.request('PATCH', `${this.endpoints.shots}/${entry.shotId}`, entry.body);
+            return;
+        }
+
+        if (entry.type === 'createSession') {
+            const session = await this.request('POST', this.endpoints.sessions, entry.body);
+            this.remoteIds[entry.sessionId] = session.id;
+            this.write(this.keys.syncIds, this.remoteIds);
+            return;
+        }
+
+        const remoteId = this.remoteIds[entry.sessionId];
+        if (!remoteId) {
+            throw new ApiError(409, `Session ${entry.sessionId} was never created on the server`, 'unknown_session');
+        }
+
+        if (entry.type === 'postShot') {
+            await this.request('POST', this.endpoints.shots, { ...entry.body, sessionId: remoteId });
+        } else if (entry.type === 'endSession') {
+            await this.request('PATCH', `${this.endpoints.sessions}/${remoteId}`, entry.body);
+            delete this.remoteIds[entry.sessionId];
+            this.write(this.keys.syncIds, this.remoteIds);
+        }
+    }
+
+    /**
+     * Map a captured shot summary onto the spec's Shot schema
+     */
+    static toShotPayload(shot) {
+        const poseMetrics = {};
+        metricRegistry.metricKeys().concat(['shoulderWidthPx', 'confidence']).forEach(key => {
+            if (shot.metrics[key] !== undefined) poseMetrics[key] = shot.metrics[key];
+        });
+
+        return {
+            id: shot.id,
+            timestamp: shot.timestamp,
+            sequenceNumber: shot.sequenceNumber,
+            end: shot.end,
+            arrowNumber: shot.arrowNumber,
+            poseMetrics,
+            errors: shot.errors.map(error => ({
+                type: MetricRegistry.errorKey(error),
+                severity: error.severity,
+                description: error.description,
+                value: error.value,
+                threshold: error.threshold
+            })),
+            feedback: {
+                text: shot.feedback.detail,
+                type: shot.feedback.type
+            },
+            arrow: shot.arrow,
+            score: shot.overallScore
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, ApiError };
+}
@@ -6,14 +6,42 @@ class OneShotApp {
         this.pose = null;
         this.camera = null;
         this.poseAnalyzer = null;
+        this.phaseTracker = null;
+        this.shotRecorder = null;
+        this.stabilityTracker = null;
         this.uiController = null;
         this.shotHistory = null;
+        this.storage = null;
+        this.apiClient = null;
+        this.calibration = null;
+        this.videoAnalyzer = null;
+        this.clipRecorder = null;
+        this.shotComparison = null;
+        this.formScorer = null;
+        this.cameraSetup = null;
+        this.multiCamera = null;
+        this.poseFusion = null;
+        this.multiArcher = null;
+        this.settings = null;
+        this.audioCoach = null;
+
+        // Persisted session record + shots not yet written to IndexedDB
+        this.session = null;
+        this.pendingShots = [];
+        this.autoSaveTimer = null;
+        this.archivedShots = [];
+        this.archive = null;
         
         this.isSessionActive = false;
         this.currentShots = 0;
         this.maxShots = CONFIG.tiers.free.maxShots;
+        this.round = new Round();
+        this.restTimer = null;
         this.userConfig = null;
         this.lastShotTime = 0;
+        this.autoCapture = CONFIG.session.autoCapture.enabled;
+        this.recordClips = CONFIG.recording.clips.enabled;
+        this.pendingClips = new Map(); // shot id -> Promise of the clip still being cut
         
         this.videoElement = null;
         this.canvasElement = null;
@@ -21,8 +49,11 @@ class OneShotApp {
         
         // Store current pose data for shot capture
         this.lastLandmarks = null;
+        this.lastWorldLandmarks = null; // metres, for camera-independent 3D metrics
         this.lastResults = null;
         this.frameCount = 0;
+        this.frameSentAt = 0; // capture time of the main camera's current frame
+        this.cameraView = null;
     }
 
     async initialize() {
@@ -30,8 +61,61 @@ class OneShotApp {
         
         // Initialize components
         this.poseAnalyzer = new PoseAnalyzer();
+        this.cameraSetup = new CameraSetup(this.poseAnalyzer);
+        this.phaseTracker = new PhaseTracker();
+        this.shotRecorder = new ShotRecorder();
+        this.stabilityTracker = new StabilityTracker();
         this.uiController = new UIController();
         this.shotHistory = new ShotHistory();
+        this.storage = new ShotStorage();
+        this.apiClient = new ApiClient();
+        this.calibration = new Calibration();
+        this.videoAnalyzer = new VideoFileAnalyzer(
+            document.getElementById('videoElement'),
+            (video) => this.pose.send({ image: video })
+        );
+        this.clipRecorder = new ClipRecorder(document.getElementById('canvasElement'));
+        this.shotComparison = new ShotComparison();
+        this.formScorer = new FormScorer();
+        this.multiCamera = new MultiCamera((onResults) => this.createPose(onResults), this.poseAnalyzer);
+        this.multiCamera.onFeedResults = (feed, results) => this.onFeedResults(feed, results);
+        this.poseFusion = new PoseFusion(this.poseAnalyzer);
+        this.multiArcher = new MultiArcher();
+        this.multiArcher.onArcherAdded = (archer) => this.uiController.addArcherPanel(archer);
+        this.multiArcher.onPhaseChange = (archer, event) => this.onArcherPhaseChange(archer, event);
+        this.settings = new Settings();
+        this.audioCoach = new AudioCoach((text) => this.uiController.speakFeedback(text));
+        this.applyAudioSettings(this.settings.get('audio'));
+        if (!this.clipRecorder.isSupported()) {
+            this.recordClips = false;
+        }
+
+        this.phaseTracker.onPhaseChange((event) => this.onPhaseChange(event));
+
+        // Shot limits follow the signed-in account; refresh it in case the tier changed
+        this.applyTier();
+        this.apiClient.refreshUser()
+            .catch(error => console.warn('Could not refresh account:', error))
+            .then(() => this.applyTier());
+
+        // Flush unsaved shots if the tab is hidden or closed
+        window.addEventListener('pagehide', () => this.saveSession());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+
+        this.refreshSessionArchive();
+
+        // Show the stored baseline for whichever bow is selected
+        const setupForm = document.getElementById('setupForm');
+        if (setupForm) {
+            setupForm.addEventListener('change', () => this.refreshCalibrationStatus());
+        }
+        this.refreshCalibrationStatus();
+        this.refreshCameraList(false);
+
+        // Deliver any server writes left over from a previous visit
+        this.apiClient.flush();
         
         // Make UI controller available globally for onclick handlers
         window.uiController = this.uiController;
@@ -40,19 +124,263 @@ class OneShotApp {
         console.log('OneShot.pro initialized successfully');
     }
 
-    async startSession() {
-        // Get user configuration from form
-        this.userConfig = {
+    // Get user configuration from the setup form
+    readUserConfig() {
+        const distance = parseFloat(document.getElementById('distance').value);
+        return {
             height: parseFloat(document.getElementById('height').value),
-            distance: parseFloat(document.getElementById('distance').value),
+            distance,
             drawLength: parseFloat(document.getElementById('drawLength').value),
             bowType: document.getElementById('bowType').value,
             hand: document.querySelector('input[name="hand"]:checked').value,
-            experience: document.querySelector('input[name="experience"]:checked').value
+            experience: document.querySelector('input[name="experience"]:checked').value,
+            targetFace: document.getElementById('targetFace').value || TargetFace.forDistance(distance)
+        };
+    }
+
+    // A round template fills in its distance and target face
+    applyRoundTemplate() {
+        const template = new Round(document.getElementById('round').value).template;
+        if (template.distance) {
+            document.getElementById('distance').value = template.distance;
+        }
+        if (template.targetFace) {
+            document.getElementById('targetFace').value = template.targetFace;
+        }
+    }
+
+    // Club lanes: several archers in one camera view
+    wantsMultiArcher() {
+        const option = document.getElementById('multiArcher');
+        return !!option && option.checked && this.apiClient.hasFeature('multi_user');
+    }
+
+    /**
+     * @param {Object} options - { calibrate: true } to shoot reference shots first
+     */
+    async startSession(options = {}) {
+        if (!options.calibrate && this.wantsMultiArcher()) {
+            await this.startMultiArcherSession();
+            return;
+        }
+
+        await this.prepareSession(options);
+
+        // Start camera
+        await this.startCamera();
+
+        // Coach camera placement first; the session starts from the wizard
+        if (CONFIG.cameraSetup.enabled) {
+            this.cameraSetup.start(this.userConfig, { mirrored: true });
+            this.uiController.showSetupWizard();
+            this.uiController.updateStatusBar(i18n.t('status.cameraSetup'), i18n.t('status.checkingPlacement'));
+            return;
+        }
+
+        this.activateSession(null);
+    }
+
+    /**
+     * Finish the camera wizard and start the session, judging only the
+     * checks valid from the detected view
+     */
+    completeCameraSetup() {
+        if (!this.cameraSetup.isActive()) return;
+        this.activateSession(this.cameraSetup.finish());
+    }
+
+    // Start without placement checks; every check is judged
+    skipCameraSetup() {
+        if (!this.cameraSetup.isActive()) return;
+        this.cameraSetup.cancel();
+        this.activateSession(null);
+    }
+
+    /**
+     * @param {string|null} view - camera view from CameraSetup (null = unknown)
+     */
+    activateSession(view) {
+        this.cameraView = view;
+        this.poseAnalyzer.setView(view);
+        this.uiController.hideSetupWizard();
+
+        this.isSessionActive = true;
+        this.audioCoach.reset();
+        this.beginSessionRecord({ source: 'camera', cameraView: view });
+        if (this.recordClips) {
+            this.clipRecorder.start();
+        }
+        this.uiController.updateAutoCaptureButton(this.autoCapture);
+        this.uiController.updateRecordClipsButton(this.recordClips, this.clipRecorder.isSupported());
+        this.uiController.updateStatusBar(i18n.t('status.sessionActive'), i18n.t('status.ready'));
+    }
+
+    /**
+     * Several archers side by side, each with their own track, form panel and
+     * shots. Placement checks, extra cameras, clips and spoken cues follow a
+     * single archer, so they stay off. The shots belong to different people,
+     * so they are kept on this device and not synced to the signed-in account.
+     */
+    async startMultiArcherSession() {
+        await this.prepareSession({ multiArcher: true });
+
+        try {
+            await this.multiArcher.load();
+        } catch (error) {
+            console.error('Multi-archer model error:', error);
+            alert(i18n.t('errors.multiArcherLoad', { message: error.message }));
+            this.stopSession();
+            return;
+        }
+
+        this.multiArcher.start(this.userConfig);
+        this.uiController.showArcherPanels(true);
+        this.updateShotCounter();
+        await this.startCamera();
+        if (!this.videoElement.srcObject) {
+            this.stopSession();
+            return;
+        }
+
+        this.isSessionActive = true;
+        this.beginSessionRecord({ source: 'camera', cameraView: null, multiArcher: true });
+        this.uiController.updateAutoCaptureButton(this.autoCapture);
+        this.uiController.updateStatusBar(i18n.t('status.sessionActive'), i18n.t('archers.waiting'));
+    }
+
+    /**
+     * Run a recorded video through the same pipeline as the live camera.
+     * Shots are detected automatically from release events.
+     */
+    async startVideoAnalysis(file) {
+        if (!file) return;
+
+        await this.prepareSession();
+        this.pose.setOptions({ selfieMode: false }); // phone footage is not mirrored
+
+        let info;
+        try {
+            info = await this.videoAnalyzer.load(file);
+        } catch (error) {
+            console.error('Video load error:', error);
+            alert(i18n.t('errors.videoOpen', { file: file.name, message: error.message }));
+            this.stopSession();
+            return;
+        }
+
+        this.canvasElement.width = info.width;
+        this.canvasElement.height = info.height;
+        console.log(`Analyzing ${file.name}: ${info.width}x${info.height}, ${Utils.formatDuration(info.duration)}`);
+
+        this.isSessionActive = true;
+        this.lastShotTime = -Infinity;
+        this.beginSessionRecord({ source: 'video', fileName: file.name });
+        this.uiController.showVideoTimeline(info.duration);
+        this.videoAnalyzer.onProgress = (position, duration) => {
+            this.uiController.updateVideoTimeline(position, duration);
         };
 
+        this.runVideoAnalysis();
+    }
+
+    async runVideoAnalysis() {
+        this.uiController.updateVideoAnalysisState(true, false);
+
+        let finished = false;
+        try {
+            finished = await this.videoAnalyzer.analyze();
+        } catch (error) {
+            if (!this.videoAnalyzer.isActive()) return; // session stopped mid-frame
+            console.error('Video analysis error:', error);
+            this.uiController.updateStatusBar(i18n.t('status.videoStopped', { message: error.message }));
+        }
+        this.uiController.updateVideoAnalysisState(false, finished);
+
+        if (finished) {
+            const shots = this.shotHistory.getShots().length;
+            this.uiController.updateStatusBar(i18n.t('status.analysisComplete', { count: shots }), i18n.t('status.scrubToReview'));
+            this.saveSession();
+        }
+    }
+
+    toggleVideoAnalysis() {
+        if (!this.videoAnalyzer.isActive()) return;
+
+        if (this.videoAnalyzer.isRunning()) {
+            this.videoAnalyzer.pause();
+        } else if (!this.videoAnalyzer.finished) {
+            this.runVideoAnalysis();
+        }
+    }
+
+    /**
+     * Show an analyzed frame with its stored skeleton (only while analysis is paused or done)
+     */
+    async scrubVideo(timeMs) {
+        if (!this.videoAnalyzer.isActive() || this.videoAnalyzer.isRunning()) return;
+
+        await this.videoAnalyzer.seek(timeMs);
+        this.uiController.updateVideoTimeline(timeMs, this.videoAnalyzer.duration);
+
+        const ctx = this.canvasCtx;
+        ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+        ctx.drawImage(this.videoElement, 0, 0, this.canvasElement.width, this.canvasElement.height);
+
+        // Nearest analyzed frame, if it is close enough to belong to this moment
+        const frame = this.videoAnalyzer.frameAt(timeMs);
+        if (!frame || Math.abs(frame.time - timeMs) > 2000 / CONFIG.videoAnalysis.fps) {
+            this.uiController.updateStatusBar(i18n.t('status.noPoseHere'), Utils.formatDuration(timeMs));
+            return;
+        }
+
+        this.drawConnections(frame.landmarks);
+        this.drawLandmarks(frame.landmarks);
+        const metrics = this.poseAnalyzer.calculateMetrics(frame.landmarks, this.userConfig, frame.worldLandmarks);
+        const evaluation = this.poseAnalyzer.evaluateForm(frame.landmarks, this.userConfig, null, frame.worldLandmarks);
+        this.uiController.updateFormPanel(evaluation, metrics, this.userConfig);
+        this.drawFormIndicators(frame.landmarks, evaluation, metrics);
+        this.uiController.updateStatusBar(i18n.t('status.reviewingVideo'), Utils.formatDuration(timeMs));
+    }
+
+    // Jump to a detected shot on the timeline and open its summary
+    showVideoShot(index) {
+        const shot = this.shotHistory.getShots()[index];
+        if (!shot) return;
+
+        this.scrubVideo(shot.videoTime);
+        this.openShotModal(shot);
+    }
+
+    // Video time while analyzing a file, wall-clock time for the live camera
+    frameClock() {
+        return this.videoAnalyzer.isActive() ? this.videoAnalyzer.frameTime : Date.now();
+    }
+
+    // Judge form and lock anchor against the same (possibly personalized) thresholds
+    applyThresholds() {
+        const thresholds = this.calibration.thresholdsFor(this.userConfig);
+        this.poseAnalyzer.setThresholds(thresholds);
+        this.phaseTracker.setThresholds(thresholds);
+    }
+
+    // Shared setup for camera sessions and video file analysis
+    async prepareSession(options = {}) {
+        this.userConfig = this.readUserConfig();
+        this.round = new Round(document.getElementById('round').value);
+
         console.log('Starting session with config:', this.userConfig);
 
+        // Bow type / experience profile, refined by the archer's baseline if recorded
+        this.applyThresholds();
+        this.poseAnalyzer.setView(null);
+        if (options.calibrate) {
+            this.calibration.start(this.userConfig);
+        }
+        this.uiController.updateCalibrationProgress(
+            this.calibration.isActive() ? 0 : null,
+            CONFIG.calibration.shotCount
+        );
+
         // Hide setup form, show video container
         document.getElementById('setupForm').style.display = 'none';
         document.getElementById('videoContainer').classList.add('active');
@@ -63,56 +391,109 @@ class OneShotApp {
         this.canvasCtx = this.canvasElement.getContext('2d');
 
         // Update UI
-        this.uiController.updateStatusBar('Initializing MediaPipe Pose...');
-        this.uiController.updateShotCounter(this.currentShots, this.maxShots);
+        this.uiController.updateStatusBar(i18n.t('status.initializingPose'));
+        this.updateShotCounter();
+        this.phaseTracker.reset();
+        this.shotRecorder.reset();
+        this.stabilityTracker.reset();
+        this.uiController.updatePhaseIndicator(this.phaseTracker.getPhase(), this.phaseTracker.getPhaseLabel());
+
+        // Initialize MediaPipe Pose (multi-archer sessions use the Tasks pose landmarker instead)
+        if (!options.multiArcher) {
+            await this.initializePose();
+        }
+    }
+
+    async initializePose() {
+    console.log('Initializing MediaPipe Pose (safe version)...');
 
-        // Initialize MediaPipe Pose
-        await this.initializePose();
+    this.pose = this.createPose((results) => this.onPoseResults(results));
 
-        // Start camera
-        await this.startCamera();
+    console.log('MediaPipe Pose initialized with selfieMode + relaxed confidence');
+}
 
-        this.isSessionActive = true;
-        this.uiController.updateStatusBar('Session active', 'Ready');
+    // One Pose instance per camera; extra cameras get their own
+    createPose(onResults) {
+        // Detect correct Pose constructor for different CDN versions
+        const PoseCtor = (window.Pose && window.Pose.Pose) ? window.Pose.Pose : window.Pose;
+
+        const pose = new PoseCtor({
+            locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`
+        });
+
+        // Relaxed settings + selfie mode for front-facing webcams
+        pose.setOptions({
+            selfieMode: true,
+            modelComplexity: 1,
+            smoothLandmarks: true,
+            enableSegmentation: false,
+            minDetectionConfidence: 0.3,
+            minTrackingConfidence: 0.3
+        });
+
+        pose.onResults(onResults);
+        return pose;
     }
 
-    async initializePose() {
-    console.log('Initializing MediaPipe Pose (safe version)...');
+    // --- Audio coaching settings ---
 
-    // Detect correct Pose constructor for different CDN versions
-    const PoseCtor = (window.Pose && window.Pose.Pose) ? window.Pose.Pose : window.Pose;
+    applyAudioSettings(audio) {
+        this.uiController.setSpeechSettings(audio);
+        this.uiController.renderAudioSettings(audio);
+        this.audioCoach.setVerbosity(audio.verbosity);
+    }
 
-    this.pose = new PoseCtor({
-        locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`
-    });
+    saveAudioSettings() {
+        this.applyAudioSettings(this.settings.update('audio', this.uiController.readAudioSettings()));
+    }
 
-    // Relaxed settings + selfie mode for front-facing webcams
-    this.pose.setOptions({
-        selfieMode: true,
-        modelComplexity: 1,
-        smoothLandmarks: true,
-        enableSegmentation: false,
-        minDetectionConfidence: 0.3,
-        minTrackingConfidence: 0.3
-    });
+    testVoice() {
+        this.uiController.speakFeedback(i18n.t('audio.goodForm', {}, CONFIG.audioFeedback.goodForm));
+    }
 
-    this.pose.onResults((results) => this.onPoseResults(results));
+    // What to say after a shot; 'detailed' reads the full coaching sentence
+    spokenFeedback(feedback) {
+        if (this.settings.get('audio').verbosity === 'detailed') {
+            return `${feedback.message}. ${feedback.detail}`;
+        }
+        return feedback.cue || feedback.message;
+    }
 
-    console.log('MediaPipe Pose initialized with selfieMode + relaxed confidence');
-}
+    // --- Camera selection ---
+
+    /**
+     * List cameras on the setup form. Browsers only reveal camera names after
+     * permission is granted, so a refresh asks for it once.
+     */
+    async refreshCameraList(requestPermission = true) {
+        try {
+            let devices = await MultiCamera.listDevices();
+            if (requestPermission && devices.some(device => !device.named)) {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+                stream.getTracks().forEach(track => track.stop());
+                devices = await MultiCamera.listDevices();
+            }
+            this.uiController.renderCameraList(devices, CONFIG.multiCamera.maxCameras);
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            this.uiController.renderCameraList([], CONFIG.multiCamera.maxCameras);
+        }
+    }
+
+    // Checked cameras in list order; the first is the main camera
+    readCameraSelection() {
+        return Array.from(document.querySelectorAll('input[name="cameraDevice"]:checked'))
+            .map(input => input.value)
+            .slice(0, CONFIG.multiCamera.maxCameras);
+    }
 
 
     async startCamera() {
         console.log('Starting camera...');
+        const deviceIds = this.readCameraSelection();
 
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: CONFIG.camera.width,
-                    height: CONFIG.camera.height,
-                    facingMode: CONFIG.camera.facingMode
-                }
-            });
+            const stream = await navigator.mediaDevices.getUserMedia(MultiCamera.constraints(deviceIds[0]));
 
             this.videoElement.srcObject = stream;
             
@@ -131,21 +512,53 @@ class OneShotApp {
             console.log(`Canvas size: ${this.canvasElement.width}x${this.canvasElement.height}`);
 
             // Start pose detection loop
-            this.detectPose();
+            if (this.multiArcher.isActive()) {
+                this.multiArcher.run(this.videoElement, (tracks, timestamp) => this.onArcherResults(tracks, timestamp));
+            } else {
+                this.detectPose(deviceIds.length > 0);
+            }
 
             console.log('Camera started successfully');
         } catch (error) {
             console.error('Camera error:', error);
-            this.uiController.updateStatusBar('Camera error: ' + error.message);
-            alert('Could not access camera. Please check permissions and try again.');
+            this.uiController.updateStatusBar(i18n.t('status.cameraError', { message: error.message }));
+            alert(i18n.t('errors.cameraAccess'));
+            return;
+        }
+
+        if (deviceIds.length > 1 && !this.multiArcher.isActive()) {
+            await this.startExtraCameras(deviceIds.slice(1));
+        }
+    }
+
+    // Extra cameras are optional: the session carries on with the main camera if one fails
+    async startExtraCameras(deviceIds) {
+        try {
+            const feeds = await this.multiCamera.open(deviceIds, this.userConfig);
+            this.uiController.showCameraFeeds(feeds);
+            console.log(`Extra cameras started: ${feeds.length}`);
+        } catch (error) {
+            console.error('Extra camera error:', error);
+            this.uiController.showCameraFeeds(this.multiCamera.feeds);
+            alert(i18n.t('errors.extraCameras', { message: error.message }));
         }
     }
 
     // --- Pose detection using MediaPipe CameraUtils ---
-    async detectPose() {
+    // CameraUtils opens its own default camera, so a chosen device is read directly
+    async detectPose(chosenDevice = false) {
+    if (chosenDevice) {
+        MultiCamera.runFrameLoop(this.videoElement, this.pose,
+            () => !!this.videoElement.srcObject,
+            (time) => { this.frameSentAt = time; });
+        console.log("Real-time pose detection loop started for the selected camera.");
+        return;
+    }
+
     console.log("Starting real-time pose detection loop (CameraUtils)…");
 
     const onFrame = async () => {
+        this.frameSentAt = Date.now();
         await this.pose.send({ image: this.videoElement });
     };
 
@@ -159,7 +572,7 @@ class OneShotApp {
         console.log("CameraUtils loop started — frames streaming to Pose.");
     } catch (err) {
         console.error("CameraUtils failed:", err);
-        this.uiController.updateStatusBar("Camera error: " + err.message);
+        this.uiController.updateStatusBar(i18n.t('status.cameraError', { message: err.message }));
     }
 }
 
@@ -169,6 +582,7 @@ class OneShotApp {
         // Store results for shot capture
         this.lastResults = results;
         this.lastLandmarks = results.poseLandmarks;
+        this.lastWorldLandmarks = results.poseWorldLandmarks || null;
 
         // Clear canvas and draw video
         this.canvasCtx.save();
@@ -192,21 +606,59 @@ class OneShotApp {
             // Draw joint markers on top
             this.drawLandmarks(results.poseLandmarks);
 
-            // Analyze form
-            const evaluation = this.poseAnalyzer.evaluateForm(
+            // Placement wizard: no analysis until the session starts
+            if (this.cameraSetup.isActive()) {
+                this.updateCameraSetup(results.poseLandmarks);
+                this.canvasCtx.restore();
+                return;
+            }
+
+            // Calculate metrics (fused with the other cameras when there are several)
+            const metrics = this.measureFrame(results.poseLandmarks, this.lastWorldLandmarks);
+
+            if (this.videoAnalyzer.isActive()) {
+                this.videoAnalyzer.recordFrame(results.poseLandmarks, this.lastWorldLandmarks);
+            }
+
+            // Advance shot phase state machine
+            const frameTime = this.frameClock();
+            const phase = this.phaseTracker.update(
+                metrics,
                 results.poseLandmarks,
-                this.userConfig
+                this.userConfig,
+                frameTime,
+                this.lastWorldLandmarks
             );
 
-            // Calculate metrics
-            const metrics = this.poseAnalyzer.calculateMetrics(
+            // Track anchor-hold steadiness
+            this.stabilityTracker.addSample(
                 results.poseLandmarks,
-                this.userConfig
+                this.userConfig,
+                frameTime,
+                this.phaseTracker.isHolding(phase)
             );
+            this.clipRecorder.trim(phase === SHOT_PHASES.REST);
+            const stability = this.stabilityTracker.getMetrics(frameTime);
+
+            // Analyze form
+            const evaluation = this.poseAnalyzer.evaluateMetrics(metrics, stability, true);
+
+            // Live spoken cues (not while stepping through a video file)
+            if (this.isSessionActive && !this.videoAnalyzer.isActive()) {
+                this.audioCoach.update(phase, evaluation, frameTime);
+            }
 
             // Update form panel
             this.uiController.updateFormPanel(evaluation, metrics, this.userConfig);
 
+            // Record frame for whole-shot time series
+            this.shotRecorder.addFrame({
+                timestamp: frameTime,
+                phase,
+                landmarks: results.poseLandmarks,
+                metrics
+            });
+
             // Calculate confidence
             const confidence = this.calculateConfidence(results.poseLandmarks);
 
@@ -215,28 +667,287 @@ class OneShotApp {
             const totalChecks = Object.values(evaluation).length;
             
             this.uiController.updateStatusBar(
-                `Pose detected (confidence: ${(confidence * 100).toFixed(0)}%)`,
-                `${passCount}/${totalChecks} passing`
+                i18n.t('status.poseDetected', { confidence: i18n.formatNumber(confidence * 100) }),
+                i18n.t('status.passing', { phase: this.phaseTracker.getPhaseLabel(phase), passed: passCount, total: totalChecks })
             );
 
             // Draw additional visual indicators
             this.drawFormIndicators(results.poseLandmarks, evaluation, metrics);
+            if (this.clipRecorder.isRecording()) {
+                this.uiController.drawCheckSummary(this.canvasCtx, evaluation, this.canvasElement.width);
+            }
 
         } else {
             if (this.frameCount % 30 === 0) {
                 console.log('No pose detected in frame');
             }
-            this.uiController.updateStatusBar('Position yourself in frame - no pose detected', '');
+            if (this.cameraSetup.isActive()) {
+                this.updateCameraSetup(null);
+            } else {
+                this.uiController.updateStatusBar(i18n.t('status.noPose'), '');
+            }
         }
 
         this.canvasCtx.restore();
     }
 
-    drawConnections(landmarks) {
+    /**
+     * Metrics for the main camera's current frame. With extra cameras, each
+     * metric comes from the camera that measures it best at the same moment,
+     * and a check is judged when any of those cameras can see it.
+     */
+    measureFrame(landmarks, worldLandmarks) {
+        if (!this.multiCamera.isActive()) {
+            return this.poseAnalyzer.calculateMetrics(landmarks, this.userConfig, worldLandmarks);
+        }
+
+        const readings = [
+            { id: 'camera1', view: this.cameraView, landmarks, worldLandmarks },
+            ...this.multiCamera.aligned(this.frameSentAt)
+        ].map(reading => ({
+            ...reading,
+            metrics: this.poseAnalyzer.calculateMetrics(reading.landmarks, this.userConfig, reading.worldLandmarks)
+        }));
+
+        this.poseAnalyzer.setView(readings.map(reading => reading.view));
+        return this.poseFusion.fuse(readings, this.userConfig);
+    }
+
+    // Extra camera frame: draw it with its skeleton in the camera strip
+    onFeedResults(feed, results) {
+        const ctx = feed.ctx;
+        ctx.save();
+        ctx.clearRect(0, 0, feed.canvas.width, feed.canvas.height);
+        ctx.drawImage(results.image, 0, 0, feed.canvas.width, feed.canvas.height);
+        if (results.poseLandmarks && results.poseLandmarks.length > 0) {
+            this.drawConnections(results.poseLandmarks, ctx, feed.canvas);
+            this.drawLandmarks(results.poseLandmarks, ctx, feed.canvas);
+        }
+        ctx.restore();
+
+        this.uiController.updateCameraFeedLabel(feed, this.multiCamera.view(feed));
+    }
+
+    // Multi-archer frame: every archer in view is drawn in their colour and analyzed on their own
+    onArcherResults(tracks, timestamp) {
+        this.frameCount++;
         const ctx = this.canvasCtx;
         const width = this.canvasElement.width;
         const height = this.canvasElement.height;
 
+        // Mirrored to match the selfie view of single-archer sessions
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+        ctx.drawImage(this.videoElement, 0, 0, width, height);
+        ctx.restore();
+
+        tracks.forEach(({ archer, landmarks, worldLandmarks }) => {
+            this.drawConnections(landmarks, ctx, this.canvasElement, archer.color);
+            this.drawLandmarks(landmarks, ctx, this.canvasElement);
+            this.uiController.drawArcherLabel(ctx, archer, landmarks, width, height);
+
+            const frame = archer.analyze(landmarks, worldLandmarks, timestamp);
+            this.uiController.updateArcherPanel(archer, frame.evaluation, frame.phase);
+        });
+        this.uiController.updateArcherPresence(this.multiArcher.getArchers());
+
+        this.uiController.updateStatusBar(
+            tracks.length > 0 ? i18n.t('archers.inView', { count: tracks.length }) : i18n.t('status.noPose'),
+            i18n.t('sessions.shots', { count: this.currentShots })
+        );
+    }
+
+    onArcherPhaseChange(archer, event) {
+        if (event.phase === SHOT_PHASES.DRAW && event.previousPhase === SHOT_PHASES.REST) {
+            archer.shotRecorder.markCycleStart(event.timestamp);
+        }
+
+        if (event.phase !== SHOT_PHASES.RELEASE || !this.autoCapture || !this.isSessionActive || !event.anchorFrame) return;
+        if (!event.holdStable || event.holdDuration < CONFIG.session.autoCapture.minHoldTime) {
+            console.log(`${archer.label}: release ignored (hold ${event.holdDuration}ms, stable: ${event.holdStable})`);
+            return;
+        }
+
+        this.captureArcherShot(archer.id, {
+            mode: 'auto',
+            landmarks: event.anchorFrame.landmarks,
+            worldLandmarks: event.anchorFrame.worldLandmarks,
+            holdDuration: event.holdDuration
+        });
+    }
+
+    updateCameraSetup(landmarks) {
+        const aspect = this.canvasElement.width / this.canvasElement.height;
+        const assessment = this.cameraSetup.update(landmarks, this.lastWorldLandmarks, aspect, Date.now());
+        this.uiController.updateSetupWizard(assessment);
+        this.uiController.updateStatusBar(
+            i18n.t('status.cameraSetup'),
+            i18n.t(assessment.stable ? 'status.readyToStart' : 'status.checkingPlacement')
+        );
+    }
+
+    onPhaseChange(event) {
+        console.log(`Phase: ${event.previousPhase} -> ${event.phase} (${event.duration}ms)`);
+        this.uiController.updatePhaseIndicator(event.phase, this.phaseTracker.getPhaseLabel(event.phase));
+        if (this.isSessionActive && !this.videoAnalyzer.isActive()) {
+            this.audioCoach.onPhaseChange(event);
+        }
+
+        if (event.phase === SHOT_PHASES.DRAW && event.previousPhase === SHOT_PHASES.REST) {
+            this.shotRecorder.markCycleStart(event.timestamp);
+            this.clipRecorder.beginSegment();
+        }
+
+        const autoCapture = this.autoCapture || this.videoAnalyzer.isActive();
+        if (event.phase === SHOT_PHASES.RELEASE && autoCapture && this.isSessionActive) {
+            this.onReleaseDetected(event);
+        }
+    }
+
+    // Hands-free capture: score the last anchor frame once a release follows a stable hold
+    onReleaseDetected(event) {
+        if (!event.anchorFrame) return;
+
+        if (!event.holdStable || event.holdDuration < CONFIG.session.autoCapture.minHoldTime) {
+            console.log(`Release ignored (hold ${event.holdDuration}ms, stable: ${event.holdStable})`);
+            return;
+        }
+
+        this.captureShot({
+            mode: 'auto',
+            landmarks: event.anchorFrame.landmarks,
+            worldLandmarks: event.anchorFrame.worldLandmarks,
+            holdDuration: event.holdDuration
+        });
+    }
+
+    toggleAutoCapture() {
+        this.autoCapture = !this.autoCapture;
+        this.uiController.updateAutoCaptureButton(this.autoCapture);
+        console.log(`Auto capture ${this.autoCapture ? 'enabled' : 'disabled'}`);
+    }
+
+    // Clips are recorded from the live camera only; a video file already is footage
+    toggleClipRecording() {
+        if (!this.clipRecorder.isSupported()) {
+            alert(i18n.t('errors.clipsUnsupported'));
+            return;
+        }
+
+        this.recordClips = !this.recordClips;
+        if (!this.recordClips) {
+            this.clipRecorder.stop();
+        } else if (this.isSessionActive && !this.videoAnalyzer.isActive()) {
+            this.clipRecorder.start();
+        }
+        this.uiController.updateRecordClipsButton(this.recordClips);
+        console.log(`Clip recording ${this.recordClips ? 'enabled' : 'disabled'}`);
+    }
+
+    // Cut the recording for this shot and store it next to the shot
+    recordShotClip(shot) {
+        if (!this.clipRecorder.isRecording()) return;
+
+        const clipPromise = this.clipRecorder.finishClip().then(async (clip) => {
+            if (!clip) return null;
+
+            const record = { shotId: shot.id, sessionId: shot.sessionId, ...clip };
+            try {
+                await this.storage.saveClip(record);
+            } catch (error) {
+                console.warn('Could not save clip:', error);
+            }
+            return record;
+        });
+
+        this.pendingClips.set(shot.id, clipPromise);
+        clipPromise.finally(() => this.pendingClips.delete(shot.id));
+    }
+
+    // Shot modal plus what loads after it: reference pin state, the replay clip and coach comments
+    openShotModal(shot) {
+        this.uiController.showShotModal(shot);
+        this.uiController.updateReferenceButton(this.shotComparison.isReference(shot));
+        this.loadShotReplay(shot);
+        this.loadShotComments(shot);
+    }
+
+    // Add the replay to the open shot modal once its clip is available
+    async loadShotReplay(shot) {
+        try {
+            const clip = await (this.pendingClips.get(shot.id) || this.storage.getClip(shot.id));
+            this.uiController.showShotReplay(shot, clip);
+        } catch (error) {
+            console.warn('Could not load clip:', error);
+        }
+    }
+
+    // --- Arrow entry (shot modal target face) ---
+
+    recordArrowImpact(svgElement, event) {
+        const shot = this.uiController.currentShot;
+        if (!shot) return;
+
+        const point = TargetFace.pointFromEvent(svgElement, event);
+        this.setShotArrow(shot, TargetFace.score(svgElement.dataset.face, point.x, point.y));
+    }
+
+    recordArrowMiss() {
+        const shot = this.uiController.currentShot;
+        if (shot) {
+            this.setShotArrow(shot, TargetFace.miss(TargetFace.forShot(shot)));
+        }
+    }
+
+    clearArrow() {
+        const shot = this.uiController.currentShot;
+        if (shot) {
+            this.setShotArrow(shot, null);
+        }
+    }
+
+    /**
+     * Store the arrow with its shot, live or archived. Shots from multi-archer
+     * sessions were never synced, so neither are their arrows.
+     */
+    async setShotArrow(shot, arrow) {
+        if (arrow) {
+            shot.arrow = arrow;
+        } else {
+            delete shot.arrow;
+        }
+        this.uiController.updateArrowEntry(shot);
+        if (this.shotHistory.getShots().includes(shot)) {
+            this.updateShotCounter();
+        }
+
+        if (!shot.archer) {
+            this.apiClient.syncArrow(shot);
+        }
+        try {
+            await this.storage.saveShots([shot]);
+        } catch (error) {
+            console.warn('Could not save arrow:', error);
+        }
+    }
+
+    // Comments exist only for shots synced while signed in; local-only shots 404
+    async loadShotComments(shot) {
+        if (!this.apiClient.isAuthenticated()) return;
+        try {
+            const comments = await this.apiClient.getShotComments(shot.id);
+            this.uiController.showShotComments(shot, comments);
+        } catch (error) {
+            if (error.status !== 404) console.warn('Could not load comments:', error);
+        }
+    }
+
+    drawConnections(landmarks, ctx = this.canvasCtx, canvas = this.canvasElement, color = CONFIG.ui.skeletonColor) {
+        const width = canvas.width;
+        const height = canvas.height;
+
         // Full MediaPipe Pose connections (matching Python POSE_CONNECTIONS)
         const connections = [
             // Face
@@ -255,7 +966,7 @@ class OneShotApp {
             [24, 26], [26, 28], [28, 30], [28, 32], [30, 32]
         ];
 
-        ctx.strokeStyle = CONFIG.ui.skeletonColor;
+        ctx.strokeStyle = color;
         ctx.lineWidth = CONFIG.ui.skeletonThickness;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
@@ -281,10 +992,9 @@ class OneShotApp {
         }
     }
 
-    drawLandmarks(landmarks) {
-        const ctx = this.canvasCtx;
-        const width = this.canvasElement.width;
-        const height = this.canvasElement.height;
+    drawLandmarks(landmarks, ctx = this.canvasCtx, canvas = this.canvasElement) {
+        const width = canvas.width;
+        const height = canvas.height;
 
         ctx.fillStyle = CONFIG.ui.jointColor;
 
@@ -320,7 +1030,8 @@ class OneShotApp {
         const mouthLeftIdx = 9;
         const mouthRightIdx = 10;
 
-        if (wristIdx < landmarks.length && mouthLeftIdx < landmarks.length && mouthRightIdx < landmarks.length) {
+        // Not drawn when the anchor cannot be judged from this camera view
+        if (evaluation.anchor && wristIdx < landmarks.length && mouthLeftIdx < landmarks.length && mouthRightIdx < landmarks.length) {
             const wrist = landmarks[wristIdx];
             const mouthLeft = landmarks[mouthLeftIdx];
             const mouthRight = landmarks[mouthRightIdx];
@@ -344,6 +1055,20 @@ class OneShotApp {
                 );
             }
         }
+
+        // Draw bow arm stability ring while holding at anchor
+        if (evaluation.bowStability) {
+            const elbowIdx = hand === 'left' ? CONFIG.landmarks.LEFT_ELBOW : CONFIG.landmarks.RIGHT_ELBOW;
+            const elbow = landmarks[elbowIdx];
+
+            if (elbow && elbow.visibility > 0.5) {
+                this.uiController.drawStabilityIndicator(
+                    this.canvasCtx,
+                    { x: elbow.x * width, y: elbow.y * height },
+                    evaluation.bowStability.pass
+                );
+            }
+        }
     }
 
     calculateConfidence(landmarks) {
@@ -361,39 +1086,103 @@ class OneShotApp {
         return count > 0 ? sum / count : 0;
     }
 
-    captureShot() {
-        const now = Date.now();
+    captureShot(options = {}) {
+        const mode = options.mode || 'manual';
+        const landmarks = options.landmarks || this.lastLandmarks;
+        const worldLandmarks = options.landmarks ? options.worldLandmarks : this.lastWorldLandmarks;
+        const now = this.frameClock();
+        const reviewing = this.videoAnalyzer.isActive();
         if (now - this.lastShotTime < CONFIG.session.shotCooldown) {
             console.log('Shot cooldown active');
-            this.uiController.updateStatusBar('Please wait between shots...', '');
+            this.uiController.updateStatusBar(i18n.t('status.cooldown'), '');
+            return;
+        }
+
+        if (this.calibration.isActive()) {
+            this.captureReferenceShot(landmarks, worldLandmarks, now);
+            return;
+        }
+
+        if (this.round.isComplete(this.currentShots)) {
+            if (this.autoCapture) {
+                this.toggleAutoCapture();
+            }
+            this.uiController.updateStatusBar(i18n.t('rounds.complete'));
             return;
         }
 
         if (this.currentShots >= this.maxShots) {
-            this.uiController.showUpgradePrompt();
+            if (this.autoCapture) {
+                this.toggleAutoCapture();
+            }
+            if (reviewing) {
+                this.videoAnalyzer.pause();
+            }
+            this.uiController.showUpgradePrompt(this.maxShots);
             return;
         }
 
-        if (!this.lastLandmarks || this.lastLandmarks.length === 0) {
-            this.uiController.updateStatusBar('No pose detected - please position yourself in frame');
+        if (!landmarks || landmarks.length === 0) {
+            this.uiController.updateStatusBar(i18n.t('status.noPoseForShot'));
             return;
         }
 
-        console.log('Capturing shot...');
+        console.log(`Capturing shot (${mode})...`);
 
-        const metrics = this.poseAnalyzer.calculateMetrics(this.lastLandmarks, this.userConfig);
-        const evaluation = this.poseAnalyzer.evaluateForm(this.lastLandmarks, this.userConfig);
+        const stability = this.stabilityTracker.getMetrics(now);
+        const metrics = this.measureFrame(landmarks, worldLandmarks);
+        const evaluation = this.poseAnalyzer.evaluateMetrics(metrics, stability);
+        if (stability) {
+            Object.assign(metrics, stability);
+        }
         const shotSummary = this.createShotSummary(metrics, evaluation);
+        shotSummary.captureMode = mode;
+        shotSummary.id = Utils.generateUUID();
+        shotSummary.sessionId = this.session ? this.session.id : null;
+        shotSummary.sequenceNumber = this.currentShots + 1;
+        Object.assign(shotSummary, this.round.position(this.currentShots));
+        shotSummary.landmarks = landmarks;
+        if (options.holdDuration !== undefined) {
+            shotSummary.holdDuration = options.holdDuration;
+        }
+        if (reviewing) {
+            shotSummary.videoTime = now;
+        }
+
+        // Attach the whole draw cycle and per-phase aggregates
+        const timeline = this.shotRecorder.buildTimeline(now);
+        shotSummary.timeline = {
+            startTime: timeline.startTime,
+            endTime: timeline.endTime,
+            frames: timeline.frames
+        };
+        shotSummary.phaseStats = timeline.phaseStats;
 
         this.shotHistory.addShot(shotSummary);
+        this.pendingShots.push(shotSummary);
+        this.apiClient.syncShot(shotSummary);
         this.currentShots++;
-        this.uiController.updateShotCounter(this.currentShots, this.maxShots);
+        this.updateShotCounter();
+
+        // Shots found in a video are marked on the timeline instead of interrupting analysis
+        if (reviewing) {
+            this.uiController.addTimelineMarker(shotSummary, this.currentShots - 1, this.videoAnalyzer.duration);
+            this.lastShotTime = now;
+            return;
+        }
+
+        this.recordShotClip(shotSummary);
         this.uiController.flashCapture(this.canvasElement);
-        this.uiController.showShotModal(shotSummary);
+        this.endRest();
+        const completedEnd = this.round.completedEnd(this.currentShots);
+        if (completedEnd) {
+            this.finishEnd(completedEnd);
+        }
+        this.openShotModal(shotSummary);
 
         if (shotSummary.feedback.message) {
             setTimeout(() => {
-                this.uiController.speakFeedback(shotSummary.feedback.message);
+                this.uiController.speakFeedback(this.spokenFeedback(shotSummary.feedback));
             }, 500);
         }
 
@@ -401,23 +1190,196 @@ class OneShotApp {
         console.log('Shot captured:', shotSummary);
     }
 
-    createShotSummary(metrics, evaluation) {
+    /**
+     * Score a shot for one tracked archer. It is added to the session and to
+     * the archer's own history; the shot modal stays closed so every panel
+     * keeps updating while the others shoot.
+     */
+    captureArcherShot(archerId, options = {}) {
+        const archer = this.multiArcher.getArcher(archerId);
+        if (!archer || !this.isSessionActive) return;
+
+        const landmarks = options.landmarks || archer.landmarks;
+        const worldLandmarks = options.landmarks ? options.worldLandmarks : archer.worldLandmarks;
+        const now = Date.now();
+        if (now - archer.lastShotTime < CONFIG.session.shotCooldown) {
+            console.log(`${archer.label}: shot cooldown active`);
+            return;
+        }
+
+        if (this.currentShots >= this.maxShots) {
+            this.uiController.showUpgradePrompt(this.maxShots);
+            return;
+        }
+
+        if (!archer.present || !landmarks) {
+            this.uiController.updateStatusBar(i18n.t('status.noPoseForShot'));
+            return;
+        }
+
+        const stability = archer.stabilityTracker.getMetrics(now);
+        const metrics = archer.poseAnalyzer.calculateMetrics(landmarks, archer.userConfig, worldLandmarks);
+        const evaluation = archer.poseAnalyzer.evaluateMetrics(metrics, stability);
+        if (stability) {
+            Object.assign(metrics, stability);
+        }
+        const shotSummary = this.createShotSummary(metrics, evaluation, archer.userConfig);
+        shotSummary.captureMode = options.mode || 'manual';
+        shotSummary.id = Utils.generateUUID();
+        shotSummary.sessionId = this.session.id;
+        shotSummary.sequenceNumber = this.currentShots + 1;
+        Object.assign(shotSummary, this.round.position(archer.shotHistory.getShots().length));
+        shotSummary.archer = { id: archer.id, label: archer.label };
+        shotSummary.landmarks = landmarks;
+        if (options.holdDuration !== undefined) {
+            shotSummary.holdDuration = options.holdDuration;
+        }
+
+        const timeline = archer.shotRecorder.buildTimeline(now);
+        shotSummary.timeline = {
+            startTime: timeline.startTime,
+            endTime: timeline.endTime,
+            frames: timeline.frames
+        };
+        shotSummary.phaseStats = timeline.phaseStats;
+
+        archer.shotHistory.addShot(shotSummary);
+        this.shotHistory.addShot(shotSummary);
+        this.pendingShots.push(shotSummary);
+        this.currentShots++;
+        archer.lastShotTime = now;
+        this.updateShotCounter();
+        this.uiController.updateArcherShots(archer);
+
+        console.log(`Shot captured for ${archer.label}:`, shotSummary);
+    }
+
+    /**
+     * Last arrow of an end: show the end's summary and start the rest for
+     * collecting arrows. The last end of a round has no rest.
+     */
+    finishEnd(end) {
+        const complete = this.round.isComplete(this.currentShots);
+        this.uiController.showEndSummary(end, this.shotHistory.getShots(), this.shotHistory.getStats(), complete);
+        if (complete) {
+            if (this.autoCapture) {
+                this.toggleAutoCapture();
+            }
+            return;
+        }
+        this.startRest(this.round.restSeconds);
+    }
+
+    startRest(seconds) {
+        this.stopRestTimer();
+        const until = Date.now() + seconds * 1000;
+        const tick = () => {
+            const remaining = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+            this.uiController.updateRestTimer(remaining);
+            if (remaining === 0) {
+                this.stopRestTimer();
+                this.uiController.speakFeedback(i18n.t('rounds.restOver'));
+            }
+        };
+        tick();
+        this.restTimer = setInterval(tick, 1000);
+    }
+
+    stopRestTimer() {
+        if (this.restTimer) {
+            clearInterval(this.restTimer);
+            this.restTimer = null;
+        }
+    }
+
+    // Back to shooting: the first arrow of the next end, or the archer skipping the rest
+    endRest() {
+        this.stopRestTimer();
+        this.uiController.hideEndSummary();
+    }
+
+    // Counter, running totals and an open end summary follow new shots and arrows.
+    // Archers on a lane each shoot their own ends, so their shots are only counted.
+    updateShotCounter() {
+        const stats = this.shotHistory.getStats();
+        const round = this.multiArcher && this.multiArcher.isActive() ? null : this.round;
+        this.uiController.updateShotCounter(this.currentShots, this.maxShots, round, stats);
+        this.uiController.updateEndSummary(this.shotHistory.getShots(), stats);
+    }
+
+    // A shot of the running session, e.g. from the end summary
+    showSessionShot(index) {
+        const shot = this.shotHistory.getShots()[index];
+        if (shot) {
+            this.openShotModal(shot);
+        }
+    }
+
+    showArcherShot(archerId, index) {
+        const archer = this.multiArcher.getArcher(archerId);
+        const shot = archer && archer.shotHistory.getShots()[index];
+        if (shot) {
+            this.openShotModal(shot);
+        }
+    }
+
+    // Bow hand or bow type from an archer's panel; applies from their next frame
+    setArcherConfig(archerId, field, value) {
+        this.multiArcher.setArcherConfig(archerId, field, value);
+    }
+
+    // Calibration shots build the personal baseline; they are not scored or counted
+    captureReferenceShot(landmarks, worldLandmarks, now) {
+        if (!landmarks || landmarks.length === 0) {
+            this.uiController.updateStatusBar(i18n.t('status.noPoseForShot'));
+            return;
+        }
+
+        const metrics = this.measureFrame(landmarks, worldLandmarks);
+        const progress = this.calibration.addShot(metrics);
+        this.lastShotTime = now;
+        this.uiController.flashCapture(this.canvasElement);
+
+        if (progress.baseline) {
+            this.applyThresholds();
+            this.uiController.updateCalibrationProgress(null);
+            this.uiController.speakFeedback(i18n.t('audio.calibrationComplete'));
+            console.log('Calibration baseline saved:', progress.baseline);
+        } else {
+            this.uiController.updateCalibrationProgress(progress.count, progress.total);
+        }
+    }
+
+    refreshCalibrationStatus() {
+        this.uiController.updateCalibrationStatus(this.calibration.getBaseline(this.readUserConfig()));
+    }
+
+    resetCalibration() {
+        if (!confirm(i18n.t('confirm.resetCalibration'))) return;
+
+        this.calibration.clearBaseline(this.readUserConfig());
+        this.refreshCalibrationStatus();
+    }
+
+    createShotSummary(metrics, evaluation, userConfig = this.userConfig) {
         const errors = [];
+        const scores = this.formScorer.score(evaluation, userConfig);
         
         Object.entries(evaluation).forEach(([key, entry]) => {
             if (!entry.pass) {
-                const severity = this.calculateErrorSeverity(entry.value, entry.threshold);
                 errors.push({
+                    key,
                     type: entry.name,
-                    severity: severity,
-                    description: entry.description || `${entry.name} out of range`,
+                    severity: this.formScorer.severity(scores.checks[key]),
+                    score: scores.checks[key],
+                    description: entry.description || i18n.t('feedback.outOfRange', { name: entry.name }),
                     value: entry.value,
                     threshold: entry.threshold
                 });
             }
         });
 
-        const overallScore = this.calculateOverallScore(evaluation);
+        const overallScore = scores.overall;
         const feedback = this.generateFeedback(errors, overallScore);
 
         return {
@@ -426,64 +1388,63 @@ class OneShotApp {
             evaluation: evaluation,
             errors: errors,
             overallScore: overallScore,
+            checkScores: scores.checks,
             feedback: feedback,
-            userConfig: this.userConfig
+            userConfig: userConfig,
+            // Landmarks are normalized per axis; comparisons need the frame shape back
+            frameAspect: this.canvasElement.width / this.canvasElement.height
         };
     }
 
-    calculateErrorSeverity(value, threshold) {
-        const deviation = Math.abs(value - threshold);
-        const ratio = deviation / Math.max(threshold, 1);
-        if (ratio > 0.5) return 'high';
-        if (ratio > 0.25) return 'medium';
-        return 'low';
-    }
-
-    calculateOverallScore(evaluation) {
-        const checks = Object.values(evaluation);
-        const passCount = checks.filter(e => e.pass).length;
-        return Math.round((passCount / checks.length) * 100);
-    }
-
     generateFeedback(errors, score) {
         if (errors.length === 0) {
             return {
-                message: 'Excellent Form!',
-                detail: 'All form checks passed. Great shot!',
+                message: i18n.t('feedback.excellent'),
+                detail: i18n.t('feedback.allPassed'),
+                cue: i18n.t('audio.goodForm', {}, CONFIG.audioFeedback.goodForm),
                 type: 'positive'
             };
         }
 
-        const priorityError = errors.sort((a, b) => {
-            const severityOrder = { high: 3, medium: 2, low: 1 };
-            return severityOrder[b.severity] - severityOrder[a.severity];
-        })[0];
+        // Worst-scoring check first
+        const priorityError = errors.sort((a, b) => a.score - b.score)[0];
 
-        const messages = {
-            'Shoulder Level': 'Focus on keeping your shoulders level throughout the draw.',
-            'Bow Arm Extension': 'Extend your bow arm fully for better stability.',
-            'Draw Alignment': 'Align your draw elbow with the arrow.',
-            'Head Position': 'Keep your head level and anchor consistently.',
-            'Spine Alignment': 'Stand tall with a neutral spine.',
-            'Anchor Point': 'Find a consistent anchor point on your face.'
-        };
+        const metric = metricRegistry.get(priorityError.key);
 
         return {
             message: priorityError.type,
-            detail: messages[priorityError.type] || 'Work on improving your form.',
+            detail: (metric && metric.feedback && metricRegistry.text(metric, 'feedback')) || i18n.t('feedback.general'),
+            cue: metric && metric.audioCue && metricRegistry.text(metric, 'audioCue'),
             type: 'corrective'
         };
     }
 
+    applyTier() {
+        const tier = this.apiClient.getTierConfig();
+        this.maxShots = tier.maxShots;
+        this.uiController.updateAccountLink(this.apiClient.getUser());
+        this.uiController.updateTierInfo(tier, this.apiClient.hasFeature('unlimited_shots'));
+        this.updateShotCounter();
+        this.uiController.updateMultiArcherOption(this.apiClient.hasFeature('multi_user'));
+    }
+
     toggleSession() {
-        if (this.isSessionActive) {
+        if (this.isSessionActive || this.cameraSetup.isActive()) {
             this.stopSession();
         }
     }
 
-    stopSession() {
+    async stopSession() {
         console.log('Stopping session...');
         this.isSessionActive = false;
+        this.stopAutoSave();
+        this.endRest();
+        this.clipRecorder.stop();
+        this.cameraSetup.cancel();
+        this.uiController.hideSetupWizard();
+        this.multiCamera.close();
+        this.uiController.showCameraFeeds([]);
+        this.uiController.showArcherPanels(false);
 
         if (this.videoElement && this.videoElement.srcObject) {
             const tracks = this.videoElement.srcObject.getTracks();
@@ -491,71 +1452,190 @@ class OneShotApp {
             this.videoElement.srcObject = null;
         }
 
+        if (this.videoAnalyzer.isActive()) {
+            this.videoAnalyzer.unload();
+            this.uiController.hideVideoTimeline();
+        }
+
         document.getElementById('videoContainer').classList.remove('active');
         document.getElementById('setupForm').style.display = 'block';
         this.currentShots = 0;
+        this.phaseTracker.reset();
+        this.shotRecorder.reset();
+        this.stabilityTracker.reset();
+        this.calibration.cancel();
+        this.uiController.updateCalibrationProgress(null);
+        this.refreshCalibrationStatus();
+
+        if (this.session) {
+            this.session.endTime = new Date().toISOString();
+            await this.saveSession();
+            if (!this.session.multiArcher) {
+                this.apiClient.syncSessionEnd(this.session);
+            }
+            this.session = null;
+        }
+        this.multiArcher.stop();
+        this.shotHistory.clear();
+        this.refreshSessionArchive();
+
         console.log('Session stopped');
     }
 
-    viewHistory() {
-        const stats = this.shotHistory.getStats();
-        
-        if (stats && stats.totalShots > 0) {
-            alert(
-                `Session Statistics:\n\n` +
-                `Total Shots: ${stats.totalShots}\n` +
-                `Average Score: ${stats.averageScore}%\n` +
-                `Best Score: ${stats.bestScore}%\n` +
-                `Common Errors: ${stats.commonErrors.map(e => e.type).join(', ') || 'None'}`
-            );
-        } else {
-            alert('No shots recorded in this session yet.');
+    // --- Session persistence (IndexedDB) ---
+
+    /**
+     * @param {Object} source - { source: 'camera' | 'video', fileName }
+     */
+    beginSessionRecord(source = { source: 'camera' }) {
+        this.shotHistory.clear();
+        this.pendingShots = [];
+        this.session = {
+            ...source,
+            id: Utils.generateUUID(),
+            startTime: new Date().toISOString(),
+            endTime: null,
+            duration: 0,
+            shotCount: 0,
+            targetDistance: this.userConfig.distance,
+            round: this.round.key,
+            userConfig: this.userConfig,
+            summary: null
+        };
+
+        this.saveSession();
+        if (!this.session.multiArcher) {
+            this.apiClient.syncProfile(this.userConfig);
+            this.apiClient.syncSessionStart(this.session);
         }
+        this.startAutoSave();
     }
-}
 
-class ShotHistory {
-    constructor() {
-        this.shots = [];
+    startAutoSave() {
+        this.stopAutoSave();
+        this.autoSaveTimer = setInterval(() => this.saveSession(), CONFIG.session.autoSaveInterval);
     }
 
-    addShot(shot) {
-        this.shots.push(shot);
+    stopAutoSave() {
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer);
+            this.autoSaveTimer = null;
+        }
     }
 
-    getShots() {
-        return this.shots;
+    /**
+     * Write the session record and any unsaved shots.
+     * Failed writes stay pending and are retried on the next save.
+     */
+    async saveSession() {
+        if (!this.session) return;
+
+        const end = this.session.endTime ? new Date(this.session.endTime) : new Date();
+        this.session.duration = Math.round((end - new Date(this.session.startTime)) / 1000);
+        this.session.shotCount = this.shotHistory.getShots().length;
+        this.session.summary = this.shotHistory.getStats();
+        if (this.session.multiArcher) {
+            this.session.archers = this.multiArcher.getArchers().map(archer => ({
+                id: archer.id,
+                label: archer.label,
+                userConfig: archer.userConfig
+            }));
+        }
+
+        const shots = this.pendingShots;
+        this.pendingShots = [];
+
+        try {
+            await this.storage.saveSession({ ...this.session });
+            await this.storage.saveShots(shots);
+        } catch (error) {
+            console.error('Session save failed:', error);
+            this.pendingShots = shots.concat(this.pendingShots);
+        }
     }
 
-    getStats() {
-        if (this.shots.length === 0) return null;
+    async refreshSessionArchive() {
+        try {
+            const sessions = await this.storage.getSessions();
+            this.uiController.renderSessionList(sessions);
+        } catch (error) {
+            console.warn('Session archive unavailable:', error);
+            this.uiController.renderSessionList(null);
+        }
+    }
 
-        const scores = this.shots.map(s => s.overallScore);
-        const averageScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
-        const bestScore = Math.max(...scores);
+    async openArchivedSession(sessionId) {
+        try {
+            const session = await this.storage.getSession(sessionId);
+            this.archivedShots = await this.storage.getShots(sessionId);
 
-        const errorCounts = {};
-        this.shots.forEach(shot => {
-            shot.errors.forEach(error => {
-                errorCounts[error.type] = (errorCounts[error.type] || 0) + 1;
-            });
-        });
+            this.archive = new ShotHistory();
+            this.archive.load(this.archivedShots);
+            this.uiController.showSessionHistory(session, this.archivedShots, this.archive.getStats());
+        } catch (error) {
+            console.error('Could not load session:', error);
+        }
+    }
+
+    showArchivedShot(index) {
+        const shot = this.archivedShots[index];
+        if (shot) {
+            this.openShotModal(shot);
+        }
+    }
 
-        const commonErrors = Object.entries(errorCounts)
-            .map(([type, count]) => ({ type, count }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 3);
+    // --- Reference form comparison ---
 
-        return {
-            totalShots: this.shots.length,
-            averageScore,
-            bestScore,
-            commonErrors
-        };
+    pinReferenceShot() {
+        const shot = this.uiController.currentShot;
+        if (!shot || !shot.landmarks) return;
+
+        this.shotComparison.pinReference(shot);
+        this.uiController.updateReferenceButton(true);
+    }
+
+    /**
+     * Compare the shot in the modal with the pinned reference, or with the
+     * best other shot of its session if nothing has been pinned yet
+     */
+    compareShot() {
+        const shot = this.uiController.currentShot;
+        if (!shot || !shot.landmarks) return;
+
+        const history = this.archivedShots.includes(shot) ? this.archive : this.shotHistory;
+        let reference = this.shotComparison.getReference();
+        if (!reference || reference.id === shot.id) {
+            reference = history.getBestShot(shot.id);
+        }
+
+        if (!reference) {
+            alert(i18n.t('errors.noReference'));
+            return;
+        }
+
+        this.uiController.showComparison(shot, reference, ShotComparison.compareChecks(shot, reference));
+    }
+
+    async deleteArchivedSession(sessionId) {
+        if (!confirm(i18n.t('confirm.deleteSession'))) return;
+
+        try {
+            await this.storage.deleteSession(sessionId);
+        } catch (error) {
+            console.error('Could not delete session:', error);
+        }
+        this.uiController.closeHistoryModal();
+        this.refreshSessionArchive();
     }
 
-    clear() {
-        this.shots = [];
+    // Open the progress dashboard once the current session is flushed. The tab is
+    // opened blank inside the click (Safari drops the gesture across an await) and
+    // only navigated after both the session and shot writes have resolved
+    viewHistory() {
+        const tab = window.open('', '_blank');
+        this.saveSession().then(() => {
+            if (tab) tab.location.href = 'analytics.html';
+        });
     }
 }
 
@@ -573,18 +1653,181 @@ function startSession() {
     }
 }
 
+function analyzeVideoFile(input) {
+    if (app && input.files.length > 0) {
+        app.startVideoAnalysis(input.files[0]);
+    }
+    input.value = '';
+}
+
+function saveAudioSettings() {
+    if (app) {
+        app.saveAudioSettings();
+    }
+}
+
+function testVoice() {
+    if (app) {
+        app.testVoice();
+    }
+}
+
+function refreshCameraList() {
+    if (app) {
+        app.refreshCameraList();
+    }
+}
+
+function toggleVideoAnalysis() {
+    if (app) {
+        app.toggleVideoAnalysis();
+    }
+}
+
+function scrubVideo(timeMs) {
+    if (app) {
+        app.scrubVideo(parseFloat(timeMs));
+    }
+}
+
+function showVideoShot(index) {
+    if (app) {
+        app.showVideoShot(index);
+    }
+}
+
+function showSessionShot(index) {
+    if (app) {
+        app.showSessionShot(index);
+    }
+}
+
+function applyRoundTemplate() {
+    if (app) {
+        app.applyRoundTemplate();
+    }
+}
+
+function skipRest() {
+    if (app) {
+        app.endRest();
+    }
+}
+
+function startCalibration() {
+    if (app) {
+        app.startSession({ calibrate: true });
+    }
+}
+
+function resetCalibration() {
+    if (app) {
+        app.resetCalibration();
+    }
+}
+
 function captureShot() {
     if (app) {
         app.captureShot();
     }
 }
 
+function captureArcherShot(archerId) {
+    if (app) {
+        app.captureArcherShot(archerId);
+    }
+}
+
+function showArcherShot(archerId, index) {
+    if (app) {
+        app.showArcherShot(archerId, index);
+    }
+}
+
+function setArcherConfig(archerId, field, value) {
+    if (app) {
+        app.setArcherConfig(archerId, field, value);
+    }
+}
+
+function recordArrowImpact(event) {
+    if (app) {
+        app.recordArrowImpact(event.currentTarget, event);
+    }
+}
+
+function recordArrowMiss() {
+    if (app) {
+        app.recordArrowMiss();
+    }
+}
+
+function clearArrow() {
+    if (app) {
+        app.clearArrow();
+    }
+}
+
+function toggleAutoCapture() {
+    if (app) {
+        app.toggleAutoCapture();
+    }
+}
+
+function toggleClipRecording() {
+    if (app) {
+        app.toggleClipRecording();
+    }
+}
+
+function pinReferenceShot() {
+    if (app) {
+        app.pinReferenceShot();
+    }
+}
+
+function compareShot() {
+    if (app) {
+        app.compareShot();
+    }
+}
+
+function completeCameraSetup() {
+    if (app) {
+        app.completeCameraSetup();
+    }
+}
+
+function skipCameraSetup() {
+    if (app) {
+        app.skipCameraSetup();
+    }
+}
+
 function toggleSession() {
     if (app) {
         app.toggleSession();
     }
 }
 
+function openArchivedSession(sessionId) {
+    if (app) {
+        app.openArchivedSession(sessionId);
+    }
+}
+
+function showArchivedShot(index) {
+    if (app) {
+        app.showArchivedShot(index);
+    }
+}
+
+function deleteArchivedSession(sessionId) {
+    if (app) {
+        app.deleteArchivedSession(sessionId);
+    }
+}
+
 function viewHistory() {
     if (app) {
         app.viewHistory();
@@ -0,0 +1,105 @@
+// OneShot.pro Archer Tracker
+// Gives each archer in a multi-archer view a stable track ID. Detections are
+// matched to tracks by body centre, nearest pairs first. Tracks are never
+// dropped: an archer who steps off the line to collect arrows gets their own
+// track back when they return to the same spot.
+
+class ArcherTracker {
+    constructor(trackerConfig = CONFIG.multiArcher) {
+        this.config = trackerConfig;
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Mid-point of the visible shoulders and hips
+     * @returns {Object|null} { x, y } in normalized image coordinates
+     */
+    static center(landmarks) {
+        const L = CONFIG.landmarks;
+        const points = [L.LEFT_SHOULDER, L.RIGHT_SHOULDER, L.LEFT_HIP, L.RIGHT_HIP]
+            .map(index => landmarks[index])
+            .filter(point => point && (point.visibility === undefined || point.visibility > 0.3));
+        if (points.length === 0) return null;
+
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+    }
+
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    isPresent(track, timestamp) {
+        return timestamp - track.lastSeen <= this.config.awayAfterMs;
+    }
+
+    /**
+     * Match this frame's poses to tracks
+     * @param {Array<Object>} poses - { landmarks, worldLandmarks } per detected person
+     * @returns {Array<Object>} tracks seen in this frame, left to right
+     */
+    update(poses, timestamp) {
+        const unmatched = new Set(poses
+            .map(pose => ({ ...pose, center: ArcherTracker.center(pose.landmarks) }))
+            .filter(detection => detection.center));
+        const seen = [];
+
+        const claim = (track, detection) => {
+            track.center = detection.center;
+            track.landmarks = detection.landmarks;
+            track.worldLandmarks = detection.worldLandmarks || null;
+            track.lastSeen = timestamp;
+            unmatched.delete(detection);
+            seen.push(track);
+        };
+        const unclaimed = () => this.tracks.filter(track => !seen.includes(track));
+
+        // Archers still in view first, then archers coming back to their spot
+        const present = this.tracks.filter(track => this.isPresent(track, timestamp));
+        this.matchNearest(present, unmatched, this.config.matchDistance, claim);
+        this.matchNearest(unclaimed().filter(track => !present.includes(track)), unmatched,
+            this.config.reacquireDistance, claim);
+
+        // Anyone left is a new archer while there is room (numbered left to right);
+        // past the limit they take the nearest free track
+        Array.from(unmatched).sort((a, b) => a.center.x - b.center.x).forEach(detection => {
+            if (this.tracks.length >= this.config.maxArchers) return;
+            const track = { id: this.nextId++ };
+            this.tracks.push(track);
+            claim(track, detection);
+        });
+        this.matchNearest(unclaimed(), unmatched, Infinity, claim);
+
+        return seen.sort((a, b) => a.center.x - b.center.x);
+    }
+
+    // Greedy matching: the closest track/detection pairs are joined first
+    matchNearest(tracks, detections, maxDistance, claim) {
+        const pairs = [];
+        tracks.forEach(track => {
+            detections.forEach(detection => {
+                const distance = ArcherTracker.distance(track.center, detection.center);
+                if (distance <= maxDistance) pairs.push({ track, detection, distance });
+            });
+        });
+
+        const matched = new Set();
+        pairs.sort((a, b) => a.distance - b.distance).forEach(({ track, detection }) => {
+            if (matched.has(track) || !detections.has(detection)) return;
+            matched.add(track);
+            claim(track, detection);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArcherTracker;
+}
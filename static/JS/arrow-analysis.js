@@ -0,0 +1,145 @@
+// OneShot.pro Arrow Analysis
+// Links where arrows landed to the form measured on the same shots:
+// which checks track the arrow score, and which form faults coincide with
+// misses in one direction (e.g. low-left misses with a bent bow arm)
+
+class ArrowAnalysis {
+    /**
+     * @param {Array} shots - shot summaries; only those with an arrow are used
+     */
+    constructor(shots, targetConfig = CONFIG.targets) {
+        this.shots = shots.filter(shot => shot.arrow);
+        this.config = targetConfig;
+    }
+
+    static mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    static variance(values) {
+        const mean = ArrowAnalysis.mean(values);
+        return values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    }
+
+    // Pearson correlation of paired values (0 when either side does not vary)
+    static correlation(xs, ys) {
+        const meanX = ArrowAnalysis.mean(xs);
+        const meanY = ArrowAnalysis.mean(ys);
+        let num = 0;
+        let denX = 0;
+        let denY = 0;
+        xs.forEach((x, i) => {
+            num += (x - meanX) * (ys[i] - meanY);
+            denX += (x - meanX) * (x - meanX);
+            denY += (ys[i] - meanY) * (ys[i] - meanY);
+        });
+        return denX === 0 || denY === 0 ? 0 : num / Math.sqrt(denX * denY);
+    }
+
+    /**
+     * Arrow scoring totals
+     * @returns {Object} { arrows, total, average, xCount, misses }
+     */
+    getSummary() {
+        const scores = this.shots.map(shot => shot.arrow.targetScore);
+        return {
+            arrows: scores.length,
+            total: scores.reduce((sum, score) => sum + score, 0),
+            average: scores.length > 0 ? ArrowAnalysis.mean(scores) : 0,
+            xCount: this.shots.filter(shot => shot.arrow.isX).length,
+            misses: scores.filter(score => score === 0).length
+        };
+    }
+
+    /**
+     * Checks whose score rises with the arrow score
+     * @returns {Array<Object>} { key, r, count }, strongest first
+     */
+    getScoreLinks() {
+        if (this.shots.length < this.config.minShots) return [];
+
+        return metricRegistry.list()
+            .map(metric => {
+                const shots = this.shots.filter(shot => shot.checkScores && shot.checkScores[metric.key] !== undefined);
+                if (shots.length < this.config.minShots) return null;
+                const r = ArrowAnalysis.correlation(
+                    shots.map(shot => shot.checkScores[metric.key]),
+                    shots.map(shot => shot.arrow.targetScore)
+                );
+                return { key: metric.key, r, count: shots.length };
+            })
+            .filter(link => link && link.r >= this.config.minCorrelation)
+            .sort((a, b) => b.r - a.r);
+    }
+
+    /**
+     * Form that sets misses in one direction apart from the other arrows.
+     * For each direction with enough misses, the check whose measured value
+     * differs most from the rest is reported with the value that splits them.
+     * @returns {Array<Object>} { direction, key, op, cutoff, unit, count, total, effect }
+     */
+    getMissPatterns() {
+        const placed = this.shots.filter(shot => TargetFace.hasImpact(shot.arrow));
+        if (placed.length < this.config.minShots) return [];
+
+        const byDirection = {};
+        placed
+            .filter(shot => shot.arrow.targetScore < this.config.goodRing)
+            .forEach(shot => {
+                const direction = TargetFace.direction(shot.arrow);
+                (byDirection[direction] = byDirection[direction] || []).push(shot);
+            });
+
+        const patterns = [];
+        Object.entries(byDirection).forEach(([direction, misses]) => {
+            if (misses.length < this.config.minMisses) return;
+
+            const others = placed.filter(shot => !misses.includes(shot));
+            const best = metricRegistry.list()
+                .map(metric => this.comparePattern(metric.key, misses, others))
+                .filter(Boolean)
+                .sort((a, b) => b.effect - a.effect)[0];
+            if (best) patterns.push({ direction, ...best });
+        });
+
+        return patterns.sort((a, b) => b.effect - a.effect).slice(0, this.config.maxInsights);
+    }
+
+    comparePattern(key, misses, others) {
+        const valuesOf = shots => shots
+            .map(shot => shot.evaluation && shot.evaluation[key])
+            .filter(entry => entry && Number.isFinite(entry.value))
+            .map(entry => entry.value);
+        const missValues = valuesOf(misses);
+        const otherValues = valuesOf(others);
+        if (missValues.length < this.config.minMisses || otherValues.length < this.config.minMisses) return null;
+
+        const missMean = ArrowAnalysis.mean(missValues);
+        const otherMean = ArrowAnalysis.mean(otherValues);
+        const pooled = Math.sqrt((ArrowAnalysis.variance(missValues) + ArrowAnalysis.variance(otherValues)) / 2);
+        if (pooled === 0) return null;
+
+        const effect = Math.abs(missMean - otherMean) / pooled;
+        if (effect < this.config.minEffect) return null;
+
+        // Split half-way between the two means, rounded the way the value is shown
+        const unit = misses.map(shot => shot.evaluation && shot.evaluation[key]).find(Boolean).unit;
+        const split = (missMean + otherMean) / 2;
+        const cutoff = unit === 'ratio' ? Math.round(split * 100) / 100 : Math.round(split);
+        const below = missMean < otherMean;
+        return {
+            key,
+            op: below ? '<' : '>',
+            cutoff,
+            unit,
+            count: missValues.filter(value => (below ? value < cutoff : value > cutoff)).length,
+            total: missValues.length,
+            effect
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArrowAnalysis;
+}
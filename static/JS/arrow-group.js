@@ -0,0 +1,159 @@
+// OneShot.pro Arrow Groups
+// How a set of arrows grouped on the target: centre offset from the X, mean
+// radius, extreme spread and fliers (arrows far outside the rest of the group).
+// Each flier is linked to the form checks that failed on it but passed on the
+// rest of the group, and the group's centre gives a sight correction.
+
+class ArrowGroup {
+    /**
+     * @param {Array} shots - shot summaries; those with an impact position are grouped
+     * @param {string} faceKey - face positions are measured on; arrows from other faces are converted
+     */
+    constructor(shots, faceKey = null, groupConfig = CONFIG.targets.groups) {
+        this.shots = shots.filter(shot => TargetFace.hasImpact(shot.arrow));
+        this.face = faceKey || TargetFace.commonFace(this.shots.map(shot => shot.arrow));
+        this.config = groupConfig;
+        this.points = this.shots.map(shot => (shot.arrow.targetFace === this.face
+            ? shot.arrow
+            : TargetFace.convert(shot.arrow, this.face)));
+    }
+
+    /**
+     * One group per end, in end order
+     * @returns {Array<Object>} { end, group }
+     */
+    static byEnd(shots, groupConfig = CONFIG.targets.groups) {
+        const ends = new Map();
+        shots.forEach(shot => {
+            const end = ShotHistory.endOf(shot);
+            if (!ends.has(end)) ends.set(end, []);
+            ends.get(end).push(shot);
+        });
+
+        // Every end is measured on the session's face so their numbers compare
+        const face = TargetFace.commonFace(shots.map(shot => shot.arrow).filter(TargetFace.hasImpact));
+        return Array.from(ends.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([end, endShots]) => ({ end, group: new ArrowGroup(endShots, face, groupConfig) }));
+    }
+
+    static centroid(points) {
+        return {
+            x: points.reduce((sum, point) => sum + point.impactX, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.impactY, 0) / points.length
+        };
+    }
+
+    static meanRadius(points, center = ArrowGroup.centroid(points)) {
+        return points.reduce((sum, point) => sum + Math.hypot(point.impactX - center.x, point.impactY - center.y), 0)
+            / points.length;
+    }
+
+    // Widest distance between any two arrows
+    static extremeSpread(points) {
+        let spread = 0;
+        points.forEach((a, i) => {
+            points.slice(i + 1).forEach(b => {
+                spread = Math.max(spread, Math.hypot(a.impactX - b.impactX, a.impactY - b.impactY));
+            });
+        });
+        return spread;
+    }
+
+    /**
+     * Group size in cm on this.face
+     * @returns {Object|null} { arrows, centroid, offset, direction, meanRadius, extremeSpread, fliers }
+     */
+    getStats() {
+        if (this.points.length < this.config.minArrows) return null;
+
+        const centroid = ArrowGroup.centroid(this.points);
+        const offset = Math.hypot(centroid.x, centroid.y);
+        return {
+            arrows: this.points.length,
+            centroid,
+            offset,
+            direction: TargetFace.direction({ impactX: centroid.x, impactY: centroid.y }),
+            meanRadius: ArrowGroup.meanRadius(this.points, centroid),
+            extremeSpread: ArrowGroup.extremeSpread(this.points),
+            fliers: this.getFliers()
+        };
+    }
+
+    /**
+     * Arrows further from the centre of the other arrows than flierFactor
+     * times their mean radius (and at least a ring width away)
+     * @returns {Array<Object>} { shot, distance, faults }, furthest first
+     */
+    getFliers() {
+        if (this.points.length < this.config.minForFliers) return [];
+
+        const ringWidth = TargetFace.ringWidth(this.face);
+        const fliers = [];
+        this.points.forEach((point, index) => {
+            const others = this.points.filter((other, i) => i !== index);
+            const center = ArrowGroup.centroid(others);
+            const distance = Math.hypot(point.impactX - center.x, point.impactY - center.y);
+            const limit = Math.max(this.config.flierFactor * ArrowGroup.meanRadius(others, center), ringWidth);
+            if (distance > limit) {
+                fliers.push({ shot: this.shots[index], distance });
+            }
+        });
+
+        const flierShots = fliers.map(flier => flier.shot);
+        const groupShots = this.shots.filter(shot => !flierShots.includes(shot));
+        return fliers
+            .map(flier => ({ ...flier, faults: ArrowGroup.faultsOf(flier.shot, groupShots) }))
+            .sort((a, b) => b.distance - a.distance);
+    }
+
+    /**
+     * Checks that failed on a flier but passed on most of the group,
+     * so the fault is what set that arrow apart
+     * @returns {Array<Object>} { key, name, groupPassRate }, most telling first
+     */
+    static faultsOf(shot, groupShots) {
+        if (!shot.evaluation) return [];
+
+        return Object.entries(shot.evaluation)
+            .filter(([, entry]) => entry && entry.pass === false)
+            .map(([key, entry]) => {
+                const judged = groupShots.filter(other => other.evaluation && other.evaluation[key]);
+                const passed = judged.filter(other => other.evaluation[key].pass).length;
+                return { key, name: entry.name, groupPassRate: judged.length > 0 ? passed / judged.length : 0 };
+            })
+            .filter(fault => fault.groupPassRate >= 0.5)
+            .sort((a, b) => b.groupPassRate - a.groupPassRate);
+    }
+
+    /**
+     * Sight correction that moves the group onto the X: the sight follows
+     * the arrows (group low-left, move the sight down and left). Fliers are
+     * left out since they are a form problem, not a sight one.
+     * @returns {Array<Object>|null} { direction: 'up'|'down'|'left'|'right', mm }
+     */
+    getSightAdjustment(userConfig) {
+        if (!this.config.sightedBows.includes(userConfig.bowType) || !(userConfig.distance > 0)) return null;
+
+        const flierShots = this.getFliers().map(flier => flier.shot);
+        const points = this.points.filter((point, index) => !flierShots.includes(this.shots[index]));
+        if (points.length < this.config.minArrows) return null;
+
+        const centroid = ArrowGroup.centroid(points);
+        if (Math.hypot(centroid.x, centroid.y) < TargetFace.ringWidth(this.face) / 2) return null;
+
+        // Pin movement = impact offset × eye-to-pin distance / shooting distance (cm → mm)
+        const toSight = value => Math.round(value * this.config.sightRadius / userConfig.distance * 10 * 2) / 2;
+        const moves = [
+            { direction: centroid.y < 0 ? 'down' : 'up', mm: Math.abs(toSight(centroid.y)) },
+            { direction: centroid.x < 0 ? 'left' : 'right', mm: Math.abs(toSight(centroid.x)) }
+        ].filter(move => move.mm >= this.config.minSightMove);
+
+        return moves.length > 0 ? moves : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArrowGroup;
+}
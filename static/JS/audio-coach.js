@@ -0,0 +1,94 @@
+// OneShot.pro Audio Coach
+// Live spoken cues during the draw: at most one fault per shot phase,
+// throttled so the same cue is not repeated, and "Good form" at anchor lock
+
+class AudioCoach {
+    /**
+     * @param {Function} speak - (text) => void
+     */
+    constructor(speak, coachConfig = CONFIG.audioCoaching) {
+        this.speak = speak;
+        this.config = coachConfig;
+        this.verbosity = CONFIG.defaultSettings.audio.verbosity;
+        this.reset();
+    }
+
+    reset() {
+        this.cuedThisPhase = false;
+        this.lastEvaluation = null;
+        this.lastCueTime = -Infinity;
+        this.lastSpoken = {};    // cue text -> time last spoken
+        this.failingSince = {};  // check key -> time it started failing
+    }
+
+    setVerbosity(verbosity) {
+        this.verbosity = verbosity;
+    }
+
+    // Verbosity at least as chatty as `level`
+    allows(level) {
+        const levels = this.config.verbosityLevels;
+        return levels.indexOf(this.verbosity) >= levels.indexOf(level);
+    }
+
+    /**
+     * A new phase may be cued again; anchor lock with no failing check gets "Good form"
+     * @param {Object} event - PhaseTracker phase change event
+     */
+    onPhaseChange(event) {
+        this.cuedThisPhase = false;
+        if (!this.allows('normal') || event.phase !== SHOT_PHASES.ANCHOR) return;
+
+        const evaluation = this.lastEvaluation || {};
+        const checks = Object.values(evaluation);
+        if (checks.length > 0 && checks.every(check => check.pass)) {
+            this.say(i18n.t('audio.goodForm', {}, CONFIG.audioFeedback.goodForm), event.timestamp);
+            this.cuedThisPhase = true;
+        }
+    }
+
+    /**
+     * Cue the worst fault that has held for persistMs, once per phase
+     */
+    update(phase, evaluation, now) {
+        this.lastEvaluation = evaluation;
+
+        Object.entries(evaluation).forEach(([key, check]) => {
+            if (check.pass) {
+                delete this.failingSince[key];
+            } else if (this.failingSince[key] === undefined) {
+                this.failingSince[key] = now;
+            }
+        });
+        Object.keys(this.failingSince).forEach(key => {
+            if (!evaluation[key]) delete this.failingSince[key];
+        });
+
+        if (!this.allows('normal') || this.cuedThisPhase || !this.config.phases.includes(phase)) return;
+        if (now - this.lastCueTime < this.config.minGapMs) return;
+
+        const fault = Object.entries(evaluation)
+            .filter(([key, check]) => !check.pass && now - this.failingSince[key] >= this.config.persistMs)
+            .map(([key, check]) => ({ check, metric: metricRegistry.get(key) }))
+            .filter(({ metric }) => metric && metric.audioCue)
+            .map(fault => ({ ...fault, cue: metricRegistry.text(fault.metric, 'audioCue') }))
+            .filter(({ cue }) => now - (this.lastSpoken[cue] || -Infinity) >= this.config.repeatIntervalMs)
+            .sort((a, b) => b.check.deviation - a.check.deviation)[0];
+
+        if (fault) {
+            this.say(fault.cue, now);
+            this.cuedThisPhase = true;
+        }
+    }
+
+    say(text, now) {
+        this.lastCueTime = now;
+        this.lastSpoken[text] = now;
+        this.speak(text);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioCoach;
+}
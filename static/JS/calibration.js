@@ -0,0 +1,191 @@
+// OneShot.pro Calibration
+// Personal thresholds: bow type / experience profiles, refined by a
+// per-archer baseline recorded from a few reference shots
+
+class Calibration {
+    constructor(store = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.config = CONFIG.calibration;
+        this.store = store;
+
+        // Reference shot metrics while a calibration run is in progress
+        this.samples = null;
+        this.userConfig = null;
+    }
+
+    // Keep ratio thresholds at 2 decimals, angles and the rest at 1
+    static round(value, unit) {
+        return parseFloat(value.toFixed(unit === 'ratio' ? 2 : 1));
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * Base thresholds adjusted for the archer's bow type and experience
+     */
+    static profileThresholds(userConfig) {
+        const profiles = CONFIG.thresholdProfiles;
+        const overrides = profiles.bowType[userConfig.bowType] || {};
+        const scale = profiles.experience[userConfig.experience] || 1;
+
+        const thresholds = {};
+        Object.entries(metricRegistry.baseThresholds()).forEach(([key, base]) => {
+            const threshold = { ...base, ...(overrides[key] || {}) };
+            if (threshold.max !== undefined) {
+                threshold.max = Calibration.round(threshold.max * scale, threshold.unit);
+            }
+            if (threshold.tolerance !== undefined) {
+                threshold.tolerance = Calibration.round(threshold.tolerance * scale, threshold.unit);
+            }
+            thresholds[key] = threshold;
+        });
+        return thresholds;
+    }
+
+    /**
+     * Narrow or widen profile thresholds around the archer's own baseline.
+     * Limits follow mean + spreadFactor x stddev, bounded to a band around
+     * the profile value so a sloppy calibration cannot switch a check off.
+     */
+    static personalize(thresholds, baseline) {
+        const { spreadFactor, minFactor, maxFactor } = CONFIG.calibration;
+        const result = { ...thresholds };
+
+        metricRegistry.poseMetrics().forEach(metric => {
+            const key = metric.thresholdKey;
+            const stats = baseline.metrics[metric.metricKey];
+            const profile = thresholds[key];
+            if (!stats || !profile) return;
+
+            const spread = spreadFactor * stats.stddev;
+
+            if (metric.rule === 'target') {
+                const target = Calibration.clamp(stats.mean,
+                    profile.target - profile.tolerance, profile.target + profile.tolerance);
+                const tolerance = Calibration.clamp(spread,
+                    profile.tolerance * minFactor, profile.tolerance * maxFactor);
+                result[key] = {
+                    ...profile,
+                    target: Calibration.round(target, profile.unit),
+                    tolerance: Calibration.round(tolerance, profile.unit),
+                    personalized: true
+                };
+            } else {
+                const max = Calibration.clamp(stats.mean + spread,
+                    profile.max * minFactor, profile.max * maxFactor);
+                result[key] = {
+                    ...profile,
+                    max: Calibration.round(max, profile.unit),
+                    personalized: true
+                };
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Per-metric stats from a set of reference shots
+     */
+    static buildBaseline(samples, userConfig) {
+        const metrics = {};
+        metricRegistry.metricKeys().forEach(key => {
+            const stats = Utils.calculateStats(samples.map(sample => sample[key]));
+            if (stats) metrics[key] = stats;
+        });
+
+        return {
+            bowType: userConfig.bowType,
+            hand: userConfig.hand,
+            experience: userConfig.experience,
+            height: userConfig.height,
+            drawLength: userConfig.drawLength,
+            createdAt: new Date().toISOString(),
+            shotCount: samples.length,
+            metrics
+        };
+    }
+
+    // --- Stored baselines (one per bow type and bow hand) ---
+
+    static baselineKey(userConfig) {
+        return `${userConfig.bowType}-${userConfig.hand}`;
+    }
+
+    readAll() {
+        if (!this.store) return {};
+        try {
+            return JSON.parse(this.store.getItem(CONFIG.storage.calibration)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeAll(baselines) {
+        if (this.store) {
+            this.store.setItem(CONFIG.storage.calibration, JSON.stringify(baselines));
+        }
+    }
+
+    getBaseline(userConfig) {
+        return this.readAll()[Calibration.baselineKey(userConfig)] || null;
+    }
+
+    saveBaseline(baseline) {
+        const baselines = this.readAll();
+        baselines[Calibration.baselineKey(baseline)] = baseline;
+        this.writeAll(baselines);
+    }
+
+    clearBaseline(userConfig) {
+        const baselines = this.readAll();
+        delete baselines[Calibration.baselineKey(userConfig)];
+        this.writeAll(baselines);
+    }
+
+    /**
+     * Thresholds to evaluate this archer with: profile, then baseline if recorded
+     */
+    thresholdsFor(userConfig) {
+        const thresholds = Calibration.profileThresholds(userConfig);
+        const baseline = this.getBaseline(userConfig);
+        return baseline ? Calibration.personalize(thresholds, baseline) : thresholds;
+    }
+
+    // --- Calibration run ---
+
+    start(userConfig) {
+        this.userConfig = userConfig;
+        this.samples = [];
+    }
+
+    cancel() {
+        this.samples = null;
+    }
+
+    isActive() {
+        return this.samples !== null;
+    }
+
+    /**
+     * Record one reference shot. Once enough are in, the baseline is
+     * stored and returned; until then baseline is null.
+     */
+    addShot(metrics) {
+        this.samples.push(metrics);
+        const progress = { count: this.samples.length, total: this.config.shotCount, baseline: null };
+
+        if (progress.count >= progress.total) {
+            progress.baseline = Calibration.buildBaseline(this.samples, this.userConfig);
+            this.saveBaseline(progress.baseline);
+            this.samples = null;
+        }
+        return progress;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calibration;
+}
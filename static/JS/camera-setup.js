@@ -0,0 +1,232 @@
+// OneShot.pro Camera Setup
+// Pre-session placement wizard: works out which side of the archer the camera
+// is on, checks the whole body is in frame with the needed joints visible,
+// and coaches where to move the camera before the session starts
+
+class CameraSetup {
+    constructor(poseAnalyzer, setupConfig = CONFIG.cameraSetup) {
+        this.poseAnalyzer = poseAnalyzer;
+        this.config = setupConfig;
+
+        this.active = false;
+        this.userConfig = null;
+        this.mirrored = false;
+        this.views = [];
+        this.readySince = null;
+    }
+
+    /**
+     * @param {Object} options - { mirrored: true } when the preview is a selfie view
+     */
+    start(userConfig, options = {}) {
+        this.active = true;
+        this.userConfig = userConfig;
+        this.mirrored = !!options.mirrored;
+        this.views = [];
+        this.readySince = null;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    cancel() {
+        this.active = false;
+    }
+
+    /**
+     * End the wizard
+     * @returns {string|null} the settled camera view
+     */
+    finish() {
+        this.active = false;
+        return this.currentView();
+    }
+
+    // Most common view over the recent frames
+    currentView() {
+        const counts = {};
+        this.views.forEach(view => {
+            counts[view] = (counts[view] || 0) + 1;
+        });
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length > 0 ? ranked[0][0] : null;
+    }
+
+    /**
+     * Assess one frame and track how long placement has been good
+     * @param {number} aspect - frame width / height
+     * @returns {Object} assess() result plus `stable` (ready for readyHoldMs)
+     */
+    update(poseLandmarks, worldLandmarks, aspect, now) {
+        if (poseLandmarks && poseLandmarks.length > 0) {
+            const view = this.classifyView(
+                worldLandmarks && worldLandmarks.length > 0 ? worldLandmarks : poseLandmarks,
+                this.userConfig
+            );
+            if (view) {
+                this.views.push(view);
+                if (this.views.length > this.config.viewSamples) {
+                    this.views.shift();
+                }
+            }
+        }
+
+        const assessment = this.assess(poseLandmarks, this.currentView(), aspect);
+        if (!assessment.ready) {
+            this.readySince = null;
+        } else if (this.readySince === null) {
+            this.readySince = now;
+        }
+        assessment.stable = this.readySince !== null && now - this.readySince >= this.config.readyHoldMs;
+        return assessment;
+    }
+
+    /**
+     * Which side of the archer the camera is on, from landmark depth
+     * (world landmarks when available; image landmarks carry a relative z too).
+     * Smaller z is nearer the camera.
+     * @returns {string|null} 'front', 'behind', 'bowSide' or 'drawSide'
+     */
+    classifyView(landmarks, userConfig) {
+        const points = this.poseAnalyzer.resolvePoints(landmarks, userConfig);
+        const { leftShoulder, rightShoulder, nose } = points;
+        if (!leftShoulder || !rightShoulder || !nose) return null;
+
+        const across = Math.abs(rightShoulder.x - leftShoulder.x);
+        const depth = Math.abs((rightShoulder.z || 0) - (leftShoulder.z || 0));
+
+        if (across >= depth) {
+            // Shoulder line runs across the picture: chest or back towards the camera
+            const shoulderDepth = ((leftShoulder.z || 0) + (rightShoulder.z || 0)) / 2;
+            const faceVisible = nose.visibility === undefined || nose.visibility >= this.config.minVisibility;
+            return faceVisible && (nose.z || 0) < shoulderDepth ? 'front' : 'behind';
+        }
+
+        // Shoulder line points at the camera: the nearer shoulder names the side
+        return (points.bowShoulder.z || 0) < (points.drawShoulder.z || 0) ? 'bowSide' : 'drawSide';
+    }
+
+    /**
+     * Placement checks and coaching for one frame
+     * @returns {Object} { view, checks: [{ label, pass }], advice: [string], metrics: [label], ready }
+     */
+    assess(poseLandmarks, view, aspect) {
+        const config = this.config;
+        const metrics = metricRegistry.forView(view).map(metric => metricRegistry.label(metric));
+
+        const points = poseLandmarks && poseLandmarks.length > 0
+            ? this.poseAnalyzer.resolvePoints(poseLandmarks, this.userConfig)
+            : null;
+        const L = CONFIG.landmarks;
+        const ankles = points ? [poseLandmarks[L.LEFT_ANKLE], poseLandmarks[L.RIGHT_ANKLE]] : [];
+        const body = points ? [
+            points.nose, points.leftShoulder, points.rightShoulder,
+            points.bowElbow, points.bowWrist, points.drawElbow, points.drawWrist,
+            points.leftHip, points.rightHip, ...ankles
+        ].filter(point => point && point.visibility >= config.minVisibility) : [];
+
+        if (body.length === 0) {
+            return {
+                view: null,
+                checks: [{ label: i18n.t('setup.checks.detected'), pass: false }],
+                advice: [i18n.t('setup.standInView')],
+                metrics,
+                ready: false
+            };
+        }
+
+        const advice = [];
+        const xs = body.map(point => point.x);
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const margin = config.edgeMargin;
+        const cutTop = points.nose.y < margin || points.nose.visibility < config.minVisibility;
+        const cutBottom = ankles.some(ankle => !ankle || ankle.y > 1 - margin || ankle.visibility < config.minVisibility);
+        const cutSide = left < margin || right > 1 - margin;
+
+        // Scale from the torso, which stays in frame when the head or feet are cut off
+        const torso = Math.abs(
+            Utils.getMidpoint(points.leftHip, points.rightHip).y -
+            Utils.getMidpoint(points.leftShoulder, points.rightShoulder).y
+        );
+        const frameHeightM = torso > 0 ? config.torsoShare * this.userConfig.height / torso : null;
+        const bodySpan = torso * config.bodySpanShare / config.torsoShare;
+
+        // Distance: apparent size shrinks in proportion to distance from the camera
+        let distanceOk = true;
+        if (frameHeightM && (bodySpan > config.maxBodySpan || bodySpan < config.minBodySpan || (cutTop && cutBottom))) {
+            const targetHeightM = config.bodySpanShare * this.userConfig.height / config.targetBodySpan;
+            const move = (targetHeightM - frameHeightM) / (2 * Math.tan(config.verticalFov * Math.PI / 360));
+            distanceOk = false;
+            advice.push(move > 0
+                ? i18n.t('setup.moveBack', { distance: CameraSetup.formatMetres(move) })
+                : i18n.t('setup.moveCloser', { distance: CameraSetup.formatMetres(-move) }));
+        } else if (cutTop !== cutBottom) {
+            advice.push(i18n.t(cutTop ? 'setup.tiltUp' : 'setup.tiltDown'));
+        }
+
+        // Centring, in the camera operator's left/right (a selfie preview is mirrored)
+        const offset = (left + right) / 2 - 0.5;
+        const centered = Math.abs(offset) <= config.maxCenterOffset && !cutSide;
+        if (!centered && frameHeightM) {
+            const move = Math.abs(offset) * frameHeightM * aspect;
+            const towardsRight = (offset > 0) !== this.mirrored;
+            if (move >= config.minMoveM) {
+                advice.push(i18n.t(towardsRight ? 'setup.moveRight' : 'setup.moveLeft', {
+                    distance: CameraSetup.formatMetres(move)
+                }));
+            } else {
+                advice.push(i18n.t(towardsRight ? 'setup.turnRight' : 'setup.turnLeft'));
+            }
+        }
+
+        const missing = this.poseAnalyzer.missingLandmarks(poseLandmarks, this.userConfig, view);
+        if (missing.length > 0) {
+            advice.push(i18n.t('setup.showJoints', { joints: missing.map(CameraSetup.pointLabel).join(', ') }));
+        }
+
+        const recommended = view === config.recommendedView;
+        if (view && !recommended && config.viewAdvice[view]) {
+            advice.push(`${i18n.t(`setup.viewAdvice.${view}`, {}, config.viewAdvice[view])} ` +
+                i18n.t('setup.checksFromHere', { count: metrics.length }));
+        }
+
+        const inFrame = !cutTop && !cutBottom && !cutSide;
+        return {
+            view,
+            checks: [
+                { label: i18n.t('setup.checks.detected'), pass: true },
+                { label: i18n.t('setup.checks.inFrame'), pass: inFrame },
+                { label: i18n.t('setup.checks.distance'), pass: distanceOk },
+                { label: i18n.t('setup.checks.centred'), pass: centered },
+                { label: i18n.t('setup.checks.joints'), pass: missing.length === 0 },
+                { label: i18n.t('setup.checks.view', { view: CameraSetup.viewLabel(view) }), pass: recommended }
+            ],
+            advice,
+            metrics,
+            ready: inFrame && missing.length === 0
+        };
+    }
+
+    // 'bowWrist' -> 'bow wrist'
+    static pointLabel(name) {
+        return i18n.t(`points.${name}`, {}, name.replace(/([A-Z])/g, ' $1').toLowerCase());
+    }
+
+    static viewLabel(view) {
+        return view
+            ? i18n.t(`views.${view}`, {}, CONFIG.cameraSetup.viewLabels[view])
+            : i18n.t('views.unknown');
+    }
+
+    // Rounded to the nearest quarter metre
+    static formatMetres(metres) {
+        return `${i18n.formatNumber(Math.max(0.25, Math.round(metres * 4) / 4), 2, 0)} m`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CameraSetup;
+}
@@ -0,0 +1,130 @@
+// OneShot.pro Clip Recorder
+// Records the annotated canvas into one WebM clip per shot: a fresh segment
+// starts with each draw and is cut shortly after the shot is captured
+
+class ClipRecorder {
+    constructor(canvas, clipConfig = CONFIG.recording.clips) {
+        this.canvas = canvas;
+        this.config = clipConfig;
+        this.mimeType = ClipRecorder.pickMimeType(clipConfig.mimeTypes);
+
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.segmentStart = 0;
+    }
+
+    static pickMimeType(candidates) {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    isSupported() {
+        return this.mimeType !== null && typeof this.canvas.captureStream === 'function';
+    }
+
+    isRecording() {
+        return this.stream !== null;
+    }
+
+    start() {
+        if (this.stream || !this.isSupported()) return false;
+
+        this.stream = this.canvas.captureStream(this.config.fps);
+        this.beginSegment();
+        return true;
+    }
+
+    stop() {
+        this.discardSegment();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Drop the footage recorded so far and start a new segment (called at draw start)
+     */
+    beginSegment() {
+        if (!this.stream) return;
+        this.discardSegment();
+
+        const chunks = [];
+        const recorder = new MediaRecorder(this.stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: this.config.videoBitsPerSecond
+        });
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.start(this.config.timeslice);
+
+        this.recorder = recorder;
+        this.chunks = chunks;
+        this.segmentStart = Date.now();
+    }
+
+    discardSegment() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.ondataavailable = null;
+            this.recorder.stop();
+        }
+        this.recorder = null;
+        this.chunks = [];
+    }
+
+    /**
+     * Keep segments short when no shot is being taken: restart after idleMs
+     * at rest, or after maxClipMs in any phase
+     */
+    trim(atRest) {
+        if (!this.recorder) return;
+
+        const length = Date.now() - this.segmentStart;
+        if ((atRest && length > this.config.idleMs) || length > this.config.maxClipMs) {
+            this.beginSegment();
+        }
+    }
+
+    /**
+     * Cut the current segment into a clip once the follow-through tail has
+     * been recorded, then start the next segment
+     * @returns {Promise<Object|null>} { blob, mimeType, duration } (duration in ms)
+     */
+    finishClip() {
+        if (!this.recorder) return Promise.resolve(null);
+
+        // Detach so a draw starting during the tail cannot discard this clip
+        const recorder = this.recorder;
+        const chunks = this.chunks;
+        const start = this.segmentStart;
+        this.recorder = null;
+        this.chunks = [];
+
+        return new Promise((resolve) => {
+            // Attached now: the recorder stops by itself if the session ends during the tail
+            recorder.onstop = () => {
+                resolve(chunks.length === 0 ? null : {
+                    blob: new Blob(chunks, { type: this.mimeType }),
+                    mimeType: this.mimeType,
+                    duration: Date.now() - start
+                });
+            };
+
+            setTimeout(() => {
+                if (recorder.state !== 'inactive') {
+                    recorder.stop();
+                }
+                if (this.stream && !this.recorder) {
+                    this.beginSegment();
+                }
+            }, this.config.tailMs);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClipRecorder;
+}
@@ -0,0 +1,192 @@
+// OneShot.pro Club Dashboard
+// Team view over /clubs/{clubId}/dashboard: member activity, score and
+// improvement leaderboards and the most common faults across the club
+
+class ClubDashboard {
+    /**
+     * @param {ApiClient} apiClient - signed in as a club member with team_dashboard
+     */
+    constructor(apiClient, clubConfig = CONFIG.clubs) {
+        this.apiClient = apiClient;
+        this.config = clubConfig;
+        this.period = 'month';
+        this.filters = { bowType: '', experience: '' };
+        this.dashboard = null;
+    }
+
+    /**
+     * Members with enough shots in the period to rank, best first
+     * @param {string} field - 'averageScore' or 'improvementRate'
+     */
+    static rank(leaderboard, field, minShots) {
+        return leaderboard
+            .filter(member => member.totalShots >= minShots)
+            .sort((a, b) => b[field] - a[field] || b.totalShots - a.totalShots);
+    }
+
+    static profileLabel(member) {
+        const parts = [];
+        if (member.bowType) parts.push(i18n.t(`bowTypes.${member.bowType}`));
+        if (member.experience) parts.push(i18n.t(`training.${member.experience}`));
+        return parts.join(' • ') || i18n.t('club.noProfile');
+    }
+
+    async initialize() {
+        if (!this.apiClient.isAuthenticated()) {
+            this.showMessage(i18n.t('club.signIn'));
+            return;
+        }
+        const user = this.apiClient.getUser();
+        if (!user.clubId || !this.apiClient.hasFeature('team_dashboard')) {
+            this.showMessage(i18n.t('club.notMember'));
+            return;
+        }
+
+        await this.load();
+    }
+
+    // Messages come from the catalog and may contain links
+    showMessage(message) {
+        const container = document.getElementById('clubMessage');
+        if (container) {
+            container.innerHTML = message;
+            container.hidden = false;
+        }
+        const content = document.getElementById('clubContent');
+        if (content) content.hidden = true;
+    }
+
+    async load() {
+        try {
+            this.dashboard = await this.apiClient.getClubDashboard(this.period, this.filters);
+        } catch (error) {
+            console.error('Could not load club dashboard:', error);
+            this.showMessage(Utils.escapeHtml(error.status === 0 ? i18n.t('club.offline') : error.message));
+            return;
+        }
+
+        document.getElementById('clubMessage').hidden = true;
+        document.getElementById('clubContent').hidden = false;
+        this.render();
+    }
+
+    setPeriod(period) {
+        this.period = period;
+        this.load();
+    }
+
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.load();
+    }
+
+    render() {
+        const dashboard = this.dashboard;
+        const set = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+
+        set('clubName', dashboard.club.name);
+        set('statMembers', i18n.t('club.activeOf', { active: dashboard.activeMembers, total: dashboard.members }));
+        set('statActiveSessions', i18n.formatNumber(dashboard.activeSessions));
+        set('statTeamShots', i18n.formatNumber(dashboard.totalShots));
+        set('statTeamAverage', dashboard.totalShots > 0 ? `${i18n.formatNumber(dashboard.averageScore, 1, 0)}%` : '–');
+
+        this.renderLeaderboard('scoreLeaderboard', ClubDashboard.rank(dashboard.leaderboard, 'averageScore', this.config.minShots),
+            member => `${i18n.formatNumber(member.averageScore, 1, 0)}%`);
+        this.renderLeaderboard('improvementLeaderboard', ClubDashboard.rank(dashboard.leaderboard, 'improvementRate', this.config.minShots),
+            member => i18n.t('analytics.perWeek', {
+                rate: `${member.improvementRate > 0 ? '+' : ''}${i18n.formatNumber(member.improvementRate, 1, 0)}`
+            }));
+        this.renderFaults(dashboard.commonErrors);
+        this.renderActivity(dashboard.leaderboard);
+    }
+
+    renderLeaderboard(id, ranked, formatValue) {
+        const list = document.getElementById(id);
+        if (!list) return;
+
+        list.innerHTML = ranked.length > 0
+            ? ranked.map((member, index) => `
+                <li class="leaderboard-row">
+                    <span class="leaderboard-rank">${index + 1}</span>
+                    <span class="leaderboard-name">
+                        ${Utils.escapeHtml(member.name)}
+                        <span class="muted">${ClubDashboard.profileLabel(member)}</span>
+                    </span>
+                    <strong>${formatValue(member)}</strong>
+                </li>
+            `).join('')
+            : `<li class="muted">${i18n.t('club.noneRanked', { count: this.config.minShots })}</li>`;
+    }
+
+    renderFaults(commonErrors) {
+        const container = document.getElementById('teamFaults');
+        if (!container) return;
+
+        if (commonErrors.length === 0) {
+            container.innerHTML = `<p class="muted">${i18n.t('analytics.noErrors')}</p>`;
+            return;
+        }
+
+        container.innerHTML = commonErrors.map(error => {
+            const metric = metricRegistry.get(error.type);
+            const percent = Math.round(error.rate * 100);
+            return `
+                <div class="fault-row">
+                    <span>${metric ? metricRegistry.name(metric) : Utils.escapeHtml(error.type)}</span>
+                    <div class="fault-bar"><i style="width:${percent}%"></i></div>
+                    <span class="muted">${i18n.t('club.faultShare', { percent: i18n.formatNumber(percent), count: error.count })}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderActivity(leaderboard) {
+        const body = document.getElementById('memberActivity');
+        if (!body) return;
+
+        const members = leaderboard.slice().sort((a, b) => (b.lastActive || '').localeCompare(a.lastActive || ''));
+        body.innerHTML = members.length > 0
+            ? members.map(member => `
+                <tr>
+                    <td>${Utils.escapeHtml(member.name)}${member.activeSessions > 0
+                        ? ` <span class="live-badge">${i18n.t('club.shootingNow')}</span>` : ''}</td>
+                    <td>${ClubDashboard.profileLabel(member)}</td>
+                    <td>${i18n.formatNumber(member.sessions)}</td>
+                    <td>${i18n.formatNumber(member.totalShots)}</td>
+                    <td>${member.totalShots > 0 ? `${i18n.formatNumber(member.averageScore, 1, 0)}%` : '–'}</td>
+                    <td>${member.lastActive ? new Date(member.lastActive).toLocaleDateString(i18n.locale) : i18n.t('club.never')}</td>
+                </tr>
+            `).join('')
+            : `<tr><td colspan="6" class="muted">${i18n.t('club.noMembers')}</td></tr>`;
+    }
+}
+
+let clubDashboard;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', async () => {
+        if (!document.getElementById('clubContent')) return;
+        clubDashboard = new ClubDashboard(new ApiClient());
+        await clubDashboard.initialize();
+    });
+}
+
+function setClubPeriod(period) {
+    if (clubDashboard) {
+        clubDashboard.setPeriod(period);
+    }
+}
+
+function setClubFilter(name, value) {
+    if (clubDashboard) {
+        clubDashboard.setFilter(name, value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClubDashboard;
+}
@@ -0,0 +1,404 @@
+// OneShot.pro Coach Dashboard
+// Student roster from /coaches/{coachId}/students with each student's recent
+// sessions and trend, drill-down into sessions and shots, and shot comments
+
+class CoachDashboard {
+    /**
+     * @param {ApiClient} apiClient - signed in as a coach (coach profile on a tier with coach_tools)
+     */
+    constructor(apiClient, coachConfig = CONFIG.coaching) {
+        this.apiClient = apiClient;
+        this.config = coachConfig;
+        this.period = coachConfig.period;
+        this.students = [];     // [{ user, sessions, totalSessions, progress }]
+        this.student = null;    // roster entry under review
+        this.shots = [];        // shots of the open session
+        this.shot = null;
+        this.comments = [];
+    }
+
+    static initials(name) {
+        return name.split(/\s+/).filter(Boolean).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+    }
+
+    /**
+     * Session averages as chart points, oldest first; unfinished sessions have no summary
+     */
+    static sessionPoints(sessions) {
+        return sessions
+            .filter(session => session.summary && session.summary.totalShots > 0)
+            .map(session => ({ x: new Date(session.startTime).getTime(), y: session.summary.averageScore }))
+            .sort((a, b) => a.x - b.x);
+    }
+
+    /**
+     * Check keys by total count across the period's error trends, most frequent first
+     */
+    static commonErrors(errorTrends, limit = 3) {
+        return Object.entries(errorTrends || {})
+            .map(([key, points]) => ({ key, count: points.reduce((sum, p) => sum + p.count, 0) }))
+            .filter(error => error.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    static checkName(key) {
+        return Utils.escapeHtml(metricRegistry.checkName(key));
+    }
+
+    async initialize() {
+        if (!this.apiClient.isAuthenticated()) {
+            this.showMessage(i18n.t('coach.signIn'));
+            return;
+        }
+        if (!this.apiClient.isCoach()) {
+            this.showMessage(i18n.t('coach.notCoach'));
+            return;
+        }
+
+        window.addEventListener('resize', Utils.debounce(() => this.renderRoster(), 200));
+        await this.loadRoster();
+    }
+
+    errorMessage(error) {
+        return error.status === 0 ? i18n.t('coach.offline') : error.message;
+    }
+
+    // Messages come from the catalog and may contain links
+    showMessage(message) {
+        const container = document.getElementById('coachMessage');
+        if (container) {
+            container.innerHTML = message;
+            container.hidden = false;
+        }
+        const content = document.getElementById('coachContent');
+        if (content) content.hidden = true;
+    }
+
+    async loadRoster() {
+        try {
+            const students = await this.apiClient.getStudents();
+            this.students = await Promise.all(students.map(user => this.loadStudent(user)));
+        } catch (error) {
+            console.error('Could not load students:', error);
+            this.showMessage(Utils.escapeHtml(this.errorMessage(error)));
+            return;
+        }
+
+        if (this.students.length === 0) {
+            this.showMessage(i18n.t('coach.noStudents'));
+            return;
+        }
+
+        document.getElementById('coachMessage').hidden = true;
+        document.getElementById('coachContent').hidden = false;
+
+        // Keep the student under review across period changes
+        const reviewing = this.student && this.students.findIndex(entry => entry.user.id === this.student.user.id);
+        this.student = null;
+        this.renderRoster();
+        if (reviewing !== null && reviewing !== -1) {
+            this.selectStudent(reviewing);
+        }
+    }
+
+    async loadStudent(user) {
+        const [sessionList, progress] = await Promise.all([
+            this.apiClient.getSessions(this.config.recentSessions, 0, user.id),
+            this.apiClient.getProgress(this.period, user.id)
+        ]);
+        return { user, sessions: sessionList.sessions, totalSessions: sessionList.total, progress };
+    }
+
+    setPeriod(period) {
+        this.period = period;
+        this.loadRoster();
+    }
+
+    renderRoster() {
+        const container = document.getElementById('studentList');
+        if (!container) return;
+
+        container.innerHTML = this.students.map((entry, index) => {
+            const { user, sessions, progress } = entry;
+            const last = sessions[0];
+            const sign = progress.improvementRate > 0 ? '+' : '';
+
+            return `
+                <article class="student-card${entry === this.student ? ' active' : ''}">
+                    <div class="student-card-header">
+                        <div class="avatar">${Utils.escapeHtml(CoachDashboard.initials(user.name))}</div>
+                        <div class="coach-info">
+                            <h4>${Utils.escapeHtml(user.name)}</h4>
+                            <p class="muted">${last
+                                ? i18n.t('coach.lastSession', { date: new Date(last.startTime).toLocaleDateString(i18n.locale) })
+                                : i18n.t('coach.noSessions')}</p>
+                        </div>
+                    </div>
+                    <div class="student-stats">
+                        <div>
+                            <span class="stat-label">${i18n.t('analytics.averageScore')}</span>
+                            <strong>${i18n.formatNumber(progress.averageScore, 1, 0)}%</strong>
+                        </div>
+                        <div>
+                            <span class="stat-label">${i18n.t('analytics.improvement')}</span>
+                            <strong>${i18n.t('analytics.perWeek', {
+                                rate: `${sign}${i18n.formatNumber(progress.improvementRate, 1, 0)}`
+                            })}</strong>
+                        </div>
+                        <div>
+                            <span class="stat-label">${i18n.t('analytics.shots')}</span>
+                            <strong>${i18n.formatNumber(progress.totalShots)}</strong>
+                        </div>
+                    </div>
+                    <canvas class="chart-canvas small" id="studentTrend-${index}"></canvas>
+                    <button class="btn-secondary" onclick="selectStudent(${index})">${i18n.t('coach.review')}</button>
+                </article>
+            `;
+        }).join('');
+
+        this.students.forEach((entry, index) => {
+            TrendChart.drawLines(document.getElementById(`studentTrend-${index}`), [{
+                label: entry.user.name,
+                color: '#3b82f6',
+                points: CoachDashboard.sessionPoints(entry.sessions)
+            }], { yMin: 0, yMax: 100 });
+        });
+    }
+
+    selectStudent(index) {
+        this.student = this.students[index];
+        if (!this.student) return;
+
+        this.shots = [];
+        this.shot = null;
+        this.renderRoster();
+        this.renderStudent();
+    }
+
+    renderStudent() {
+        const { user, sessions, totalSessions, progress } = this.student;
+        const detail = document.getElementById('studentDetail');
+        detail.hidden = false;
+
+        const errors = CoachDashboard.commonErrors(progress.errorTrends);
+        document.getElementById('studentName').textContent = user.name;
+        document.getElementById('studentSummary').innerHTML = i18n.t('history.commonErrors', {
+            errors: errors.length > 0
+                ? errors.map(error => `${CoachDashboard.checkName(error.key)} (${error.count})`).join(', ')
+                : i18n.t('common.none')
+        });
+
+        const rows = sessions.map(session => {
+            const score = session.summary && session.summary.totalShots > 0
+                ? i18n.t('coach.sessionAverage', { score: i18n.formatNumber(session.summary.averageScore, 0) })
+                : i18n.t('sessions.unfinished');
+            return `
+                <div class="session-row">
+                    <div class="session-row-info">
+                        <strong>${new Date(session.startTime).toLocaleString(i18n.locale)}</strong>
+                        <span>${i18n.t('sessions.shots', { count: session.shotCount })} • ${score}</span>
+                    </div>
+                    <button class="btn-secondary" onclick="openStudentSession('${session.id}')">${i18n.t('common.view')}</button>
+                </div>
+            `;
+        }).join('');
+
+        const more = totalSessions > sessions.length
+            ? `<p class="muted">${i18n.t('coach.latestSessions', { count: sessions.length, total: totalSessions })}</p>`
+            : '';
+
+        document.getElementById('studentSessions').innerHTML = rows
+            ? `<div class="session-list">${rows}</div>${more}`
+            : `<p class="muted">${i18n.t('coach.noSessions')}</p>`;
+        document.getElementById('sessionShots').innerHTML = '';
+        document.getElementById('shotReview').hidden = true;
+        detail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async openSession(sessionId) {
+        const container = document.getElementById('sessionShots');
+        container.innerHTML = `<p class="muted">${i18n.t('coach.loading')}</p>`;
+        document.getElementById('shotReview').hidden = true;
+
+        try {
+            this.shots = await this.apiClient.getSessionShots(sessionId);
+        } catch (error) {
+            console.error('Could not load shots:', error);
+            container.innerHTML = `<p class="muted">${Utils.escapeHtml(this.errorMessage(error))}</p>`;
+            return;
+        }
+
+        if (this.shots.length === 0) {
+            container.innerHTML = `<p class="muted">${i18n.t('history.noShots')}</p>`;
+            return;
+        }
+
+        container.innerHTML = `<div class="history-shots">${this.shots.map((shot, index) => `
+            <button class="history-shot" onclick="openStudentShot(${index})">
+                <span class="history-shot-number">#${Number(shot.sequenceNumber)}</span>
+                <span>${new Date(shot.timestamp).toLocaleTimeString(i18n.locale)}</span>
+                <span>${i18n.t('coach.errorCount', { count: (shot.errors || []).length })}</span>
+                <span class="history-shot-score">${Number(shot.score)}</span>
+            </button>
+        `).join('')}</div>`;
+    }
+
+    async openShot(index) {
+        const shot = this.shots[index];
+        if (!shot) return;
+
+        this.shot = shot;
+        this.comments = [];
+        this.renderShot();
+
+        try {
+            const comments = await this.apiClient.getShotComments(shot.id);
+            if (shot !== this.shot) return;
+            this.comments = comments;
+        } catch (error) {
+            console.warn('Could not load comments:', error);
+        }
+        this.renderComments();
+    }
+
+    renderShot() {
+        const shot = this.shot;
+        const review = document.getElementById('shotReview');
+        const poseMetrics = shot.poseMetrics || {};
+        const shotErrors = shot.errors || [];
+
+        const thresholds = metricRegistry.baseThresholds();
+        const metricCards = metricRegistry.poseMetrics()
+            .filter(metric => poseMetrics[metric.metricKey] !== undefined)
+            .map(metric => `
+                <div class="metric-card">
+                    <span class="metric-label">${metricRegistry.label(metric)}</span>
+                    <span class="metric-value">${MetricRegistry.format(poseMetrics[metric.metricKey], thresholds[metric.thresholdKey].unit)}</span>
+                </div>
+            `).join('');
+
+        const errorList = shotErrors.length > 0
+            ? shotErrors.map(error => `
+                <div class="error-item">
+                    <span class="error-severity ${Utils.escapeHtml(error.severity)}">${Utils.escapeHtml(error.severity)}</span>
+                    <strong>${CoachDashboard.checkName(MetricRegistry.errorKey(error))}:</strong> ${Utils.escapeHtml(error.description || '')}
+                </div>
+            `).join('')
+            : `<p style="color: var(--success);">✓ ${i18n.t('shot.allPassed')}</p>`;
+
+        review.innerHTML = `
+            <div class="review-header">
+                <h4>${i18n.t('coach.shotTitle', { number: Number(shot.sequenceNumber) })}</h4>
+                <span class="review-score">${Number(shot.score)}</span>
+            </div>
+            <p class="muted">${new Date(shot.timestamp).toLocaleString(i18n.locale)}</p>
+            ${shot.feedback && shot.feedback.text ? `<p class="review-feedback">${Utils.escapeHtml(shot.feedback.text)}</p>` : ''}
+            <div class="metrics-grid">${metricCards}</div>
+            <div class="errors-section">
+                <h4>${i18n.t('shot.formAnalysis')}</h4>
+                ${errorList}
+            </div>
+            <div class="comments-section">
+                <h4>${i18n.t('comments.title')}</h4>
+                <div class="comment-list" id="commentList"></div>
+                <form class="comment-form" onsubmit="addShotComment(event)">
+                    <textarea id="commentText" rows="3" maxlength="${this.config.maxCommentLength}"
+                              placeholder="${i18n.t('coach.commentPlaceholder')}" required></textarea>
+                    <button type="submit" class="btn-primary">${i18n.t('coach.addComment')}</button>
+                    <p class="auth-error" id="commentError" hidden></p>
+                </form>
+            </div>
+        `;
+        review.hidden = false;
+        this.renderComments();
+    }
+
+    renderComments() {
+        const list = document.getElementById('commentList');
+        if (!list) return;
+
+        list.innerHTML = this.comments.length > 0
+            ? this.comments.map(comment => `
+                <div class="comment">
+                    <span class="comment-meta">${i18n.t('comments.meta', {
+                        author: Utils.escapeHtml(comment.authorName),
+                        time: new Date(comment.createdAt).toLocaleString(i18n.locale)
+                    })}</span>
+                    <p>${Utils.escapeHtml(comment.text)}</p>
+                </div>
+            `).join('')
+            : `<p class="muted">${i18n.t('comments.none')}</p>`;
+    }
+
+    async addComment(form) {
+        const shot = this.shot;
+        const input = document.getElementById('commentText');
+        const button = form.querySelector('button[type="submit"]');
+        const error = document.getElementById('commentError');
+        const text = input.value.trim();
+        if (!shot || !text) return;
+
+        button.disabled = true;
+        error.hidden = true;
+
+        try {
+            const comment = await this.apiClient.addShotComment(shot.id, text);
+            if (shot !== this.shot) return;
+            this.comments.push(comment);
+            input.value = '';
+            this.renderComments();
+        } catch (failure) {
+            error.textContent = this.errorMessage(failure);
+            error.hidden = false;
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+let coachDashboard;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', async () => {
+        if (!document.getElementById('coachContent')) return;
+        coachDashboard = new CoachDashboard(new ApiClient());
+        await coachDashboard.initialize();
+    });
+}
+
+function setCoachPeriod(period) {
+    if (coachDashboard) {
+        coachDashboard.setPeriod(period);
+    }
+}
+
+function selectStudent(index) {
+    if (coachDashboard) {
+        coachDashboard.selectStudent(index);
+    }
+}
+
+function openStudentSession(sessionId) {
+    if (coachDashboard) {
+        coachDashboard.openSession(sessionId);
+    }
+}
+
+function openStudentShot(index) {
+    if (coachDashboard) {
+        coachDashboard.openShot(index);
+    }
+}
+
+function addShotComment(event) {
+    event.preventDefault();
+    if (coachDashboard) {
+        coachDashboard.addComment(event.target);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoachDashboard;
+}
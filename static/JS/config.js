@@ -9,8 +9,34 @@ const CONFIG = {
         facingMode: 'user'
     },
 
+    // Extra cameras (e.g. front + side): each runs its own pose pipeline and
+    // every check is taken from the camera whose view measures it best
+    multiCamera: {
+        maxCameras: 3,
+        maxSkewMs: 100,         // other cameras' results further than this from the main frame are ignored
+        bufferSize: 10          // recent results kept per extra camera for time alignment
+    },
+
+    // Several archers side by side in one camera view (club lanes, 'multi_user').
+    // The MediaPipe Tasks pose landmarker finds more than one person per frame.
+    // Distances are fractions of the frame, between body centres.
+    multiArcher: {
+        maxArchers: 4,
+        matchDistance: 0.12,     // furthest an archer's centre moves between frames and keeps the track
+        reacquireDistance: 0.1,  // an archer back on the line takes the away track last seen this close
+        awayAfterMs: 1000,       // a track not seen for this long is shown as away
+        recentShots: 5,          // shots listed in each archer's panel
+        colors: ['#60a5fa', '#f59e0b', '#34d399', '#f472b6'],
+        visionBundle: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/vision_bundle.mjs',
+        wasmPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm',
+        modelPath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task'
+    },
+
     // Pose Detection (matches Python POSE_CONFIDENCE and settings)
     pose: {
+        // 'auto' computes metrics from 3D world landmarks when MediaPipe provides them,
+        // '2d' always uses the image landmarks
+        metricMode: 'auto',
         modelComplexity: 1,
         smoothLandmarks: true,
         enableSegmentation: false,
@@ -19,6 +45,7 @@ const CONFIG = {
     },
 
     // Form Analysis Thresholds (matches Python config.py exactly)
+    // Checks themselves are declared in metric-registry.js
     thresholds: {
         shoulderLine: {
             max: 10.0,
@@ -56,9 +83,243 @@ const CONFIG = {
             unit: 'ratio',
             name: 'Anchor Point',
             description: 'Anchor to mouth corner'
+        },
+        // Stability checks (only evaluated during the anchor hold)
+        bowStability: {
+            max: 1.5,
+            unit: '%',
+            name: 'Bow Arm Steadiness',
+            description: 'Hold the bow arm still'
+        },
+        drawDrift: {
+            max: 5.0,
+            unit: '%',
+            name: 'Draw Hand Drift',
+            description: 'Keep the draw hand locked at anchor'
+        },
+        holdDuration: {
+            target: 2.5,
+            tolerance: 1.5,
+            unit: 's',
+            name: 'Anchor Hold',
+            description: 'Hold anchor for 1-4 seconds'
+        }
+    },
+
+    // Threshold adjustments applied over the base thresholds above.
+    // Bow type overrides replace values; experience scales every max and tolerance.
+    thresholdProfiles: {
+        bowType: {
+            recurve: {},
+            compound: {
+                anchorRatio: { max: 0.35 }      // release-aid anchors sit back along the jaw
+            },
+            traditional: {
+                anchorRatio: { max: 0.30 },     // split-finger / face-walking anchors vary
+                headTilt: { max: 16.0 }         // head follows the canted bow
+            }
+        },
+        experience: {
+            beginner: 1.2,
+            intermediate: 1.0,
+            advanced: 0.85
+        }
+    },
+
+    // Form Score (0-100). Each check scores from its deviation: 0 is ideal,
+    // 1 is on the pass limit (max, or target ± tolerance).
+    scoring: {
+        passScore: 80,         // check score exactly on the pass limit
+        falloff: 1.0,          // further deviation (in pass bands) at which a check scores 0
+        // Share of the overall score per check; unlisted checks use the metric's weight or 1
+        weights: {
+            shoulderLine: 1.0,
+            bowElbow: 1.5,
+            drawAlign: 1.5,
+            headTilt: 0.75,
+            spineLean: 1.0,
+            anchor: 1.5,
+            bowStability: 1.0,
+            drawDrift: 1.0,
+            holdDuration: 0.5
+        },
+        // Replace weights per bow type
+        bowTypeWeights: {
+            recurve: {},
+            compound: {
+                bowElbow: 1.0,     // shorter, stiffer bow arm is acceptable with a release aid
+                bowStability: 1.5  // aiming steadiness decides compound scores
+            },
+            traditional: {
+                headTilt: 0.5,     // head follows the canted bow
+                holdDuration: 0.25 // instinctive shooters often release without a long hold
+            }
+        },
+        // A failed check is high severity below the first score, medium below the second
+        severity: {
+            high: 25,
+            medium: 50
+        }
+    },
+
+    // Stability Window (jitter/drift are % of shoulder width)
+    stability: {
+        windowMs: 1000,     // rolling window for bow-wrist jitter
+        minSamples: 5,      // below this the hold is too short to judge
+        retainMs: 1500      // keep last hold's values this long after it ends
+    },
+
+    // Personal Calibration (reference shots -> per-archer baseline)
+    calibration: {
+        shotCount: 5,           // reference shots needed for a baseline
+        spreadFactor: 2.0,      // personal limit = baseline mean + spreadFactor x stddev
+        minFactor: 0.6,         // personalized limits stay within these multiples
+        maxFactor: 1.5          // of the bow type / experience profile value
+    },
+
+    // Camera Placement Wizard (runs before a live session starts)
+    // Views: front (facing the archer's chest), bowSide (down the shooting line
+    // from the target end), drawSide (behind the draw hand), behind (facing the back)
+    cameraSetup: {
+        enabled: true,
+        minVisibility: 0.5,     // landmarks below this count as hidden
+        edgeMargin: 0.03,       // share of the frame kept clear at each edge
+        minBodySpan: 0.55,      // nose-to-ankle height as a share of the frame
+        maxBodySpan: 0.9,
+        targetBodySpan: 0.75,
+        maxCenterOffset: 0.12,  // body centre from frame centre, share of frame width
+        torsoShare: 0.3,        // shoulder-to-hip length as a share of standing height
+        bodySpanShare: 0.89,    // nose-to-ankle length as a share of standing height
+        verticalFov: 40,        // degrees; typical webcam, for distance estimates
+        minMoveM: 0.25,         // corrections smaller than this are not asked for
+        viewSamples: 15,        // frames voted over to settle the detected view
+        readyHoldMs: 1000,      // placement must stay good this long to enable Start
+        recommendedView: 'front',
+        viewLabels: {
+            front: 'Front',
+            bowSide: 'Bow side',
+            drawSide: 'Draw side',
+            behind: 'Behind'
+        },
+        viewAdvice: {
+            bowSide: 'The camera is down the shooting line on your bow side. Move it round to face your chest.',
+            drawSide: 'The camera is behind your draw hand. Move it round to face your chest.',
+            behind: 'The camera sees your back. Move it to the other side of you, facing your chest.'
+        }
+    },
+
+    // Shot Phase Detection (hysteresis bands + minimum dwell times)
+    // Wrist speeds are in shoulder widths per second so they scale with camera distance
+    phases: {
+        draw: {
+            bowElbowEnter: 150.0,   // bow arm extending
+            bowElbowExit: 135.0,    // let-down below this
+            armRaiseEnter: 60.0,    // hip-shoulder-wrist angle: bow arm lifted towards shoulder height
+            armRaiseExit: 45.0      // arm lowered below this is a let-down
+        },
+        anchor: {
+            // x the active anchorRatio max (base 0.25 -> lock at 0.30, off anchor above 0.40)
+            enterFactor: 1.2,
+            exitFactor: 1.6,
+            maxWristSpeed: 0.6      // draw hand must be settled to lock anchor
+        },
+        expansion: {
+            minSpanGrowth: 0.03     // bow-to-draw wrist span growth since anchor lock
+        },
+        release: {
+            minWristSpeed: 2.5      // sudden draw-hand displacement
+        },
+        followThrough: {
+            duration: 1200          // ms before returning to rest
+        },
+        minDwell: {                 // ms a phase must last before it can change
+            rest: 150,
+            draw: 250,
+            anchor: 300,
+            expansion: 150,
+            release: 80,
+            followThrough: 400
+        },
+        labels: {
+            rest: 'Rest',
+            draw: 'Draw Start',
+            anchor: 'Anchor Lock',
+            expansion: 'Expansion',
+            release: 'Release',
+            followThrough: 'Follow-Through'
+        }
+    },
+
+    // Shot Time-Series Recording
+    recording: {
+        bufferSize: 450,        // frames kept in the ring buffer (~15 s at 30 fps)
+
+        // Annotated canvas clips per shot (MediaRecorder, WebM)
+        clips: {
+            enabled: false,     // default for the Record Clips toggle
+            fps: 30,
+            mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+            videoBitsPerSecond: 2500000,
+            timeslice: 1000,    // ms of footage per recorded chunk
+            idleMs: 5000,       // footage kept at rest before a draw starts
+            maxClipMs: 30000,   // hard cap on a single clip
+            tailMs: 1000,       // follow-through kept after the shot is captured
+            replaySpeeds: [0.25, 0.5, 1]
         }
     },
 
+    // Video File Analysis (recorded footage instead of the live camera)
+    videoAnalysis: {
+        fps: 30                 // frames sampled per second of footage
+    },
+
+    // Progress Analytics (period lengths in days, matches /analytics/progress)
+    analytics: {
+        periods: {
+            week: 7,
+            month: 30,
+            year: 365
+        }
+    },
+
+    // Arrow entry on World Archery 10-ring faces (target-face.js). Each ring is a
+    // twentieth of the face diameter wide; the X is the inner half of the 10.
+    targets: {
+        faces: {
+            wa122: { diameter: 122, maxDistance: Infinity },
+            wa80: { diameter: 80, maxDistance: 50 },
+            wa40: { diameter: 40, maxDistance: 25 }
+        },
+        goodRing: 8,             // arrows below this ring count as misses when looking for form patterns
+        minShots: 5,             // shots with an arrow before correlations are reported
+        minMisses: 3,            // misses in one direction before that direction is reported
+        minEffect: 0.8,          // difference in a check's mean, in pooled standard deviations
+        minCorrelation: 0.4,     // check score vs arrow score
+        maxInsights: 4,
+        groups: {
+            minArrows: 3,        // arrows before a group's size is reported
+            minForFliers: 4,     // arrows before one of them can stand out as a flier
+            flierFactor: 2.5,    // flier: further from the others' centre than this many of their mean radii
+            sightRadius: 0.85,   // eye to sight pin (m), for sight corrections
+            minSightMove: 0.5,   // mm; smaller corrections are not suggested
+            sightedBows: ['recurve', 'compound']
+        }
+    },
+
+    // Coach dashboard (coach-dashboard.js)
+    coaching: {
+        recentSessions: 5,       // sessions listed per student on the roster
+        period: 'month',         // default window for student trends
+        maxCommentLength: 1000
+    },
+
+    // Club team dashboard (club-dashboard.js, /clubs/{clubId}/dashboard)
+    clubs: {
+        minShots: 5,             // shots in the period before a member is ranked
+        activeSessionHours: 3,   // unfinished sessions younger than this count as active
+        commonErrors: 5          // team-wide faults listed
+    },
+
     // Tier Limits
     tiers: {
         free: {
@@ -90,7 +351,10 @@ const CONFIG = {
         anchorCircleColor: 'rgba(59, 130, 246, 0.6)',
         anchorCircleRadius: 20,
         statusUpdateInterval: 100, // ms
-        feedbackDelay: 200 // ms before showing feedback
+        feedbackDelay: 200, // ms before showing feedback
+        comparisonShotColor: 'rgba(245, 158, 11, 0.9)',
+        comparisonReferenceColor: 'rgba(59, 130, 246, 0.7)',
+        comparisonSpan: 6 // shoulder widths shown across the comparison canvas
     },
 
     // Pose Landmark Indices (MediaPipe Pose - matches Python)
@@ -142,43 +406,107 @@ const CONFIG = {
     ],
 
     // Audio Feedback (Text-to-Speech messages - matches Python)
+    // Per-check cues are declared with each metric in metric-registry.js
     audioFeedback: {
-        shoulderLine: "Level your shoulders",
-        bowElbow: "Straighten your bow arm",
-        drawAlign: "Align your draw elbow",
-        headTilt: "Keep your head level",
-        spineLean: "Stand up straight",
-        anchorRatio: "Anchor to your mouth corner",
         goodForm: "Good form",
         poseNotDetected: "Position yourself in frame"
     },
 
+    // Live Audio Coaching (spoken cues during the draw, see audio-coach.js)
+    audioCoaching: {
+        phases: ['draw', 'anchor', 'expansion'], // phases in which faults are cued
+        persistMs: 300,         // a fault must hold this long before it is cued
+        minGapMs: 2500,         // between any two cues
+        repeatIntervalMs: 8000, // before the same cue is spoken again
+        verbosityLevels: ['off', 'minimal', 'normal', 'detailed']
+    },
+
+    // Interface languages (catalogs in static/JS/locales, see i18n.js)
+    i18n: {
+        defaultLocale: 'en',
+        locales: {
+            en: { name: 'English', speech: 'en-US' },
+            es: { name: 'Español', speech: 'es-ES' }
+        }
+    },
+
+    // User settings saved under storage.settings; these are the defaults
+    defaultSettings: {
+        locale: {
+            language: ''        // i18n locale key ('' = browser language)
+        },
+        audio: {
+            // off: silent | minimal: after each shot | normal: + live cues and
+            // "Good form" at anchor | detailed: + full coaching sentence after each shot
+            verbosity: 'normal',
+            voice: '',          // SpeechSynthesis voice name ('' = browser default)
+            rate: 1.0,
+            language: ''        // BCP 47 tag, e.g. 'en-GB' ('' = interface language)
+        }
+    },
+
     // Session Settings
     session: {
         autoSaveInterval: 30000, // 30 seconds
         maxSessionDuration: 3600000, // 1 hour
-        shotCooldown: 2000 // 2 seconds between shots
+        shotCooldown: 2000, // 2 seconds between shots
+        autoCapture: {
+            enabled: false,     // hands-free capture on detected release
+            minHoldTime: 500    // ms of stable anchor required before a release counts
+        }
+    },
+
+    // Rounds (round.js): shots are grouped into ends with a rest between them
+    // for collecting arrows. Templates with a distance and face fill the setup
+    // form; ends: null is open practice with no fixed length.
+    rounds: {
+        default: 'practice',
+        templates: {
+            practice: { ends: null, arrowsPerEnd: 6, restSeconds: 120 },
+            wa70: { distance: 70, targetFace: 'wa122', ends: 12, arrowsPerEnd: 6, restSeconds: 240 },
+            wa50: { distance: 50, targetFace: 'wa80', ends: 12, arrowsPerEnd: 6, restSeconds: 240 },
+            wa18: { distance: 18, targetFace: 'wa40', ends: 20, arrowsPerEnd: 3, restSeconds: 120 }
+        }
     },
 
-    // API Endpoints (for future backend integration)
+    // API Endpoints (see oneshot_api_spec.txt)
     api: {
         baseUrl: '/api/v1',
+        timeout: 10000, // ms before a request counts as offline
         endpoints: {
+            auth: '/auth',
             sessions: '/sessions',
             shots: '/shots',
             users: '/users',
             coaches: '/coaches',
             clubs: '/clubs',
             analytics: '/analytics'
+        },
+        // Offline write queue: exponential backoff between flush attempts
+        retry: {
+            baseDelay: 2000,
+            maxDelay: 60000,
+            maxAttempts: 10
         }
     },
 
+    // IndexedDB (object stores are named by the storage keys below)
+    database: {
+        name: 'oneshot_pro',
+        version: 2
+    },
+
     // Storage Keys
     storage: {
         userProfile: 'oneshot_user_profile',
         sessionData: 'oneshot_session_data',
         settings: 'oneshot_settings',
-        shotHistory: 'oneshot_shot_history'
+        calibration: 'oneshot_calibration',
+        shotHistory: 'oneshot_shot_history',
+        shotClips: 'oneshot_shot_clips',
+        referenceShot: 'oneshot_reference_shot',
+        syncQueue: 'oneshot_sync_queue',
+        syncIds: 'oneshot_sync_ids'
     }
 };
 
@@ -222,6 +550,85 @@ const Utils = {
         };
     },
 
+    // --- 3D geometry (MediaPipe world landmarks: metres, y down) ---
+
+    vector3D(from, to) {
+        return { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+    },
+
+    dot3D(u, v) {
+        return u.x * v.x + u.y * v.y + u.z * v.z;
+    },
+
+    cross3D(u, v) {
+        return {
+            x: u.y * v.z - u.z * v.y,
+            y: u.z * v.x - u.x * v.z,
+            z: u.x * v.y - u.y * v.x
+        };
+    },
+
+    length3D(v) {
+        return Math.sqrt(Utils.dot3D(v, v));
+    },
+
+    calculateDistance3D(p1, p2) {
+        return Utils.length3D(Utils.vector3D(p1, p2));
+    },
+
+    getMidpoint3D(p1, p2) {
+        return {
+            x: (p1.x + p2.x) / 2,
+            y: (p1.y + p2.y) / 2,
+            z: (p1.z + p2.z) / 2
+        };
+    },
+
+    // Angle between two vectors in degrees (0-180)
+    vectorAngle3D(u, v) {
+        const lengths = Utils.length3D(u) * Utils.length3D(v);
+        if (lengths === 0) return 0;
+        const cos = Math.min(1, Math.max(-1, Utils.dot3D(u, v) / lengths));
+        return Math.acos(cos) * 180.0 / Math.PI;
+    },
+
+    // Joint angle at b, like calculateAngle but in 3D
+    calculateAngle3D(a, b, c) {
+        return Utils.vectorAngle3D(Utils.vector3D(b, a), Utils.vector3D(b, c));
+    },
+
+    // Remove the component of v along the plane normal
+    projectOntoPlane(v, normal) {
+        const normalLength = Utils.dot3D(normal, normal);
+        if (normalLength === 0) return v;
+        const k = Utils.dot3D(v, normal) / normalLength;
+        return { x: v.x - k * normal.x, y: v.y - k * normal.y, z: v.z - k * normal.z };
+    },
+
+    // Angle of the line p1-p2 above or below the horizontal plane (0-90)
+    calculateElevation3D(p1, p2) {
+        const v = Utils.vector3D(p1, p2);
+        const horizontal = Math.sqrt(v.x * v.x + v.z * v.z);
+        return Math.abs(Math.atan2(v.y, horizontal)) * 180.0 / Math.PI;
+    },
+
+    // Summary statistics for a numeric series (population stddev)
+    calculateStats(values) {
+        const finite = values.filter(v => Number.isFinite(v));
+        if (finite.length === 0) return null;
+
+        const mean = finite.reduce((a, b) => a + b, 0) / finite.length;
+        const variance = finite.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / finite.length;
+
+        return {
+            mean,
+            min: Math.min(...finite),
+            max: Math.max(...finite),
+            stddev: Math.sqrt(variance),
+            count: finite.length
+        };
+    },
+
     // Format timestamp
     formatTimestamp(date) {
         return new Date(date).toLocaleString();
@@ -235,6 +642,12 @@ const Utils = {
         return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     },
 
+    // Escape user-entered text (names, comments) for HTML templates
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, c => entities[c]);
+    },
+
     // Generate UUID
     generateUUID() {
         return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
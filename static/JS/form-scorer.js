@@ -0,0 +1,79 @@
+// OneShot.pro Form Scorer
+// Continuous form score: each check scores 0-100 from how far it deviates
+// from ideal, and the overall score is the weighted mean of the checks
+
+class FormScorer {
+    constructor(registry = metricRegistry, scoringConfig = CONFIG.scoring) {
+        this.registry = registry;
+        this.config = scoringConfig;
+    }
+
+    /**
+     * Score of one check from its deviation (0 = ideal, 1 = on the pass limit).
+     * Inside the limit the score eases from 100 down to passScore; beyond it
+     * the score drops linearly to 0 over `falloff` further pass bands.
+     */
+    checkScore(deviation) {
+        const { passScore, falloff } = this.config;
+        if (!Number.isFinite(deviation)) return 0;
+
+        if (deviation <= 1) {
+            return 100 - (100 - passScore) * deviation * deviation;
+        }
+        return Math.max(0, passScore * (1 - (deviation - 1) / falloff));
+    }
+
+    /**
+     * Share of the overall score per check for this archer's bow type
+     */
+    weightsFor(userConfig = {}) {
+        const bowTypeWeights = this.config.bowTypeWeights[userConfig.bowType] || {};
+
+        const weights = {};
+        this.registry.list().forEach(metric => {
+            const base = this.config.weights[metric.key] !== undefined
+                ? this.config.weights[metric.key]
+                : (metric.weight !== undefined ? metric.weight : 1);
+            weights[metric.key] = bowTypeWeights[metric.key] !== undefined ? bowTypeWeights[metric.key] : base;
+        });
+        return weights;
+    }
+
+    /**
+     * Severity of a failed check, from its score
+     */
+    severity(score) {
+        if (score < this.config.severity.high) return 'high';
+        if (score < this.config.severity.medium) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Score an evaluateForm() result
+     * @returns {Object} { overall, checks: { [key]: score } } (whole numbers)
+     */
+    score(evaluation, userConfig) {
+        const weights = this.weightsFor(userConfig);
+        const checks = {};
+        let total = 0;
+        let weightSum = 0;
+
+        Object.entries(evaluation).forEach(([key, entry]) => {
+            const score = this.checkScore(entry.deviation);
+            const weight = weights[key] !== undefined ? weights[key] : 1;
+            checks[key] = Math.round(score);
+            total += score * weight;
+            weightSum += weight;
+        });
+
+        return {
+            overall: weightSum > 0 ? Math.round(total / weightSum) : 0,
+            checks
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormScorer;
+}
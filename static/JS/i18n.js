@@ -0,0 +1,164 @@
+// OneShot.pro Internationalization
+// Message catalogs per locale (static/JS/locales), page translation through
+// data-i18n attributes, and locale-aware number formatting. English text for
+// metrics, phases and camera views stays where it is declared (CONFIG and the
+// metric registry) and is the fallback for the matching catalog key.
+
+class I18n {
+    /**
+     * Add or extend a locale's catalog; each file in static/JS/locales calls this
+     * @param {string} locale - key of CONFIG.i18n.locales, e.g. 'es'
+     * @param {Object} messages - nested messages; values are strings with
+     *   {param} placeholders, or { one, other, ... } plural forms chosen by params.count
+     */
+    static register(locale, messages) {
+        I18n.catalogs[locale] = I18n.merge(I18n.catalogs[locale] || {}, messages);
+    }
+
+    static merge(target, source) {
+        Object.entries(source).forEach(([key, value]) => {
+            const isSection = value && typeof value === 'object' && !I18n.isPlural(value);
+            target[key] = isSection ? I18n.merge({ ...(target[key] || {}) }, value) : value;
+        });
+        return target;
+    }
+
+    static isPlural(value) {
+        return typeof value.other === 'string';
+    }
+
+    /**
+     * Saved UI language, else the browser's
+     * @returns {string} a BCP 47 tag, matched against the supported locales by setLocale
+     */
+    static detectLocale() {
+        const saved = new Settings().get('locale').language;
+        if (saved) return saved;
+        return typeof navigator !== 'undefined' ? (navigator.language || '') : '';
+    }
+
+    constructor(locale = I18n.detectLocale(), i18nConfig = CONFIG.i18n) {
+        this.config = i18nConfig;
+        this.setLocale(locale);
+    }
+
+    /**
+     * Switch language: 'es-MX' falls back to 'es', anything unsupported to the default
+     */
+    setLocale(locale) {
+        const supported = Object.keys(this.config.locales);
+        const tag = (locale || '').toLowerCase();
+        this.locale = supported.find(key => key.toLowerCase() === tag) ||
+            supported.find(key => key.toLowerCase() === tag.split('-')[0]) ||
+            this.config.defaultLocale;
+        this.numberFormats = {};
+        return this.locale;
+    }
+
+    // BCP 47 tag for speech synthesis in the current locale, e.g. 'es-ES'
+    speechLang() {
+        return this.config.locales[this.locale].speech;
+    }
+
+    lookup(locale, key) {
+        let message = I18n.catalogs[locale];
+        for (const part of key.split('.')) {
+            if (!message || typeof message !== 'object') return undefined;
+            message = message[part];
+        }
+        return message;
+    }
+
+    /**
+     * Translate a message key
+     * @param {string} key - dotted path, e.g. 'setup.moveBack'
+     * @param {Object} params - values for {placeholders}; `count` also picks the plural form
+     * @param {string} fallback - used when no catalog has the key (defaults to the key)
+     */
+    t(key, params = {}, fallback = key) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) message = this.lookup(this.config.defaultLocale, key);
+        if (message && typeof message === 'object' && I18n.isPlural(message)) {
+            const form = typeof params.count === 'number'
+                ? new Intl.PluralRules(this.locale).select(params.count)
+                : 'other';
+            message = message[form] || message.other;
+        }
+        if (typeof message !== 'string') message = fallback;
+        if (typeof message !== 'string') return message;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match);
+    }
+
+    /**
+     * Number in the current locale
+     * @param {number} digits - maximum fraction digits
+     * @param {number} minDigits - minimum fraction digits (default: digits)
+     */
+    formatNumber(value, digits = 0, minDigits = digits) {
+        if (!Number.isFinite(value)) return '–';
+
+        const key = `${minDigits}-${digits}`;
+        if (!this.numberFormats[key]) {
+            this.numberFormats[key] = new Intl.NumberFormat(this.locale, {
+                minimumFractionDigits: minDigits,
+                maximumFractionDigits: digits
+            });
+        }
+        return this.numberFormats[key].format(value);
+    }
+
+    /**
+     * Translate static markup:
+     *   data-i18n="key"        - text content
+     *   data-i18n-html="key"   - inner HTML (messages with links or emphasis)
+     *   data-i18n-attr="aria-label:key;title:key2" - attributes
+     * Locale pickers (select[data-locale-select]) are filled in and save the
+     * choice, reloading the page in the new language.
+     */
+    translatePage(root = document) {
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+        }
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, {}, element.textContent);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml, {}, element.innerHTML);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key, {}, element.getAttribute(attribute)));
+                }
+            });
+        });
+
+        root.querySelectorAll('select[data-locale-select]').forEach(select => {
+            select.innerHTML = Object.entries(this.config.locales)
+                .map(([locale, info]) => `<option value="${locale}">${info.name}</option>`).join('');
+            select.value = this.locale;
+            select.onchange = () => {
+                new Settings().update('locale', { language: select.value });
+                window.location.reload();
+            };
+        });
+    }
+}
+
+I18n.catalogs = {};
+
+// Shared instance; catalogs register themselves as their scripts load
+const i18n = new I18n();
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => i18n.translatePage());
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, i18n };
+}
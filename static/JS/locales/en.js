@@ -0,0 +1,608 @@
+// OneShot.pro English messages (default locale)
+// Metric, phase and camera view text is declared in CONFIG and the metric
+// registry; other locales translate it under metrics, phases and views
+
+I18n.register('en', {
+    common: {
+        close: 'Close',
+        none: 'None',
+        reset: 'Reset',
+        skip: 'Skip',
+        view: 'View'
+    },
+
+    nav: {
+        primary: 'Primary',
+        home: 'Home',
+        features: 'Features',
+        pricing: 'Pricing',
+        coaches: 'Coaches',
+        club: 'Club',
+        progress: 'Progress',
+        train: 'Train',
+        login: 'Login',
+        language: 'Language'
+    },
+
+    site: {
+        tagline: 'Train Like You Only Got One Shot'
+    },
+
+    bowTypes: {
+        recurve: 'Recurve',
+        compound: 'Compound',
+        traditional: 'Traditional'
+    },
+
+    hands: {
+        right: 'right-handed',
+        left: 'left-handed'
+    },
+
+    views: {
+        unknown: 'unknown'
+    },
+
+    points: {
+        leftShoulder: 'left shoulder',
+        rightShoulder: 'right shoulder',
+        bowShoulder: 'bow shoulder',
+        drawShoulder: 'draw shoulder',
+        bowElbow: 'bow elbow',
+        drawElbow: 'draw elbow',
+        bowWrist: 'bow wrist',
+        drawWrist: 'draw wrist',
+        leftHip: 'left hip',
+        rightHip: 'right hip',
+        nose: 'nose',
+        mouth: 'mouth'
+    },
+
+    status: {
+        initializingCamera: 'Initializing camera...',
+        initializingPose: 'Initializing MediaPipe Pose...',
+        cameraSetup: 'Camera setup',
+        checkingPlacement: 'Checking placement',
+        readyToStart: 'Ready to start',
+        sessionActive: 'Session active',
+        ready: 'Ready',
+        cameraError: 'Camera error: {message}',
+        poseDetected: 'Pose detected (confidence: {confidence}%)',
+        passing: '{phase} • {passed}/{total} passing',
+        noPose: 'Position yourself in frame - no pose detected',
+        noPoseForShot: 'No pose detected - please position yourself in frame',
+        noPoseHere: 'No pose detected at this point',
+        cooldown: 'Please wait between shots...',
+        formGood: 'Form looks good',
+        videoStopped: 'Video analysis stopped: {message}',
+        analysisComplete: {
+            one: 'Analysis complete - {count} shot detected',
+            other: 'Analysis complete - {count} shots detected'
+        },
+        scrubToReview: 'Scrub to review',
+        reviewingVideo: 'Reviewing recorded video'
+    },
+
+    errors: {
+        cameraAccess: 'Could not access camera. Please check permissions and try again.',
+        extraCameras: 'Could not open every selected camera ({message}). Continuing with the cameras that opened.',
+        videoOpen: 'Could not open {file}: {message}',
+        clipsUnsupported: 'Recording clips is not supported in this browser.',
+        noReference: 'Pin a shot as your reference form to compare against it.',
+        multiArcherLoad: 'Could not load the multi-archer pose model: {message}'
+    },
+
+    confirm: {
+        resetCalibration: 'Discard the personal baseline for this bow?',
+        deleteSession: 'Delete this session and all of its shots?'
+    },
+
+    feedback: {
+        excellent: 'Excellent Form!',
+        allPassed: 'All form checks passed. Great shot!',
+        general: 'Work on improving your form.',
+        outOfRange: '{name} out of range'
+    },
+
+    audio: {
+        calibrationComplete: 'Calibration complete',
+        interfaceLanguage: 'Interface language',
+        defaultVoice: 'Default voice'
+    },
+
+    panel: {
+        height: 'H: {value}m',
+        distance: 'D: {value}m',
+        hand: {
+            right: 'RIGHT',
+            left: 'LEFT'
+        },
+        cameras: '{count} cameras'
+    },
+
+    controls: {
+        capture: 'Capture Shot',
+        autoCaptureOn: 'Auto Capture: On',
+        autoCaptureOff: 'Auto Capture: Off',
+        recordClipsOn: 'Record Clips: On',
+        recordClipsOff: 'Record Clips: Off',
+        stop: 'Stop Session',
+        progress: 'View Progress'
+    },
+
+    camera: {
+        numbered: 'Camera {number}',
+        tag: 'Cam {number}',
+        noneFound: 'No cameras found. The default camera is used.',
+        detectingView: 'detecting view...'
+    },
+
+    setup: {
+        title: 'Camera Setup',
+        intro: 'Stand where you will shoot. For every check, place the camera in front of you, facing your chest, with your whole body in view.',
+        start: 'Start Session',
+        checks: {
+            detected: 'Archer detected',
+            inFrame: 'Whole body in frame',
+            distance: 'Camera distance',
+            centred: 'Archer centred',
+            joints: 'Key joints visible',
+            view: 'View: {view}'
+        },
+        standInView: 'Stand where you will shoot, side-on to the target, in full view of the camera.',
+        moveBack: 'Move the camera back about {distance}.',
+        moveCloser: 'Move the camera closer by about {distance}.',
+        tiltUp: 'Tilt the camera up so your head is in frame.',
+        tiltDown: 'Tilt the camera down so your feet are in frame.',
+        moveRight: 'Move the camera about {distance} right.',
+        moveLeft: 'Move the camera about {distance} left.',
+        turnRight: 'Turn the camera slightly right.',
+        turnLeft: 'Turn the camera slightly left.',
+        showJoints: 'Make sure your {joints} can be seen.',
+        checksFromHere: {
+            one: 'Only {count} check can be judged from here.',
+            other: 'Only {count} checks can be judged from here.'
+        },
+        placementGood: 'Camera placement looks good.',
+        viewChecks: 'Checks for this view: {checks}'
+    },
+
+    calibration: {
+        progress: 'Calibration: {count} / {total} reference shots',
+        none: 'No personal baseline for this bow yet. Thresholds follow your bow type and experience level.',
+        baseline: 'Personal baseline:',
+        shots: {
+            one: '{count} reference shot',
+            other: '{count} reference shots'
+        }
+    },
+
+    video: {
+        pause: 'Pause Analysis',
+        resume: 'Resume Analysis',
+        complete: 'Analysis Complete',
+        position: 'Video position',
+        marker: 'Shot {number}: {score}% at {time}'
+    },
+
+    tier: {
+        name: '{tier} Tier:',
+        unlimited: 'Unlimited shots',
+        unlimitedPerSession: 'Unlimited shots per session',
+        perSession: {
+            one: '{count} shot per session',
+            other: '{count} shots per session'
+        },
+        advanced: 'Advanced analytics',
+        basic: 'Basic feedback • Community support',
+        limitReached: "You've reached your free tier limit ({count} shots). Upgrade to Pro for unlimited shots and advanced features!",
+        learnMore: 'Would you like to learn more about Pro?',
+        upgrade: 'Upgrade to Pro for unlimited shots →'
+    },
+
+    shot: {
+        title: 'Shot Analysis',
+        next: 'Next Shot',
+        formScore: 'Form Score',
+        formAnalysis: 'Form Analysis',
+        allPassed: 'All form checks passed!',
+        errorValue: '{value} (target: {threshold})',
+        pinReference: 'Pin as Reference',
+        referenceForm: 'Reference Form',
+        compare: 'Compare',
+        capturedAt: 'Shot captured at {time}'
+    },
+
+    compare: {
+        title: 'Shot Comparison',
+        thisShot: 'This Shot',
+        reference: 'Reference',
+        summary: 'Score {delta} against the reference. Skeletons are aligned on the shoulders and scaled to shoulder width.'
+    },
+
+    replay: {
+        title: 'Replay',
+        speed: 'Playback speed',
+        download: 'Download WebM'
+    },
+
+    phaseStats: {
+        title: 'Through the Shot',
+        range: 'min {min} / max {max}'
+    },
+
+    sessions: {
+        title: 'Past Sessions',
+        loading: 'Loading saved sessions...',
+        unavailable: 'Session history is not available in this browser.',
+        none: 'No saved sessions yet. Your sessions are saved on this device automatically.',
+        shots: {
+            one: '{count} shot',
+            other: '{count} shots'
+        },
+        scores: '{average}% avg • {best}% best',
+        noShots: 'No shots',
+        unfinished: 'Unfinished',
+        video: 'Video: {file}',
+        archers: {
+            one: '{count} archer',
+            other: '{count} archers'
+        }
+    },
+
+    history: {
+        title: 'Session History',
+        shots: 'Shots',
+        average: 'Average',
+        best: 'Best',
+        commonErrors: 'Common errors: {errors}',
+        noShots: 'No shots recorded.',
+        delete: 'Delete Session'
+    },
+
+    comments: {
+        title: 'Coach Comments',
+        none: 'No comments on this shot yet.',
+        meta: '{author} • {time}'
+    },
+
+    archers: {
+        label: 'Archer {number}',
+        away: 'Away',
+        waiting: 'Waiting for archers...',
+        inView: {
+            one: '{count} archer in view',
+            other: '{count} archers in view'
+        },
+        noShots: 'No shots yet',
+        average: '{score}% avg'
+    },
+
+    arrows: {
+        title: 'Arrow',
+        faceName: '{diameter} cm face',
+        tapToRecord: 'Tap where the arrow landed',
+        tapToMove: 'Tap again to move it',
+        miss: 'Miss',
+        clear: 'Clear',
+        analyticsTitle: 'Arrows & Form',
+        analyticsSubtitle: 'Tap where each arrow landed in the shot summary to see how your form shows up on the target.',
+        impacts: 'Arrow Impacts',
+        insights: 'Form Behind Your Arrows',
+        upgrade: 'Links between your form and your arrows are part of <a href="pricing.html" class="upgrade-link">Pro</a>.',
+        noArrows: 'No arrows recorded in this period.',
+        summary: 'Arrows: {count} • Average: {average} • X: {x} • Misses: {misses}',
+        noInsights: 'No clear pattern yet. Patterns show once {count} or more arrows have a recorded impact.',
+        missPattern: 'Your {direction} misses coincide with {check} {op} {value} ({count} of {total}).',
+        scoreLink: 'Your arrow score rises with your {check} score (r = {r}).',
+        directions: {
+            right: 'right',
+            highRight: 'high-right',
+            high: 'high',
+            highLeft: 'high-left',
+            left: 'left',
+            lowLeft: 'low-left',
+            low: 'low',
+            lowRight: 'low-right'
+        }
+    },
+
+    groups: {
+        title: 'Arrow Groups',
+        session: {
+            one: 'Session group: {count} arrow',
+            other: 'Session group: {count} arrows'
+        },
+        cm: '{value} cm',
+        size: 'Centre {offset} {direction} • mean radius {radius} • spread {spread}',
+        sight: 'Sight correction: {moves} (the sight follows the arrows)',
+        move: '{mm} mm {direction}',
+        directions: {
+            up: 'up',
+            down: 'down',
+            left: 'left',
+            right: 'right'
+        },
+        flier: 'landed {distance} from the rest of the group: {faults}',
+        noFault: 'no form check stood out',
+        fliers: {
+            one: '{count} flier',
+            other: '{count} fliers'
+        }
+    },
+
+    rounds: {
+        names: {
+            practice: 'Practice (ends of 6)',
+            wa70: 'WA 70 m (72 arrows)',
+            wa50: 'WA 50 m compound (72 arrows)',
+            wa18: 'WA 18 m indoor (60 arrows)'
+        },
+        counter: 'End {end} / Arrow {arrowNumber}',
+        complete: 'Round complete',
+        formAverage: 'Form avg {score}',
+        runningTotal: 'Total {total}',
+        endTotal: 'Score {total} ({scored}/{shots} arrows scored)',
+        shotsLeft: {
+            one: '{count} shot left on your plan',
+            other: '{count} shots left on your plan'
+        },
+        ends: 'Ends',
+        end: 'End {number}',
+        arrow: 'Arrow {number}',
+        endComplete: 'End {end} complete',
+        roundComplete: 'Round complete after end {end}',
+        rest: 'Rest {time}',
+        restOver: 'Rest over. Start the next end.',
+        nextEnd: 'Start next end'
+    },
+
+    training: {
+        pageTitle: 'OneShot.pro - AI Archery Training',
+        setupTitle: 'Setup Your Profile',
+        setupSubtitle: 'Configure your archery settings to get personalized feedback',
+        height: 'Height (meters)',
+        distance: 'Target Distance (meters)',
+        drawLength: 'Draw Length (cm)',
+        bowType: 'Bow Type',
+        round: 'Round',
+        targetFace: 'Target Face',
+        faceAuto: 'Match distance',
+        face40: '40 cm (indoor)',
+        face80: '80 cm (up to 50 m)',
+        face122: '122 cm (60-70 m)',
+        bowHand: 'Bow Hand',
+        right: 'Right',
+        left: 'Left',
+        experience: 'Experience Level',
+        beginner: 'Beginner',
+        intermediate: 'Intermediate',
+        advanced: 'Advanced',
+        start: 'Start Training Session',
+        calibrate: 'Calibrate First (5 reference shots)',
+        cameras: 'Cameras: tick one or more. The first ticked camera is the main view. With a front and a side camera, each check is taken from the camera that sees it best.',
+        lookingForCameras: 'Looking for cameras...',
+        refreshCameras: 'Refresh camera list',
+        multiArcher: 'Several archers in view (club lanes)',
+        multiArcherHint: 'Up to four archers side by side are tracked with one camera. Each gets their own form panel and shots; set their bow hand and bow type in the panel. Shots stay on this device.',
+        multiArcherClub: 'Track up to four archers side by side with one camera on the <a href="pricing.html" class="upgrade-link">Club plan</a>.',
+        audioCoaching: 'Audio Coaching',
+        spokenCues: 'Spoken Cues',
+        verbosityOff: 'Off',
+        verbosityMinimal: 'After each shot',
+        verbosityNormal: 'Live cues during the draw',
+        verbosityDetailed: 'Live cues + full shot feedback',
+        speechLanguage: 'Language',
+        voice: 'Voice',
+        rate: 'Speaking Rate',
+        testVoice: 'Test voice',
+        videoFile: 'Filmed at the range? Run a recorded MP4 or WebM through the same analysis. Shots are detected automatically.',
+        analyzeVideo: 'Analyze Video File',
+        tierSummary: '<strong>Free Tier:</strong> 5 shots per session • Basic feedback • Community support',
+        formAnalysis: 'Form Analysis',
+        togglePanel: 'Collapse form panel',
+        watermark: 'OneShot.pro Beta • AI-Powered Form Analysis'
+    },
+
+    analytics: {
+        pageTitle: 'OneShot.pro — Progress',
+        title: 'Your Progress',
+        subtitle: 'Form trends across every session saved on this device.',
+        period: 'Period',
+        week: 'Last 7 days',
+        month: 'Last 30 days',
+        year: 'Last year',
+        groupBy: 'Group by',
+        day: 'Day',
+        weekBucket: 'Week',
+        averageScore: 'Average Score',
+        improvement: 'Improvement',
+        shots: 'Shots',
+        streak: 'Streak',
+        scorePerSession: 'Score per Session',
+        average: 'Average',
+        best: 'Best',
+        formMetrics: 'Form Metrics',
+        thresholdNote: 'Dashed lines mark the pass threshold for each check.',
+        upgrade: 'Per-metric trends and the yearly view are part of <a href="pricing.html" class="upgrade-link">Pro</a>.',
+        errorFrequency: 'Error Frequency',
+        notEnoughData: 'Not enough data yet',
+        unavailable: 'Stored history is not available in this browser.',
+        noShots: 'No shots recorded yet. Finish a training session to see your progress here.',
+        noErrors: 'No form errors recorded in this period.',
+        perWeek: '{rate} / wk',
+        days: {
+            one: '{count} day',
+            other: '{count} days'
+        }
+    },
+
+    coach: {
+        pageTitle: 'OneShot.pro — Coach Dashboard',
+        title: 'Coach Dashboard',
+        subtitle: "Your students' recent sessions and trends. Open a session to review its shots and leave comments.",
+        trendPeriod: 'Trend period',
+        loading: 'Loading...',
+        signIn: 'Sign in with a coach account on the <a href="login.html" class="upgrade-link">login page</a> to see your students.',
+        notCoach: 'The coach dashboard is for coaches on the <a href="pricing.html" class="upgrade-link">Club plan</a>.',
+        noStudents: 'No students are assigned to you yet.',
+        offline: 'Cannot reach the OneShot.pro server. Check your connection and try again.',
+        lastSession: 'Last session {date}',
+        noSessions: 'No sessions yet',
+        review: 'Review',
+        recentSessions: 'Recent Sessions',
+        sessionAverage: '{score}% avg',
+        latestSessions: 'Showing the latest {count} of {total} sessions.',
+        errorCount: {
+            one: '{count} error',
+            other: '{count} errors'
+        },
+        shotTitle: 'Shot #{number}',
+        commentPlaceholder: 'Comment on this shot...',
+        addComment: 'Add Comment'
+    },
+
+    club: {
+        pageTitle: 'OneShot.pro — Club Dashboard',
+        title: 'Club Dashboard',
+        subtitle: 'Activity, leaderboards and the most common faults across your club.',
+        loading: 'Loading...',
+        signIn: 'Sign in with your club account on the <a href="login.html" class="upgrade-link">login page</a> to see your club.',
+        notMember: 'The team dashboard is for club members on the <a href="pricing.html" class="upgrade-link">Club plan</a>.',
+        offline: 'Cannot reach the OneShot.pro server. Check your connection and try again.',
+        all: 'All',
+        activeMembers: 'Active Members',
+        activeOf: '{active} / {total}',
+        activeSessions: 'Shooting Now',
+        teamAverage: 'Team Average',
+        scoreLeaderboard: 'Form Score Leaders',
+        improvementLeaderboard: 'Most Improved',
+        noneRanked: {
+            one: 'Members appear here after {count} shot in the period.',
+            other: 'Members appear here after {count} shots in the period.'
+        },
+        teamFaults: 'Most Common Faults',
+        faultShare: '{percent}% of shots ({count})',
+        memberActivity: 'Member Activity',
+        member: 'Member',
+        profile: 'Profile',
+        sessions: 'Sessions',
+        lastActive: 'Last Active',
+        shootingNow: 'Shooting now',
+        never: 'Never',
+        noProfile: 'No profile yet',
+        noMembers: 'No members match these filters.'
+    },
+
+    login: {
+        pageTitle: 'OneShot.pro — Login',
+        createAccount: 'Create Account',
+        email: 'Email',
+        password: 'Password',
+        name: 'Name',
+        createFree: 'Create Free Account',
+        note: 'No account needed to try it — free sessions work without logging in.',
+        startTraining: 'Start Training',
+        logout: 'Log Out',
+        offline: 'Cannot reach the OneShot.pro server. Check your connection and try again.'
+    },
+
+    home: {
+        pageTitle: 'OneShot.pro — Home',
+        heroTitle: 'AI Archery Training That Feels Like Magic',
+        heroSubtitle: 'Real-time form analysis, instant feedback, and a path to better scores — no extra hardware.',
+        startFree: 'Start Free (5 shots)',
+        seeFeatures: 'See Features',
+        bulletPose: '✓ Pose analysis on-device',
+        bulletFeedback: '✓ Clear, actionable feedback',
+        bulletUpgrade: '✓ Upgrade anytime',
+        whyTitle: 'Why OneShot.pro?',
+        formTitle: 'Real-Time Form',
+        formText: 'Track shoulders, bow elbow, head tilt, spine, and anchor consistency as you shoot.',
+        coachingTitle: 'Instant Coaching',
+        coachingText: 'See what to fix first with prioritized tips and optional voice feedback.',
+        growTitle: 'Grow Faster',
+        growText: 'Measure improvement per session and build confidence with every arrow.',
+        ctaTitle: 'Ready to try?',
+        ctaText: 'Open your camera and take your first 5 shots — free.',
+        startTraining: 'Start Training'
+    },
+
+    features: {
+        pageTitle: 'OneShot.pro — Features',
+        title: 'Everything You Need To Level Up',
+        subtitle: 'Built with MediaPipe Pose and a modern UI for clean, actionable coaching.',
+        poseTitle: 'Real-Time Pose Analysis',
+        poseText: 'On-device detection of 33 landmarks with smooth tracking.',
+        shoulderLevel: 'Shoulder Level (≤ 10°)',
+        bowArm: 'Bow Arm Extension (~175° ± 15°)',
+        drawAlignment: 'Draw Alignment (≤ 15°)',
+        headPosition: 'Head Position (≤ 12°)',
+        spineAlignment: 'Spine Alignment (≤ 12°)',
+        anchorPoint: 'Anchor Point (ratio ≤ 0.25)',
+        feedbackTitle: 'Instant Feedback',
+        feedbackText: 'Prioritized tips, status bar, and optional text-to-speech prompts.',
+        shotModal: 'Shot modal with metrics & score',
+        passFail: 'Pass/Fail checks per metric',
+        overlays: 'Visual overlays: skeleton, anchor ring',
+        sessionTitle: 'Session Tracking',
+        sessionText: 'Per-shot history, averages, and common error summaries.',
+        freeTier: 'Free tier: 5 shots per session',
+        unlimited: 'Pro & Club: unlimited shots',
+        upgradePrompt: 'Upgrade prompt when limits reached',
+        futureTitle: 'Future-Ready',
+        futureText: 'APIs for sessions, shots, analytics, coaches, and clubs.',
+        auth: 'JWT auth endpoints',
+        analytics: 'Progress analytics (week/month/year)',
+        dashboards: 'Coach & Club dashboards',
+        demo: 'Try The Live Demo',
+        viewPricing: 'View Pricing'
+    },
+
+    pricing: {
+        pageTitle: 'OneShot.pro — Pricing',
+        title: 'Simple, Transparent Plans',
+        subtitle: 'Start free. Upgrade when you want unlimited shots and advanced analytics.',
+        forever: '/ forever',
+        month: '/ month',
+        clubFee: 'setup + $25/mo',
+        popular: 'Most Popular',
+        freeShots: '5 shots per session',
+        basicChecks: 'Basic form checks',
+        sessionHistory: 'Shot history (session)',
+        communitySupport: 'Community support',
+        startFree: 'Start Free',
+        unlimitedShots: 'Unlimited shots',
+        advancedAnalytics: 'Advanced analytics',
+        voiceCoaching: 'Voice coaching',
+        biosensors: 'Biosensor integration',
+        goals: 'Goals & streaks',
+        goPro: 'Go Pro',
+        multiUser: 'Multi-user dashboard',
+        coachTools: 'Coach tools & assignments',
+        teamAnalytics: 'Team analytics & heatmaps',
+        rangeManagement: 'Range/class management',
+        prioritySupport: 'Priority support',
+        talkToUs: 'Talk To Us',
+        faqFree: 'What’s included in Free?',
+        faqFreeAnswer: 'Core pose checks and 5 shots per session to get you started.',
+        faqCancel: 'Can I cancel anytime?',
+        faqCancelAnswer: 'Yes. Pro and Club can be cancelled any time from your account.'
+    },
+
+    coaches: {
+        pageTitle: 'OneShot.pro — Coaches',
+        title: 'Coach Directory (Preview)',
+        subtitle: "Find certified coaches. Club coaches review their students' shots on the coach dashboard.",
+        recurveLevels: 'Recurve | Beginners • Intermediate',
+        compoundLevels: 'Compound | Intermediate • Advanced',
+        traditionalFocus: 'Traditional | Form & Consistency',
+        trained: 'NCCP Trained',
+        experience: '10+ yrs',
+        rating: 'Avg rating:',
+        request: 'Request Coaching (Soon)',
+        shootNow: 'Shoot Now (Free)',
+        clubPlans: 'See Club Plans',
+        dashboard: 'Coach Dashboard'
+    }
+});
@@ -0,0 +1,694 @@
+// OneShot.pro Spanish messages
+
+I18n.register('es', {
+    common: {
+        close: 'Cerrar',
+        none: 'Ninguno',
+        reset: 'Restablecer',
+        skip: 'Omitir',
+        view: 'Ver'
+    },
+
+    nav: {
+        primary: 'Principal',
+        home: 'Inicio',
+        features: 'Funciones',
+        pricing: 'Precios',
+        coaches: 'Entrenadores',
+        club: 'Club',
+        progress: 'Progreso',
+        train: 'Entrenar',
+        login: 'Iniciar sesión',
+        language: 'Idioma'
+    },
+
+    site: {
+        tagline: 'Entrena como si solo tuvieras un tiro'
+    },
+
+    metrics: {
+        shoulderLine: {
+            name: 'Nivel de hombros',
+            label: 'Hombros',
+            description: 'Mantén los hombros nivelados',
+            prompt: 'Nivela los hombros ({value}° <= {max}°)',
+            feedback: 'Concéntrate en mantener los hombros nivelados durante toda la apertura.',
+            audioCue: 'Nivela los hombros'
+        },
+        bowElbow: {
+            name: 'Extensión del brazo de arco',
+            label: 'Codo del arco',
+            description: 'Estira el codo del brazo de arco',
+            prompt: 'Estira el codo del arco ({value}° ~ {target}°)',
+            feedback: 'Extiende por completo el brazo de arco para ganar estabilidad.',
+            audioCue: 'Estira el brazo de arco'
+        },
+        drawAlign: {
+            name: 'Alineación de tensión',
+            label: 'Alineación',
+            description: 'Alinea el codo de tensión con la cuerda',
+            prompt: 'Alinea el codo de tensión con la cuerda ({value}° <= {max}°)',
+            feedback: 'Alinea el codo de tensión con la flecha.',
+            audioCue: 'Alinea el codo de tensión'
+        },
+        headTilt: {
+            name: 'Posición de la cabeza',
+            label: 'Cabeza',
+            description: 'Mantén la cabeza recta',
+            prompt: 'Reduce la inclinación de la cabeza ({value}° <= {max}°)',
+            feedback: 'Mantén la cabeza recta y ancla siempre en el mismo punto.',
+            audioCue: 'Cabeza recta'
+        },
+        spineLean: {
+            name: 'Alineación de la espalda',
+            label: 'Espalda',
+            description: 'Erguido, sin inclinarte',
+            prompt: 'Erguido; reduce la inclinación ({value}° <= {max}°)',
+            feedback: 'Mantente erguido con la espalda neutra.',
+            audioCue: 'Espalda recta'
+        },
+        anchor: {
+            name: 'Punto de anclaje',
+            label: 'Anclaje',
+            description: 'Ancla en la comisura de la boca',
+            prompt: 'Ancla en la comisura de la boca',
+            feedback: 'Busca un punto de anclaje constante en la cara.',
+            audioCue: 'Ancla en la comisura'
+        },
+        bowStability: {
+            name: 'Firmeza del brazo de arco',
+            description: 'Mantén quieto el brazo de arco',
+            feedback: 'Deja que el brazo de arco se asiente antes de soltar.',
+            audioCue: 'Brazo de arco quieto'
+        },
+        drawDrift: {
+            name: 'Deriva de la mano de tensión',
+            description: 'Mantén la mano de tensión fija en el anclaje',
+            feedback: 'Sigue tirando hacia el anclaje para que la mano de tensión no avance.',
+            audioCue: 'Fija el anclaje'
+        },
+        holdDuration: {
+            name: 'Tiempo en anclaje',
+            description: 'Mantén el anclaje entre 1 y 4 segundos',
+            feedback: 'Busca un ritmo estable y mantén el anclaje entre 1 y 4 segundos.',
+            audioCue: 'Mantén el anclaje'
+        }
+    },
+
+    phases: {
+        rest: 'Reposo',
+        draw: 'Inicio de apertura',
+        anchor: 'Anclaje',
+        expansion: 'Expansión',
+        release: 'Suelta',
+        followThrough: 'Acompañamiento'
+    },
+
+    bowTypes: {
+        recurve: 'Recurvo',
+        compound: 'Compuesto',
+        traditional: 'Tradicional'
+    },
+
+    hands: {
+        right: 'diestro',
+        left: 'zurdo'
+    },
+
+    views: {
+        front: 'De frente',
+        bowSide: 'Lado del arco',
+        drawSide: 'Lado de tensión',
+        behind: 'Por detrás',
+        unknown: 'desconocida'
+    },
+
+    points: {
+        leftShoulder: 'hombro izquierdo',
+        rightShoulder: 'hombro derecho',
+        bowShoulder: 'hombro del arco',
+        drawShoulder: 'hombro de tensión',
+        bowElbow: 'codo del arco',
+        drawElbow: 'codo de tensión',
+        bowWrist: 'muñeca del arco',
+        drawWrist: 'muñeca de tensión',
+        leftHip: 'cadera izquierda',
+        rightHip: 'cadera derecha',
+        nose: 'nariz',
+        mouth: 'boca'
+    },
+
+    status: {
+        initializingCamera: 'Iniciando la cámara...',
+        initializingPose: 'Iniciando MediaPipe Pose...',
+        cameraSetup: 'Configuración de cámara',
+        checkingPlacement: 'Comprobando la colocación',
+        readyToStart: 'Listo para empezar',
+        sessionActive: 'Sesión activa',
+        ready: 'Listo',
+        cameraError: 'Error de cámara: {message}',
+        poseDetected: 'Postura detectada (confianza: {confidence} %)',
+        passing: '{phase} • {passed}/{total} correctos',
+        noPose: 'Colócate dentro del encuadre: no se detecta la postura',
+        noPoseForShot: 'No se detecta la postura: colócate dentro del encuadre',
+        noPoseHere: 'No se detectó la postura en este punto',
+        cooldown: 'Espera un momento entre tiros...',
+        formGood: 'La técnica se ve bien',
+        videoStopped: 'Análisis de vídeo detenido: {message}',
+        analysisComplete: {
+            one: 'Análisis completo: {count} tiro detectado',
+            other: 'Análisis completo: {count} tiros detectados'
+        },
+        scrubToReview: 'Desplázate para revisar',
+        reviewingVideo: 'Revisando el vídeo grabado'
+    },
+
+    errors: {
+        cameraAccess: 'No se pudo acceder a la cámara. Revisa los permisos e inténtalo de nuevo.',
+        extraCameras: 'No se pudieron abrir todas las cámaras seleccionadas ({message}). Se continúa con las que se abrieron.',
+        videoOpen: 'No se pudo abrir {file}: {message}',
+        clipsUnsupported: 'Este navegador no permite grabar clips.',
+        noReference: 'Fija un tiro como técnica de referencia para poder comparar.',
+        multiArcherLoad: 'No se pudo cargar el modelo de pose para varios arqueros: {message}'
+    },
+
+    confirm: {
+        resetCalibration: '¿Descartar la referencia personal de este arco?',
+        deleteSession: '¿Eliminar esta sesión y todos sus tiros?'
+    },
+
+    feedback: {
+        excellent: '¡Técnica excelente!',
+        allPassed: 'Todos los controles superados. ¡Gran tiro!',
+        general: 'Sigue trabajando tu técnica.',
+        outOfRange: '{name} fuera de rango'
+    },
+
+    audio: {
+        goodForm: 'Buena técnica',
+        calibrationComplete: 'Calibración completa',
+        interfaceLanguage: 'Idioma de la interfaz',
+        defaultVoice: 'Voz predeterminada'
+    },
+
+    panel: {
+        height: 'A: {value} m',
+        distance: 'D: {value} m',
+        hand: {
+            right: 'DIESTRO',
+            left: 'ZURDO'
+        },
+        cameras: '{count} cámaras'
+    },
+
+    controls: {
+        capture: 'Registrar tiro',
+        autoCaptureOn: 'Captura automática: sí',
+        autoCaptureOff: 'Captura automática: no',
+        recordClipsOn: 'Grabar clips: sí',
+        recordClipsOff: 'Grabar clips: no',
+        stop: 'Detener sesión',
+        progress: 'Ver progreso'
+    },
+
+    camera: {
+        numbered: 'Cámara {number}',
+        tag: 'Cám {number}',
+        noneFound: 'No se encontraron cámaras. Se usa la cámara predeterminada.',
+        detectingView: 'detectando vista...'
+    },
+
+    setup: {
+        title: 'Configuración de cámara',
+        intro: 'Colócate donde vas a tirar. Para todos los controles, pon la cámara delante de ti, mirando a tu pecho, con todo el cuerpo a la vista.',
+        start: 'Empezar sesión',
+        checks: {
+            detected: 'Arquero detectado',
+            inFrame: 'Cuerpo entero en el encuadre',
+            distance: 'Distancia de la cámara',
+            centred: 'Arquero centrado',
+            joints: 'Articulaciones clave visibles',
+            view: 'Vista: {view}'
+        },
+        standInView: 'Colócate donde vas a tirar, de lado a la diana y a plena vista de la cámara.',
+        moveBack: 'Aleja la cámara unos {distance}.',
+        moveCloser: 'Acerca la cámara unos {distance}.',
+        tiltUp: 'Inclina la cámara hacia arriba para que se vea tu cabeza.',
+        tiltDown: 'Inclina la cámara hacia abajo para que se vean tus pies.',
+        moveRight: 'Mueve la cámara unos {distance} a la derecha.',
+        moveLeft: 'Mueve la cámara unos {distance} a la izquierda.',
+        turnRight: 'Gira la cámara ligeramente a la derecha.',
+        turnLeft: 'Gira la cámara ligeramente a la izquierda.',
+        showJoints: 'Asegúrate de que se vean: {joints}.',
+        checksFromHere: {
+            one: 'Desde aquí solo se puede evaluar {count} control.',
+            other: 'Desde aquí solo se pueden evaluar {count} controles.'
+        },
+        placementGood: 'La cámara está bien colocada.',
+        viewChecks: 'Controles para esta vista: {checks}',
+        viewAdvice: {
+            bowSide: 'La cámara está en la línea de tiro, en el lado del arco. Muévela para que mire a tu pecho.',
+            drawSide: 'La cámara está detrás de tu mano de tensión. Muévela para que mire a tu pecho.',
+            behind: 'La cámara ve tu espalda. Pásala al otro lado, mirando a tu pecho.'
+        }
+    },
+
+    calibration: {
+        progress: 'Calibración: {count} / {total} tiros de referencia',
+        none: 'Aún no hay referencia personal para este arco. Los umbrales siguen tu tipo de arco y tu nivel de experiencia.',
+        baseline: 'Referencia personal:',
+        shots: {
+            one: '{count} tiro de referencia',
+            other: '{count} tiros de referencia'
+        }
+    },
+
+    video: {
+        pause: 'Pausar análisis',
+        resume: 'Reanudar análisis',
+        complete: 'Análisis completo',
+        position: 'Posición del vídeo',
+        marker: 'Tiro {number}: {score} % en {time}'
+    },
+
+    tier: {
+        name: 'Plan {tier}:',
+        unlimited: 'Tiros ilimitados',
+        unlimitedPerSession: 'Tiros ilimitados por sesión',
+        perSession: {
+            one: '{count} tiro por sesión',
+            other: '{count} tiros por sesión'
+        },
+        advanced: 'Analítica avanzada',
+        basic: 'Comentarios básicos • Soporte de la comunidad',
+        limitReached: 'Has alcanzado el límite del plan gratuito ({count} tiros). ¡Pásate a Pro para tener tiros ilimitados y funciones avanzadas!',
+        learnMore: '¿Quieres saber más sobre Pro?',
+        upgrade: 'Pásate a Pro para tener tiros ilimitados →'
+    },
+
+    shot: {
+        title: 'Análisis del tiro',
+        next: 'Siguiente tiro',
+        formScore: 'Puntuación de técnica',
+        formAnalysis: 'Análisis de técnica',
+        allPassed: '¡Todos los controles superados!',
+        errorValue: '{value} (objetivo: {threshold})',
+        pinReference: 'Fijar como referencia',
+        referenceForm: 'Técnica de referencia',
+        compare: 'Comparar',
+        capturedAt: 'Tiro registrado a las {time}'
+    },
+
+    compare: {
+        title: 'Comparación de tiros',
+        thisShot: 'Este tiro',
+        reference: 'Referencia',
+        summary: 'Puntuación {delta} respecto a la referencia. Los esqueletos se alinean en los hombros y se escalan al ancho de hombros.'
+    },
+
+    replay: {
+        title: 'Repetición',
+        speed: 'Velocidad de reproducción',
+        download: 'Descargar WebM'
+    },
+
+    phaseStats: {
+        title: 'A lo largo del tiro',
+        range: 'mín. {min} / máx. {max}'
+    },
+
+    sessions: {
+        title: 'Sesiones anteriores',
+        loading: 'Cargando sesiones guardadas...',
+        unavailable: 'El historial de sesiones no está disponible en este navegador.',
+        none: 'Aún no hay sesiones guardadas. Tus sesiones se guardan automáticamente en este dispositivo.',
+        shots: {
+            one: '{count} tiro',
+            other: '{count} tiros'
+        },
+        scores: '{average} % media • {best} % mejor',
+        noShots: 'Sin tiros',
+        unfinished: 'Sin terminar',
+        video: 'Vídeo: {file}',
+        archers: {
+            one: '{count} arquero',
+            other: '{count} arqueros'
+        }
+    },
+
+    history: {
+        title: 'Historial de la sesión',
+        shots: 'Tiros',
+        average: 'Media',
+        best: 'Mejor',
+        commonErrors: 'Errores frecuentes: {errors}',
+        noShots: 'No hay tiros registrados.',
+        delete: 'Eliminar sesión'
+    },
+
+    comments: {
+        title: 'Comentarios del entrenador',
+        none: 'Todavía no hay comentarios sobre este tiro.',
+        meta: '{author} • {time}'
+    },
+
+    archers: {
+        label: 'Arquero {number}',
+        away: 'Fuera',
+        waiting: 'Esperando arqueros...',
+        inView: {
+            one: '{count} arquero a la vista',
+            other: '{count} arqueros a la vista'
+        },
+        noShots: 'Aún no hay tiros',
+        average: '{score} % media'
+    },
+
+    arrows: {
+        title: 'Flecha',
+        faceName: 'Diana de {diameter} cm',
+        tapToRecord: 'Toca donde impactó la flecha',
+        tapToMove: 'Toca de nuevo para moverla',
+        miss: 'Fallo',
+        clear: 'Borrar',
+        analyticsTitle: 'Flechas y técnica',
+        analyticsSubtitle: 'Toca donde impactó cada flecha en el resumen del tiro para ver cómo se refleja tu técnica en la diana.',
+        impacts: 'Impactos',
+        insights: 'La técnica detrás de tus flechas',
+        upgrade: 'La relación entre tu técnica y tus flechas forma parte de <a href="pricing.html" class="upgrade-link">Pro</a>.',
+        noArrows: 'No hay flechas registradas en este periodo.',
+        summary: 'Flechas: {count} • Media: {average} • X: {x} • Fallos: {misses}',
+        noInsights: 'Aún no hay un patrón claro. Los patrones aparecen cuando {count} o más flechas tienen un impacto registrado.',
+        missPattern: 'Tus fallos {direction} coinciden con {check} {op} {value} ({count} de {total}).',
+        scoreLink: 'Tu puntuación de flecha sube con tu puntuación de {check} (r = {r}).',
+        directions: {
+            right: 'a la derecha',
+            highRight: 'arriba a la derecha',
+            high: 'arriba',
+            highLeft: 'arriba a la izquierda',
+            left: 'a la izquierda',
+            lowLeft: 'abajo a la izquierda',
+            low: 'abajo',
+            lowRight: 'abajo a la derecha'
+        }
+    },
+
+    groups: {
+        title: 'Agrupaciones',
+        session: {
+            one: 'Agrupación de la sesión: {count} flecha',
+            other: 'Agrupación de la sesión: {count} flechas'
+        },
+        cm: '{value} cm',
+        size: 'Centro a {offset} {direction} • radio medio {radius} • dispersión {spread}',
+        sight: 'Corrección del visor: {moves} (el visor sigue a las flechas)',
+        move: '{mm} mm {direction}',
+        directions: {
+            up: 'arriba',
+            down: 'abajo',
+            left: 'a la izquierda',
+            right: 'a la derecha'
+        },
+        flier: 'cayó a {distance} del resto de la agrupación: {faults}',
+        noFault: 'ningún control de técnica destacó',
+        fliers: {
+            one: '{count} flecha desviada',
+            other: '{count} flechas desviadas'
+        }
+    },
+
+    rounds: {
+        names: {
+            practice: 'Entrenamiento (tandas de 6)',
+            wa70: 'WA 70 m (72 flechas)',
+            wa50: 'WA 50 m compuesto (72 flechas)',
+            wa18: 'WA 18 m sala (60 flechas)'
+        },
+        counter: 'Tanda {end} / Flecha {arrowNumber}',
+        complete: 'Ronda completada',
+        formAverage: 'Técnica media {score}',
+        runningTotal: 'Total {total}',
+        endTotal: 'Puntos {total} ({scored}/{shots} flechas puntuadas)',
+        shotsLeft: {
+            one: 'Te queda {count} tiro en tu plan',
+            other: 'Te quedan {count} tiros en tu plan'
+        },
+        ends: 'Tandas',
+        end: 'Tanda {number}',
+        arrow: 'Flecha {number}',
+        endComplete: 'Tanda {end} completada',
+        roundComplete: 'Ronda completada tras la tanda {end}',
+        rest: 'Descanso {time}',
+        restOver: 'Fin del descanso. Empieza la siguiente tanda.',
+        nextEnd: 'Empezar la siguiente tanda'
+    },
+
+    training: {
+        pageTitle: 'OneShot.pro - Entrenamiento de tiro con arco con IA',
+        setupTitle: 'Configura tu perfil',
+        setupSubtitle: 'Ajusta tus datos de tiro para recibir comentarios personalizados',
+        height: 'Altura (metros)',
+        distance: 'Distancia a la diana (metros)',
+        drawLength: 'Apertura (cm)',
+        bowType: 'Tipo de arco',
+        round: 'Ronda',
+        targetFace: 'Diana',
+        faceAuto: 'Según la distancia',
+        face40: '40 cm (sala)',
+        face80: '80 cm (hasta 50 m)',
+        face122: '122 cm (60-70 m)',
+        bowHand: 'Mano del arco',
+        right: 'Derecha',
+        left: 'Izquierda',
+        experience: 'Nivel de experiencia',
+        beginner: 'Principiante',
+        intermediate: 'Intermedio',
+        advanced: 'Avanzado',
+        start: 'Empezar sesión de entrenamiento',
+        calibrate: 'Calibrar primero (5 tiros de referencia)',
+        cameras: 'Cámaras: marca una o varias. La primera marcada es la vista principal. Con una cámara frontal y otra lateral, cada control se toma de la cámara que mejor lo ve.',
+        lookingForCameras: 'Buscando cámaras...',
+        refreshCameras: 'Actualizar la lista de cámaras',
+        multiArcher: 'Varios arqueros a la vista (calles del club)',
+        multiArcherHint: 'Se siguen hasta cuatro arqueros uno al lado del otro con una sola cámara. Cada uno tiene su propio panel de técnica y sus tiros; indica su mano de arco y tipo de arco en el panel. Los tiros se quedan en este dispositivo.',
+        multiArcherClub: 'Sigue hasta cuatro arqueros uno al lado del otro con una sola cámara con el <a href="pricing.html" class="upgrade-link">plan Club</a>.',
+        audioCoaching: 'Indicaciones por voz',
+        spokenCues: 'Indicaciones habladas',
+        verbosityOff: 'Desactivadas',
+        verbosityMinimal: 'Después de cada tiro',
+        verbosityNormal: 'En directo durante la apertura',
+        verbosityDetailed: 'En directo + comentario completo del tiro',
+        speechLanguage: 'Idioma',
+        voice: 'Voz',
+        rate: 'Velocidad de habla',
+        testVoice: 'Probar la voz',
+        videoFile: '¿Has grabado en el campo? Analiza un MP4 o WebM grabado con el mismo análisis. Los tiros se detectan automáticamente.',
+        analyzeVideo: 'Analizar archivo de vídeo',
+        tierSummary: '<strong>Plan Free:</strong> 5 tiros por sesión • Comentarios básicos • Soporte de la comunidad',
+        formAnalysis: 'Análisis de técnica',
+        togglePanel: 'Plegar el panel de técnica',
+        watermark: 'OneShot.pro Beta • Análisis de técnica con IA'
+    },
+
+    analytics: {
+        pageTitle: 'OneShot.pro — Progreso',
+        title: 'Tu progreso',
+        subtitle: 'Tendencias de técnica en todas las sesiones guardadas en este dispositivo.',
+        period: 'Periodo',
+        week: 'Últimos 7 días',
+        month: 'Últimos 30 días',
+        year: 'Último año',
+        groupBy: 'Agrupar por',
+        day: 'Día',
+        weekBucket: 'Semana',
+        averageScore: 'Puntuación media',
+        improvement: 'Mejora',
+        shots: 'Tiros',
+        streak: 'Racha',
+        scorePerSession: 'Puntuación por sesión',
+        average: 'Media',
+        best: 'Mejor',
+        formMetrics: 'Métricas de técnica',
+        thresholdNote: 'Las líneas discontinuas marcan el umbral de aprobado de cada control.',
+        upgrade: 'Las tendencias por métrica y la vista anual forman parte de <a href="pricing.html" class="upgrade-link">Pro</a>.',
+        errorFrequency: 'Frecuencia de errores',
+        notEnoughData: 'Aún no hay datos suficientes',
+        unavailable: 'El historial guardado no está disponible en este navegador.',
+        noShots: 'Aún no hay tiros registrados. Termina una sesión de entrenamiento para ver aquí tu progreso.',
+        noErrors: 'No hay errores de técnica registrados en este periodo.',
+        perWeek: '{rate} / sem.',
+        days: {
+            one: '{count} día',
+            other: '{count} días'
+        }
+    },
+
+    coach: {
+        pageTitle: 'OneShot.pro — Panel del entrenador',
+        title: 'Panel del entrenador',
+        subtitle: 'Sesiones recientes y tendencias de tus alumnos. Abre una sesión para revisar sus tiros y dejar comentarios.',
+        trendPeriod: 'Periodo de tendencia',
+        loading: 'Cargando...',
+        signIn: 'Inicia sesión con una cuenta de entrenador en la <a href="login.html" class="upgrade-link">página de acceso</a> para ver a tus alumnos.',
+        notCoach: 'El panel del entrenador es para entrenadores con el <a href="pricing.html" class="upgrade-link">plan Club</a>.',
+        noStudents: 'Todavía no tienes alumnos asignados.',
+        offline: 'No se puede conectar con el servidor de OneShot.pro. Revisa tu conexión e inténtalo de nuevo.',
+        lastSession: 'Última sesión: {date}',
+        noSessions: 'Sin sesiones todavía',
+        review: 'Revisar',
+        recentSessions: 'Sesiones recientes',
+        sessionAverage: '{score} % media',
+        latestSessions: 'Se muestran las {count} sesiones más recientes de {total}.',
+        errorCount: {
+            one: '{count} error',
+            other: '{count} errores'
+        },
+        shotTitle: 'Tiro n.º {number}',
+        commentPlaceholder: 'Comenta este tiro...',
+        addComment: 'Añadir comentario'
+    },
+
+    club: {
+        pageTitle: 'OneShot.pro — Panel del club',
+        title: 'Panel del club',
+        subtitle: 'Actividad, clasificaciones y los fallos más frecuentes de tu club.',
+        loading: 'Cargando...',
+        signIn: 'Inicia sesión con tu cuenta de club en la <a href="login.html" class="upgrade-link">página de acceso</a> para ver tu club.',
+        notMember: 'El panel del equipo es para miembros de club con el <a href="pricing.html" class="upgrade-link">plan Club</a>.',
+        offline: 'No se puede conectar con el servidor de OneShot.pro. Revisa tu conexión e inténtalo de nuevo.',
+        all: 'Todos',
+        activeMembers: 'Miembros activos',
+        activeOf: '{active} / {total}',
+        activeSessions: 'Tirando ahora',
+        teamAverage: 'Media del equipo',
+        scoreLeaderboard: 'Mejor puntuación de técnica',
+        improvementLeaderboard: 'Más progreso',
+        noneRanked: {
+            one: 'Los miembros aparecen aquí tras {count} tiro en el periodo.',
+            other: 'Los miembros aparecen aquí tras {count} tiros en el periodo.'
+        },
+        teamFaults: 'Fallos más frecuentes',
+        faultShare: '{percent} % de los tiros ({count})',
+        memberActivity: 'Actividad de los miembros',
+        member: 'Miembro',
+        profile: 'Perfil',
+        sessions: 'Sesiones',
+        lastActive: 'Última actividad',
+        shootingNow: 'Tirando ahora',
+        never: 'Nunca',
+        noProfile: 'Sin perfil todavía',
+        noMembers: 'Ningún miembro coincide con estos filtros.'
+    },
+
+    login: {
+        pageTitle: 'OneShot.pro — Iniciar sesión',
+        createAccount: 'Crear cuenta',
+        email: 'Correo electrónico',
+        password: 'Contraseña',
+        name: 'Nombre',
+        createFree: 'Crear cuenta gratuita',
+        note: 'No hace falta cuenta para probarlo: las sesiones gratuitas funcionan sin iniciar sesión.',
+        startTraining: 'Empezar a entrenar',
+        logout: 'Cerrar sesión',
+        offline: 'No se puede conectar con el servidor de OneShot.pro. Revisa tu conexión e inténtalo de nuevo.'
+    },
+
+    home: {
+        pageTitle: 'OneShot.pro — Inicio',
+        heroTitle: 'Entrenamiento de tiro con arco con IA que parece magia',
+        heroSubtitle: 'Análisis de técnica en tiempo real, comentarios al instante y un camino hacia mejores puntuaciones, sin hardware adicional.',
+        startFree: 'Empieza gratis (5 tiros)',
+        seeFeatures: 'Ver funciones',
+        bulletPose: '✓ Análisis de postura en el dispositivo',
+        bulletFeedback: '✓ Comentarios claros y prácticos',
+        bulletUpgrade: '✓ Mejora de plan cuando quieras',
+        whyTitle: '¿Por qué OneShot.pro?',
+        formTitle: 'Técnica en tiempo real',
+        formText: 'Sigue hombros, codo del arco, inclinación de la cabeza, espalda y constancia del anclaje mientras tiras.',
+        coachingTitle: 'Entrenamiento al instante',
+        coachingText: 'Descubre qué corregir primero con consejos priorizados e indicaciones de voz opcionales.',
+        growTitle: 'Progresa más rápido',
+        growText: 'Mide tu mejora en cada sesión y gana confianza con cada flecha.',
+        ctaTitle: '¿Listo para probar?',
+        ctaText: 'Abre la cámara y haz tus primeros 5 tiros gratis.',
+        startTraining: 'Empezar a entrenar'
+    },
+
+    features: {
+        pageTitle: 'OneShot.pro — Funciones',
+        title: 'Todo lo que necesitas para subir de nivel',
+        subtitle: 'Hecho con MediaPipe Pose y una interfaz moderna para un entrenamiento claro y práctico.',
+        poseTitle: 'Análisis de postura en tiempo real',
+        poseText: 'Detección en el dispositivo de 33 puntos con seguimiento suave.',
+        shoulderLevel: 'Nivel de hombros (≤ 10°)',
+        bowArm: 'Extensión del brazo de arco (~175° ± 15°)',
+        drawAlignment: 'Alineación de tensión (≤ 15°)',
+        headPosition: 'Posición de la cabeza (≤ 12°)',
+        spineAlignment: 'Alineación de la espalda (≤ 12°)',
+        anchorPoint: 'Punto de anclaje (proporción ≤ 0,25)',
+        feedbackTitle: 'Comentarios al instante',
+        feedbackText: 'Consejos priorizados, barra de estado e indicaciones opcionales por voz.',
+        shotModal: 'Resumen del tiro con métricas y puntuación',
+        passFail: 'Controles de aprobado/suspenso por métrica',
+        overlays: 'Superposiciones: esqueleto y anillo de anclaje',
+        sessionTitle: 'Seguimiento de sesiones',
+        sessionText: 'Historial por tiro, medias y resúmenes de errores frecuentes.',
+        freeTier: 'Plan gratuito: 5 tiros por sesión',
+        unlimited: 'Pro y Club: tiros ilimitados',
+        upgradePrompt: 'Aviso para mejorar de plan al llegar al límite',
+        futureTitle: 'Preparado para el futuro',
+        futureText: 'API para sesiones, tiros, analítica, entrenadores y clubes.',
+        auth: 'Autenticación con JWT',
+        analytics: 'Analítica de progreso (semana/mes/año)',
+        dashboards: 'Paneles para entrenadores y clubes',
+        demo: 'Prueba la demo en directo',
+        viewPricing: 'Ver precios'
+    },
+
+    pricing: {
+        pageTitle: 'OneShot.pro — Precios',
+        title: 'Planes sencillos y transparentes',
+        subtitle: 'Empieza gratis. Mejora de plan cuando quieras tiros ilimitados y analítica avanzada.',
+        forever: '/ para siempre',
+        month: '/ mes',
+        clubFee: 'alta + 25 $/mes',
+        popular: 'El más popular',
+        freeShots: '5 tiros por sesión',
+        basicChecks: 'Controles de técnica básicos',
+        sessionHistory: 'Historial de tiros (sesión)',
+        communitySupport: 'Soporte de la comunidad',
+        startFree: 'Empieza gratis',
+        unlimitedShots: 'Tiros ilimitados',
+        advancedAnalytics: 'Analítica avanzada',
+        voiceCoaching: 'Indicaciones por voz',
+        biosensors: 'Integración con biosensores',
+        goals: 'Objetivos y rachas',
+        goPro: 'Hazte Pro',
+        multiUser: 'Panel multiusuario',
+        coachTools: 'Herramientas y tareas para entrenadores',
+        teamAnalytics: 'Analítica de equipo y mapas de calor',
+        rangeManagement: 'Gestión de campo y clases',
+        prioritySupport: 'Soporte prioritario',
+        talkToUs: 'Habla con nosotros',
+        faqFree: '¿Qué incluye el plan gratuito?',
+        faqFreeAnswer: 'Los controles de postura básicos y 5 tiros por sesión para empezar.',
+        faqCancel: '¿Puedo cancelar cuando quiera?',
+        faqCancelAnswer: 'Sí. Pro y Club se pueden cancelar en cualquier momento desde tu cuenta.'
+    },
+
+    coaches: {
+        pageTitle: 'OneShot.pro — Entrenadores',
+        title: 'Directorio de entrenadores (avance)',
+        subtitle: 'Encuentra entrenadores certificados. Los entrenadores de club revisan los tiros de sus alumnos en el panel del entrenador.',
+        recurveLevels: 'Recurvo | Principiantes • Intermedio',
+        compoundLevels: 'Compuesto | Intermedio • Avanzado',
+        traditionalFocus: 'Tradicional | Técnica y constancia',
+        trained: 'Formación NCCP',
+        experience: 'Más de 10 años',
+        rating: 'Valoración media:',
+        request: 'Solicitar entrenamiento (pronto)',
+        shootNow: 'Tira ahora (gratis)',
+        clubPlans: 'Ver planes para clubes',
+        dashboard: 'Panel del entrenador'
+    }
+});
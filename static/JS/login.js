@@ -0,0 +1,110 @@
+// OneShot.pro Login Page
+// Login and registration against /auth, plus a summary of the signed-in account
+
+class LoginPage {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+    }
+
+    initialize() {
+        document.getElementById('loginForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit(event.target, () => this.apiClient.login(
+                document.getElementById('loginEmail').value.trim(),
+                document.getElementById('loginPassword').value
+            ));
+        });
+
+        document.getElementById('registerForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit(event.target, () => this.apiClient.register(
+                document.getElementById('registerName').value.trim(),
+                document.getElementById('registerEmail').value.trim(),
+                document.getElementById('registerPassword').value
+            ));
+        });
+
+        this.render();
+    }
+
+    showTab(tab) {
+        const isLogin = tab === 'login';
+        document.getElementById('loginForm').hidden = !isLogin;
+        document.getElementById('registerForm').hidden = isLogin;
+
+        ['login', 'register'].forEach(name => {
+            const button = document.getElementById(`${name}Tab`);
+            button.classList.toggle('active', name === tab);
+            button.setAttribute('aria-selected', String(name === tab));
+        });
+        this.showError(null);
+    }
+
+    async submit(form, action) {
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        this.showError(null);
+
+        try {
+            await action();
+            this.render();
+        } catch (error) {
+            this.showError(error.status === 0
+                ? i18n.t('login.offline')
+                : error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showError(message) {
+        const el = document.getElementById('authError');
+        el.textContent = message || '';
+        el.hidden = !message;
+    }
+
+    render() {
+        const user = this.apiClient.getUser();
+        document.getElementById('authForms').hidden = !!user;
+        document.getElementById('accountView').hidden = !user;
+
+        const loginLink = document.querySelector('.btn-login');
+        if (loginLink) loginLink.textContent = user ? user.name : i18n.t('nav.login');
+
+        if (!user) return;
+
+        const tier = this.apiClient.getTierConfig();
+        document.getElementById('accountName').textContent = user.name;
+        document.getElementById('accountEmail').textContent = user.email;
+        document.getElementById('accountTier').textContent = i18n.t('tier.name', { tier: tier.name });
+        document.getElementById('accountLimits').textContent = tier.maxShots === Infinity
+            ? i18n.t('tier.unlimitedPerSession')
+            : i18n.t('tier.perSession', { count: tier.maxShots });
+        document.getElementById('accountUpgrade').hidden = this.apiClient.getTier() !== 'free';
+    }
+
+    logout() {
+        this.apiClient.logout();
+        this.showTab('login');
+        this.render();
+    }
+}
+
+let loginPage;
+
+window.addEventListener('DOMContentLoaded', () => {
+    loginPage = new LoginPage(new ApiClient());
+    loginPage.initialize();
+});
+
+function showAuthTab(tab) {
+    if (loginPage) {
+        loginPage.showTab(tab);
+    }
+}
+
+function logout() {
+    if (loginPage) {
+        loginPage.logout();
+    }
+}
@@ -0,0 +1,372 @@
+// OneShot.pro Metric Registry
+// Every form check is declared once here: how its value is computed, the
+// threshold rule it is judged by, how it is displayed and what the archer
+// is told when it fails. Analysis, UI, feedback and analytics iterate over it.
+
+/**
+ * Pass rules. `limit` is the value reported as an evaluation's threshold;
+ * `deviation` is how far from ideal the value is, in units of the allowed
+ * band (0 = ideal, 1 = on the pass limit), used for scoring.
+ */
+const METRIC_RULES = {
+    max: {
+        pass: (value, threshold) => value <= threshold.max,
+        limit: threshold => threshold.max,
+        deviation: (value, threshold) => Math.max(0, value) / threshold.max
+    },
+    target: {
+        pass: (value, threshold) => Math.abs(value - threshold.target) <= threshold.tolerance,
+        limit: threshold => threshold.target,
+        deviation: (value, threshold) => Math.abs(value - threshold.target) / threshold.tolerance
+    },
+    // Upper edge of a target band only: a value still growing towards it is not short yet
+    upper: {
+        pass: (value, threshold) => value <= threshold.target + threshold.tolerance,
+        limit: threshold => threshold.target + threshold.tolerance,
+        deviation: (value, threshold) => Math.max(0, value - threshold.target) / threshold.tolerance
+    }
+};
+
+class MetricRegistry {
+    constructor(definitions = []) {
+        this.metrics = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add a check (or replace one with the same key)
+     * @param {Object} definition
+     *   key          - evaluation key, e.g. 'shoulderLine'
+     *   metricKey    - value key in calculateMetrics / stability output (default: key)
+     *   thresholdKey - key in the thresholds map (default: key)
+     *   source       - 'pose' (computed per frame) or 'stability' (from StabilityTracker)
+     *   compute      - (points, userConfig) => number, for pose metrics (image landmarks)
+     *   compute3D    - optional (points, userConfig) => number from world landmarks;
+     *                  points also carry `up` and `frontalNormal` vectors
+     *   rule         - 'max' or 'target'
+     *   liveRule     - optional rule for live frames while the value is still growing
+     *                  (a hold in progress); captured shots are judged by `rule`
+     *   threshold    - default { max } or { target, tolerance } plus name, unit, description;
+     *                  CONFIG.thresholds[thresholdKey] overrides it
+     *   weight       - share of the overall form score (default 1, see CONFIG.scoring)
+     *   views        - camera views the check can be judged from (default: all,
+     *                  see CONFIG.cameraSetup)
+     *   landmarks    - named points (as handed to compute) that must be visible
+     *   label        - short label for metric cards (default: threshold name)
+     *   prompt       - (value, threshold) => live status sentence when failing
+     *   feedback     - coaching sentence shown after a shot that failed this check
+     *   audioCue     - short phrase spoken for this check
+     *
+     * The English text above (and the threshold's name and description) is the
+     * fallback for catalog keys metrics.<key>.<field>; a catalog `prompt` is a
+     * template with {value} and the threshold fields, e.g. {max}.
+     */
+    register(definition) {
+        if (!definition.key) {
+            throw new Error('A metric needs a key');
+        }
+        if (!METRIC_RULES[definition.rule]) {
+            throw new Error(`Unknown threshold rule for ${definition.key}: ${definition.rule}`);
+        }
+        if (definition.liveRule && !METRIC_RULES[definition.liveRule]) {
+            throw new Error(`Unknown live threshold rule for ${definition.key}: ${definition.liveRule}`);
+        }
+        const source = definition.source || 'pose';
+        if (source === 'pose' && typeof definition.compute !== 'function') {
+            throw new Error(`Pose metric ${definition.key} needs a compute function`);
+        }
+
+        this.metrics.set(definition.key, {
+            metricKey: definition.key,
+            thresholdKey: definition.key,
+            threshold: {},
+            ...definition,
+            source
+        });
+        return this;
+    }
+
+    unregister(key) {
+        this.metrics.delete(key);
+    }
+
+    get(key) {
+        return this.metrics.get(key) || null;
+    }
+
+    // All checks in registration order
+    list() {
+        return Array.from(this.metrics.values());
+    }
+
+    // Checks computed from landmarks on every frame
+    poseMetrics() {
+        return this.list().filter(metric => metric.source === 'pose');
+    }
+
+    // Value keys recorded per frame (time series, baselines, trends)
+    metricKeys() {
+        return this.poseMetrics().map(metric => metric.metricKey);
+    }
+
+    byMetricKey(metricKey) {
+        return this.list().find(metric => metric.metricKey === metricKey) || null;
+    }
+
+    // Checks that can be judged from a camera view, or from any of several views
+    // (all of them when a view is unknown)
+    forView(views) {
+        const list = [].concat(views);
+        if (list.length === 0 || list.some(view => !view)) return this.list();
+        return this.list().filter(metric => !metric.views || metric.views.some(view => list.includes(view)));
+    }
+
+    /**
+     * Thresholds for every registered check: the definition's defaults with
+     * CONFIG.thresholds on top, keyed by threshold key
+     */
+    baseThresholds() {
+        const thresholds = { ...CONFIG.thresholds };
+        this.list().forEach(metric => {
+            thresholds[metric.thresholdKey] = { ...metric.threshold, ...CONFIG.thresholds[metric.thresholdKey] };
+        });
+        return thresholds;
+    }
+
+    baseThreshold(metric) {
+        return this.baseThresholds()[metric.thresholdKey];
+    }
+
+    /**
+     * A check's text in the current locale
+     * @param {string} field - name, label, description, prompt, feedback or audioCue
+     * @param {string} fallback - English text (default: the definition's field)
+     */
+    text(metric, field, params = {}, fallback = metric[field]) {
+        return i18n.t(`metrics.${metric.key}.${field}`, params, fallback);
+    }
+
+    name(metric, threshold = this.baseThreshold(metric)) {
+        return this.text(metric, 'name', {}, threshold.name);
+    }
+
+    // Name for a check key; keys of checks no longer registered are shown as stored
+    checkName(key) {
+        const metric = this.get(key);
+        return metric ? this.name(metric) : key;
+    }
+
+    // Short label for metric cards
+    label(metric) {
+        return this.text(metric, 'label', {}, metric.label || this.name(metric));
+    }
+
+    // Live status sentence for a failing value
+    prompt(metric, value, threshold) {
+        const field = metric.prompt ? 'prompt' : 'description';
+        const fallback = metric.prompt ? metric.prompt(value, threshold) : threshold.description;
+        return this.text(metric, field, { ...threshold, value: i18n.formatNumber(value, 0) }, fallback);
+    }
+
+    /**
+     * Judge one value against a threshold; same shape as evaluateForm entries
+     * @param {boolean} [live] - a live frame: use the metric's liveRule if it has one
+     */
+    evaluate(metric, value, threshold, live = false) {
+        const rule = METRIC_RULES[(live && metric.liveRule) || metric.rule];
+        return {
+            name: this.name(metric, threshold),
+            value,
+            threshold: rule.limit(threshold),
+            unit: threshold.unit,
+            pass: rule.pass(value, threshold),
+            deviation: parseFloat(rule.deviation(value, threshold).toFixed(3)),
+            description: this.text(metric, 'description', {}, threshold.description)
+        };
+    }
+
+    /**
+     * Check key of a shot error. Local errors carry `key` next to their display
+     * name; API errors (and shots stored before keys) only have `type`.
+     */
+    static errorKey(error) {
+        return error.key || error.type;
+    }
+
+    // Ratios read best with 2 decimals, angles and the rest with 1
+    static digits(unit) {
+        return unit === 'ratio' ? 2 : 1;
+    }
+
+    // Locale-aware: 0.25 in English is 0,25 in Spanish
+    static format(value, unit) {
+        if (!Number.isFinite(value)) return '–';
+        return unit === 'ratio'
+            ? i18n.formatNumber(value, 2)
+            : `${i18n.formatNumber(value, 1, 0)}${unit}`;
+    }
+}
+
+// Built-in checks (compute functions match Python posture_metrics())
+const DEFAULT_METRICS = [
+    {
+        key: 'shoulderLine',
+        metricKey: 'shoulderLineDeg',
+        rule: 'max',
+        label: 'Shoulder Level',
+        views: ['front', 'behind'],
+        landmarks: ['leftShoulder', 'rightShoulder'],
+        // Robust angle calculation (matches Python)
+        compute: (p) => {
+            const angle = Math.abs(Utils.calculateLineAngle(p.leftShoulder, p.rightShoulder));
+            return Math.min(angle, Math.abs(180.0 - angle));
+        },
+        compute3D: (p) => Utils.calculateElevation3D(p.leftShoulder, p.rightShoulder),
+        prompt: (value, t) => `Keep shoulders level (${value.toFixed(0)}° <= ${t.max}°)`,
+        feedback: 'Focus on keeping your shoulders level throughout the draw.',
+        audioCue: 'Level your shoulders'
+    },
+    {
+        key: 'bowElbow',
+        metricKey: 'bowElbowDeg',
+        rule: 'target',
+        label: 'Bow Elbow',
+        views: ['front', 'behind'],
+        landmarks: ['bowShoulder', 'bowElbow', 'bowWrist'],
+        // Joint angle at bow elbow
+        compute: (p) => Utils.calculateAngle(p.bowShoulder, p.bowElbow, p.bowWrist),
+        compute3D: (p) => Utils.calculateAngle3D(p.bowShoulder, p.bowElbow, p.bowWrist),
+        prompt: (value, t) => `Straighten bow elbow (${value.toFixed(0)}° ~ ${t.target}°)`,
+        feedback: 'Extend your bow arm fully for better stability.',
+        audioCue: 'Straighten your bow arm'
+    },
+    {
+        key: 'drawAlign',
+        metricKey: 'drawAlignDeg',
+        rule: 'max',
+        label: 'Draw Align',
+        views: ['front', 'behind'],
+        landmarks: ['drawShoulder', 'drawElbow', 'drawWrist'],
+        // Alignment of draw elbow with arrow line
+        compute: (p) => {
+            const a1 = Utils.calculateLineAngle(p.drawShoulder, p.drawWrist);
+            const a2 = Utils.calculateLineAngle(p.drawElbow, p.drawWrist);
+            const angleDiff = Math.abs(a1 - a2);
+            return Math.min(angleDiff, 360 - angleDiff);
+        },
+        // Measured in the archer's frontal plane, as an ideal front-on camera would see it
+        compute3D: (p) => Utils.vectorAngle3D(
+            Utils.projectOntoPlane(Utils.vector3D(p.drawWrist, p.drawShoulder), p.frontalNormal),
+            Utils.projectOntoPlane(Utils.vector3D(p.drawWrist, p.drawElbow), p.frontalNormal)
+        ),
+        prompt: (value, t) => `Align draw elbow with string (${value.toFixed(0)}° <= ${t.max}°)`,
+        feedback: 'Align your draw elbow with the arrow.',
+        audioCue: 'Align your draw elbow'
+    },
+    {
+        key: 'headTilt',
+        metricKey: 'headTiltDeg',
+        rule: 'max',
+        label: 'Head Tilt',
+        views: ['front'],
+        landmarks: ['nose', 'mouth'],
+        compute: (p) => {
+            // Use ears if visible, else fall back to the nose-mouth angle
+            if (p.leftEar.visibility > 0 && p.rightEar.visibility > 0) {
+                return Math.abs(Utils.calculateLineAngle(p.leftEar, p.rightEar));
+            }
+            return Math.abs(Utils.calculateLineAngle(p.mouth, p.nose) - 90.0);
+        },
+        compute3D: (p) => {
+            if (p.leftEar.visibility > 0 && p.rightEar.visibility > 0) {
+                return Utils.calculateElevation3D(p.leftEar, p.rightEar);
+            }
+            return Utils.vectorAngle3D(
+                Utils.projectOntoPlane(Utils.vector3D(p.mouth, p.nose), p.frontalNormal), p.up);
+        },
+        prompt: (value, t) => `Reduce head tilt (${value.toFixed(0)}° <= ${t.max}°)`,
+        feedback: 'Keep your head level and anchor consistently.',
+        audioCue: 'Keep your head level'
+    },
+    {
+        key: 'spineLean',
+        metricKey: 'spineLeanDeg',
+        rule: 'max',
+        label: 'Spine Lean',
+        landmarks: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'],
+        // Spine deviation from vertical
+        compute: (p) => {
+            const midHip = Utils.getMidpoint(p.leftHip, p.rightHip);
+            const midShoulder = Utils.getMidpoint(p.leftShoulder, p.rightShoulder);
+            return Math.abs(90.0 - Math.abs(Utils.calculateLineAngle(midHip, midShoulder)));
+        },
+        // Sideways lean only (frontal plane), matching the 2D front view
+        compute3D: (p) => {
+            const spine = Utils.vector3D(
+                Utils.getMidpoint3D(p.leftHip, p.rightHip),
+                Utils.getMidpoint3D(p.leftShoulder, p.rightShoulder)
+            );
+            return Utils.vectorAngle3D(Utils.projectOntoPlane(spine, p.frontalNormal), p.up);
+        },
+        prompt: (value, t) => `Stand tall; reduce spine lean (${value.toFixed(0)}° <= ${t.max}°)`,
+        feedback: 'Stand tall with a neutral spine.',
+        audioCue: 'Stand up straight'
+    },
+    {
+        key: 'anchor',
+        metricKey: 'anchorRatio',
+        thresholdKey: 'anchorRatio',
+        rule: 'max',
+        label: 'Anchor',
+        // The face is hidden from behind the archer
+        views: ['front', 'bowSide'],
+        landmarks: ['drawWrist', 'mouth'],
+        // Distance from draw wrist to mouth vs shoulder width
+        compute: (p) => p.shoulderWidth > 0
+            ? Utils.calculateDistance(p.drawWrist, p.mouth) / p.shoulderWidth
+            : Infinity,
+        compute3D: (p) => p.shoulderWidth > 0
+            ? Utils.calculateDistance3D(p.drawWrist, p.mouth) / p.shoulderWidth
+            : Infinity,
+        prompt: () => 'Anchor to mouth corner',
+        feedback: 'Find a consistent anchor point on your face.',
+        audioCue: 'Anchor to your mouth corner'
+    },
+    // Stability checks (only evaluated during the anchor hold)
+    {
+        key: 'bowStability',
+        metricKey: 'bowWristJitter',
+        source: 'stability',
+        rule: 'max',
+        landmarks: ['bowWrist'],
+        feedback: 'Let the bow arm settle before you release.',
+        audioCue: 'Hold the bow arm still'
+    },
+    {
+        key: 'drawDrift',
+        metricKey: 'drawHandDrift',
+        source: 'stability',
+        rule: 'max',
+        landmarks: ['drawWrist'],
+        feedback: 'Keep pulling into the anchor so the draw hand does not creep.',
+        audioCue: 'Lock your anchor'
+    },
+    {
+        key: 'holdDuration',
+        metricKey: 'holdDurationSec',
+        source: 'stability',
+        rule: 'target',
+        // The live hold counts up from 0: only a hold running too long fails before release
+        liveRule: 'upper',
+        feedback: 'Settle into a steady rhythm and hold anchor for 1-4 seconds.',
+        audioCue: 'Hold your anchor'
+    }
+];
+
+// Shared registry; register club-specific checks on it before a session starts
+const metricRegistry = new MetricRegistry(DEFAULT_METRICS);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetricRegistry, METRIC_RULES, DEFAULT_METRICS, metricRegistry };
+}
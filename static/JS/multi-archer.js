@@ -0,0 +1,207 @@
+// OneShot.pro Multi-Archer
+// Club lanes with several archers in one camera view. The MediaPipe Tasks pose
+// landmarker finds every archer in the frame, ArcherTracker keeps their IDs
+// stable, and each archer runs through their own analysis pipeline with their
+// own bow setup and shot history.
+
+class TrackedArcher {
+    constructor(id, label, color, userConfig) {
+        this.id = id;
+        this.label = label;
+        this.color = color;
+        this.poseAnalyzer = new PoseAnalyzer();
+        this.phaseTracker = new PhaseTracker();
+        this.stabilityTracker = new StabilityTracker();
+        this.shotRecorder = new ShotRecorder();
+        this.shotHistory = new ShotHistory();
+        this.landmarks = null;
+        this.worldLandmarks = null;
+        this.present = false;
+        this.lastShotTime = -Infinity;
+        this.setConfig(userConfig);
+    }
+
+    // Profile thresholds only: a stored calibration baseline belongs to the signed-in archer
+    setConfig(userConfig) {
+        this.userConfig = userConfig;
+        const thresholds = Calibration.profileThresholds(userConfig);
+        this.poseAnalyzer.setThresholds(thresholds);
+        this.phaseTracker.setThresholds(thresholds);
+    }
+
+    /**
+     * One frame through this archer's pipeline
+     * @returns {Object} { phase, metrics, evaluation }
+     */
+    analyze(landmarks, worldLandmarks, timestamp) {
+        this.landmarks = landmarks;
+        this.worldLandmarks = worldLandmarks;
+
+        const metrics = this.poseAnalyzer.calculateMetrics(landmarks, this.userConfig, worldLandmarks);
+        const phase = this.phaseTracker.update(metrics, landmarks, this.userConfig, timestamp, worldLandmarks);
+        this.stabilityTracker.addSample(landmarks, this.userConfig, timestamp, this.phaseTracker.isHolding(phase));
+        const evaluation = this.poseAnalyzer.evaluateMetrics(metrics, this.stabilityTracker.getMetrics(timestamp), true);
+        this.shotRecorder.addFrame({ timestamp, phase, landmarks, metrics });
+
+        return { phase, metrics, evaluation };
+    }
+
+    // Out of view: a half-finished draw must not turn into a release on return
+    leave() {
+        this.present = false;
+        this.phaseTracker.reset();
+        this.stabilityTracker.reset();
+        this.shotRecorder.reset();
+    }
+}
+
+class MultiArcher {
+    constructor(multiConfig = CONFIG.multiArcher) {
+        this.config = multiConfig;
+        this.tracker = new ArcherTracker(multiConfig);
+        this.landmarker = null;
+        this.archers = new Map(); // track id -> TrackedArcher
+        this.baseConfig = null;
+        this.running = false;
+
+        // Called with (archer) when an archer is first seen, and (archer, event) on their phase changes
+        this.onArcherAdded = null;
+        this.onPhaseChange = null;
+    }
+
+    /**
+     * Tasks landmarks are detected on the unmirrored frame; flip them to
+     * match the selfie-mode view of single-archer sessions
+     */
+    static mirror(landmarks, world = false) {
+        return landmarks.map(point => ({ ...point, x: world ? -point.x : 1 - point.x }));
+    }
+
+    // The Tasks bundle is an ES module, so it is imported on first use instead of from a script tag
+    async load() {
+        if (this.landmarker) return;
+
+        const vision = await import(this.config.visionBundle);
+        const fileset = await vision.FilesetResolver.forVisionTasks(this.config.wasmPath);
+        this.landmarker = await vision.PoseLandmarker.createFromOptions(fileset, {
+            baseOptions: {
+                modelAssetPath: this.config.modelPath,
+                delegate: 'GPU'
+            },
+            runningMode: 'VIDEO',
+            numPoses: this.config.maxArchers,
+            minPoseDetectionConfidence: CONFIG.pose.minDetectionConfidence,
+            minPosePresenceConfidence: CONFIG.pose.minDetectionConfidence,
+            minTrackingConfidence: CONFIG.pose.minTrackingConfidence
+        });
+    }
+
+    /**
+     * @param {Object} userConfig - setup form config; each new archer starts from a copy
+     */
+    start(userConfig) {
+        this.baseConfig = userConfig;
+        this.archers.clear();
+        this.tracker.reset();
+    }
+
+    stop() {
+        this.running = false;
+        this.baseConfig = null;
+        this.archers.clear();
+        this.tracker.reset();
+    }
+
+    isActive() {
+        return this.baseConfig !== null;
+    }
+
+    getArcher(id) {
+        return this.archers.get(id) || null;
+    }
+
+    // In track order, which is the order archers first stepped into view
+    getArchers() {
+        return Array.from(this.archers.values()).sort((a, b) => a.id - b.id);
+    }
+
+    setArcherConfig(id, field, value) {
+        const archer = this.getArcher(id);
+        if (archer) {
+            archer.setConfig({ ...archer.userConfig, [field]: value });
+        }
+    }
+
+    /**
+     * Detect every archer in the current video frame
+     * @returns {Array<Object>} { archer, landmarks, worldLandmarks } left to right
+     */
+    detect(video, timestamp) {
+        const result = this.landmarker.detectForVideo(video, timestamp);
+        const poses = result.landmarks.map((landmarks, index) => ({
+            landmarks: MultiArcher.mirror(landmarks),
+            worldLandmarks: result.worldLandmarks && result.worldLandmarks[index]
+                ? MultiArcher.mirror(result.worldLandmarks[index], true)
+                : null
+        }));
+
+        const seen = this.tracker.update(poses, timestamp).map(track => ({
+            archer: this.archerFor(track),
+            landmarks: track.landmarks,
+            worldLandmarks: track.worldLandmarks
+        }));
+
+        this.tracker.tracks.forEach(track => {
+            const archer = this.archers.get(track.id);
+            if (!this.tracker.isPresent(track, timestamp)) {
+                if (archer.present) archer.leave();
+            } else {
+                archer.present = true;
+            }
+        });
+
+        return seen;
+    }
+
+    archerFor(track) {
+        let archer = this.archers.get(track.id);
+        if (archer) return archer;
+
+        const colors = this.config.colors;
+        archer = new TrackedArcher(
+            track.id,
+            i18n.t('archers.label', { number: track.id }),
+            colors[(track.id - 1) % colors.length],
+            { ...this.baseConfig }
+        );
+        archer.phaseTracker.onPhaseChange((event) => {
+            if (this.onPhaseChange) this.onPhaseChange(archer, event);
+        });
+        this.archers.set(track.id, archer);
+
+        if (this.onArcherAdded) this.onArcherAdded(archer);
+        return archer;
+    }
+
+    /**
+     * Run detection on video frames until stop() or the camera closes.
+     * onResults receives (detect() result, frame time).
+     */
+    run(video, onResults) {
+        this.running = true;
+        const step = () => {
+            if (!this.running || !video.srcObject) return;
+            if (video.readyState >= 2) {
+                const timestamp = Date.now();
+                onResults(this.detect(video, timestamp), timestamp);
+            }
+            requestAnimationFrame(step);
+        };
+        requestAnimationFrame(step);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiArcher, TrackedArcher };
+}
@@ -0,0 +1,199 @@
+// OneShot.pro Multi-Camera
+// Extra cameras beside the main one: each runs its own pose pipeline, works
+// out its view, and keeps a short buffer of results so they can be matched
+// to the main camera's frames by capture time
+
+class MultiCamera {
+    /**
+     * @param {Function} createPose - (onResults) => configured MediaPipe Pose instance
+     * @param {PoseAnalyzer} poseAnalyzer - for view detection
+     */
+    constructor(createPose, poseAnalyzer, multiConfig = CONFIG.multiCamera) {
+        this.createPose = createPose;
+        this.poseAnalyzer = poseAnalyzer;
+        this.config = multiConfig;
+        this.feeds = [];
+
+        // Called with (feed, results) after every frame, for drawing
+        this.onFeedResults = null;
+    }
+
+    /**
+     * Video inputs; names stay hidden until camera permission has been granted
+     * @returns {Promise<Array<Object>>} { deviceId, label, named }
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || i18n.t('camera.numbered', { number: index + 1 }),
+                named: !!device.label
+            }));
+    }
+
+    // getUserMedia constraints for a device, or the default facing camera
+    static constraints(deviceId = null) {
+        const video = {
+            width: CONFIG.camera.width,
+            height: CONFIG.camera.height
+        };
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else {
+            video.facingMode = CONFIG.camera.facingMode;
+        }
+        return { video };
+    }
+
+    /**
+     * Send video frames to a pose instance until isRunning() returns false.
+     * onSend receives each frame's capture time just before it is sent.
+     */
+    static runFrameLoop(video, pose, isRunning, onSend) {
+        const step = async () => {
+            if (!isRunning()) return;
+            if (video.readyState >= 2) {
+                onSend(Date.now());
+                await pose.send({ image: video });
+            }
+            requestAnimationFrame(step);
+        };
+        requestAnimationFrame(step);
+    }
+
+    isActive() {
+        return this.feeds.length > 0;
+    }
+
+    /**
+     * Open the extra cameras (the main camera is opened by the app)
+     * @param {Array<string>} deviceIds
+     * @returns {Promise<Array<Object>>} the opened feeds
+     */
+    async open(deviceIds, userConfig) {
+        const ids = deviceIds.slice(0, this.config.maxCameras - 1);
+
+        for (const [index, deviceId] of ids.entries()) {
+            const stream = await navigator.mediaDevices.getUserMedia(MultiCamera.constraints(deviceId));
+
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.srcObject = stream;
+            await new Promise((resolve) => {
+                video.onloadedmetadata = () => resolve();
+            });
+            await video.play();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+
+            const feed = {
+                id: `camera${index + 2}`,
+                deviceId,
+                label: i18n.t('camera.numbered', { number: index + 2 }),
+                stream,
+                video,
+                canvas,
+                ctx: canvas.getContext('2d'),
+                setup: new CameraSetup(this.poseAnalyzer),
+                buffer: [],
+                frameTime: 0,
+                running: true
+            };
+            const track = stream.getVideoTracks()[0];
+            if (track && track.label) feed.label = track.label;
+
+            feed.setup.start(userConfig, { mirrored: true });
+            feed.pose = this.createPose((results) => this.handleResults(feed, results));
+            this.feeds.push(feed);
+
+            MultiCamera.runFrameLoop(video, feed.pose, () => feed.running, (time) => {
+                feed.frameTime = time;
+            });
+        }
+
+        return this.feeds;
+    }
+
+    close() {
+        this.feeds.forEach(feed => {
+            feed.running = false;
+            feed.stream.getTracks().forEach(track => track.stop());
+            feed.video.srcObject = null;
+            if (feed.pose.close) feed.pose.close();
+        });
+        this.feeds = [];
+    }
+
+    handleResults(feed, results) {
+        if (results.poseLandmarks && results.poseLandmarks.length > 0) {
+            const reading = {
+                id: feed.id,
+                time: feed.frameTime,
+                landmarks: results.poseLandmarks,
+                worldLandmarks: results.poseWorldLandmarks || null
+            };
+
+            // View detection keeps running for the whole session on extra cameras
+            feed.assessment = feed.setup.update(
+                reading.landmarks,
+                reading.worldLandmarks,
+                feed.canvas.width / feed.canvas.height,
+                reading.time
+            );
+
+            feed.buffer.push(reading);
+            if (feed.buffer.length > this.config.bufferSize) {
+                feed.buffer.shift();
+            }
+        }
+
+        if (this.onFeedResults) {
+            this.onFeedResults(feed, results);
+        }
+    }
+
+    view(feed) {
+        return feed.setup.currentView();
+    }
+
+    /**
+     * Each extra camera's result closest to a main-camera frame, skipping
+     * cameras with nothing within maxSkewMs
+     * @returns {Array<Object>} { id, view, landmarks, worldLandmarks }
+     */
+    aligned(time) {
+        const readings = [];
+
+        this.feeds.forEach(feed => {
+            let closest = null;
+            feed.buffer.forEach(reading => {
+                if (!closest || Math.abs(reading.time - time) < Math.abs(closest.time - time)) {
+                    closest = reading;
+                }
+            });
+
+            if (closest && Math.abs(closest.time - time) <= this.config.maxSkewMs) {
+                readings.push({
+                    id: feed.id,
+                    view: this.view(feed),
+                    landmarks: closest.landmarks,
+                    worldLandmarks: closest.worldLandmarks
+                });
+            }
+        });
+
+        return readings;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiCamera;
+}
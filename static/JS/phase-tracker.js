@@ -0,0 +1,245 @@
+// OneShot.pro Phase Tracker
+// Per-frame shot phase state machine:
+// rest -> draw -> anchor -> expansion -> release -> followThrough -> rest
+
+const SHOT_PHASES = {
+    REST: 'rest',
+    DRAW: 'draw',
+    ANCHOR: 'anchor',
+    EXPANSION: 'expansion',
+    RELEASE: 'release',
+    FOLLOW_THROUGH: 'followThrough'
+};
+
+class PhaseTracker {
+    constructor(phaseConfig = CONFIG.phases) {
+        this.config = phaseConfig;
+        this.landmarks = CONFIG.landmarks;
+        this.listeners = [];
+        this.setThresholds(metricRegistry.baseThresholds());
+        this.reset();
+    }
+
+    /**
+     * Follow the archer's active anchor threshold (see PoseAnalyzer.setThresholds):
+     * the anchor lock and release bands scale with its anchorRatio max, so relaxed
+     * compound and beginner anchors still lock
+     */
+    setThresholds(thresholds) {
+        const anchorMax = thresholds.anchorRatio.max;
+        this.anchorEnter = anchorMax * this.config.anchor.enterFactor;
+        this.anchorExit = anchorMax * this.config.anchor.exitFactor;
+    }
+
+    /**
+     * Return to rest and forget all motion history
+     */
+    reset() {
+        this.phase = SHOT_PHASES.REST;
+        this.phaseStartTime = null;
+        this.lastSample = null;
+        this.anchorSpan = null;
+        this.anchorFrame = null;
+        this.anchorLockTime = null;
+        this.holdSpeeds = [];
+        this.history = [];
+    }
+
+    /**
+     * Subscribe to phase changes. Returns an unsubscribe function.
+     * Callback receives { phase, previousPhase, timestamp, duration };
+     * release events also carry { anchorFrame, holdDuration, holdStable }
+     */
+    onPhaseChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    getPhase() {
+        return this.phase;
+    }
+
+    getPhaseLabel(phase = this.phase) {
+        return i18n.t(`phases.${phase}`, {}, this.config.labels[phase] || phase);
+    }
+
+    isHolding(phase = this.phase) {
+        return phase === SHOT_PHASES.ANCHOR || phase === SHOT_PHASES.EXPANSION;
+    }
+
+    /**
+     * Advance the state machine by one frame
+     * @param {Object} metrics - output of PoseAnalyzer.calculateMetrics
+     * @param {Array} poseLandmarks - MediaPipe landmarks for the same frame
+     * @param {Object} userConfig - session config (hand)
+     * @param {number} timestamp - frame time in ms
+     * @param {Array} [worldLandmarks] - MediaPipe world landmarks, kept with the anchor frame
+     * @returns {string} current phase after this frame
+     */
+    update(metrics, poseLandmarks, userConfig, timestamp, worldLandmarks = null) {
+        const sample = this.extractSample(metrics, poseLandmarks, userConfig, timestamp);
+        if (!sample) return this.phase;
+
+        if (this.phaseStartTime === null) {
+            this.phaseStartTime = timestamp;
+        }
+
+        const next = this.nextPhase(sample, timestamp - this.phaseStartTime);
+
+        // Keep the last frame of the hold so a release can be scored on the anchor, not the release
+        if (this.isHolding() && next !== SHOT_PHASES.RELEASE) {
+            this.anchorFrame = { metrics, landmarks: poseLandmarks, worldLandmarks, timestamp };
+            this.holdSpeeds.push(sample.wristSpeed);
+        }
+
+        if (next !== this.phase) {
+            this.transition(next, sample, timestamp);
+        }
+
+        this.lastSample = sample;
+        return this.phase;
+    }
+
+    /**
+     * Build the per-frame features the state machine needs.
+     * Positions are normalized by shoulder width so speeds are camera-distance independent.
+     */
+    extractSample(metrics, poseLandmarks, userConfig, timestamp) {
+        const bowSide = userConfig.hand === 'left' ? 'LEFT' : 'RIGHT';
+        const drawSide = userConfig.hand === 'left' ? 'RIGHT' : 'LEFT';
+
+        const leftShoulder = poseLandmarks[this.landmarks.LEFT_SHOULDER];
+        const rightShoulder = poseLandmarks[this.landmarks.RIGHT_SHOULDER];
+        const bowShoulder = poseLandmarks[this.landmarks[`${bowSide}_SHOULDER`]];
+        const bowHip = poseLandmarks[this.landmarks[`${bowSide}_HIP`]];
+        const bowWrist = poseLandmarks[this.landmarks[`${bowSide}_WRIST`]];
+        const drawWrist = poseLandmarks[this.landmarks[`${drawSide}_WRIST`]];
+
+        if (!leftShoulder || !rightShoulder || !bowHip || !bowWrist || !drawWrist) return null;
+
+        const shoulderWidth = Utils.calculateDistance(leftShoulder, rightShoulder);
+        if (!(shoulderWidth > 0)) return null;
+
+        const drawHand = {
+            x: drawWrist.x / shoulderWidth,
+            y: drawWrist.y / shoulderWidth
+        };
+
+        let wristSpeed = 0;
+        if (this.lastSample && timestamp > this.lastSample.timestamp) {
+            const dt = (timestamp - this.lastSample.timestamp) / 1000;
+            wristSpeed = Utils.calculateDistance(this.lastSample.drawHand, drawHand) / dt;
+        }
+
+        return {
+            timestamp,
+            bowElbowDeg: metrics.bowElbowDeg,
+            // Bow arm elevation: ~0° hanging at the side, ~90° held out at shoulder height
+            bowArmRaiseDeg: Utils.calculateAngle(bowHip, bowShoulder, bowWrist),
+            anchorRatio: metrics.anchorRatio,
+            span: Utils.calculateDistance(bowWrist, drawWrist) / shoulderWidth,
+            drawHand,
+            wristSpeed
+        };
+    }
+
+    /**
+     * Decide the next phase. Hysteresis comes from separate enter/exit bands;
+     * a phase cannot change until its minimum dwell time has elapsed.
+     */
+    nextPhase(sample, dwell) {
+        const cfg = this.config;
+        if (dwell < (cfg.minDwell[this.phase] || 0)) return this.phase;
+
+        switch (this.phase) {
+            case SHOT_PHASES.REST:
+                // A relaxed arm hanging at the side is straight too: it must also be raised
+                return sample.bowElbowDeg >= cfg.draw.bowElbowEnter &&
+                    sample.bowArmRaiseDeg >= cfg.draw.armRaiseEnter
+                    ? SHOT_PHASES.DRAW
+                    : SHOT_PHASES.REST;
+
+            case SHOT_PHASES.DRAW:
+                if (this.isLetDown(sample)) return SHOT_PHASES.REST;
+                if (sample.anchorRatio <= this.anchorEnter &&
+                    sample.wristSpeed <= cfg.anchor.maxWristSpeed) {
+                    return SHOT_PHASES.ANCHOR;
+                }
+                return SHOT_PHASES.DRAW;
+
+            case SHOT_PHASES.ANCHOR:
+            case SHOT_PHASES.EXPANSION:
+                if (sample.wristSpeed >= cfg.release.minWristSpeed) return SHOT_PHASES.RELEASE;
+                if (sample.anchorRatio > this.anchorExit) {
+                    // Came off anchor slowly: let-down, not a shot
+                    return this.isLetDown(sample) ? SHOT_PHASES.REST : SHOT_PHASES.DRAW;
+                }
+                if (this.phase === SHOT_PHASES.ANCHOR &&
+                    sample.span - this.anchorSpan >= cfg.expansion.minSpanGrowth) {
+                    return SHOT_PHASES.EXPANSION;
+                }
+                return this.phase;
+
+            case SHOT_PHASES.RELEASE:
+                return SHOT_PHASES.FOLLOW_THROUGH;
+
+            case SHOT_PHASES.FOLLOW_THROUGH:
+                return dwell >= cfg.followThrough.duration
+                    ? SHOT_PHASES.REST
+                    : SHOT_PHASES.FOLLOW_THROUGH;
+
+            default:
+                return SHOT_PHASES.REST;
+        }
+    }
+
+    // Bow arm bent or lowered out of the draw bands
+    isLetDown(sample) {
+        const cfg = this.config.draw;
+        return sample.bowElbowDeg < cfg.bowElbowExit || sample.bowArmRaiseDeg < cfg.armRaiseExit;
+    }
+
+    transition(next, sample, timestamp) {
+        const event = {
+            phase: next,
+            previousPhase: this.phase,
+            timestamp,
+            duration: timestamp - this.phaseStartTime
+        };
+
+        if (next === SHOT_PHASES.ANCHOR) {
+            this.anchorSpan = sample.span;
+            this.anchorLockTime = timestamp;
+            this.anchorFrame = null;
+            this.holdSpeeds = [];
+        }
+
+        if (next === SHOT_PHASES.RELEASE) {
+            const meanSpeed = this.holdSpeeds.length > 0
+                ? this.holdSpeeds.reduce((a, b) => a + b, 0) / this.holdSpeeds.length
+                : Infinity;
+            event.anchorFrame = this.anchorFrame;
+            event.holdDuration = timestamp - this.anchorLockTime;
+            event.holdStable = meanSpeed <= this.config.anchor.maxWristSpeed;
+        }
+
+        this.phase = next;
+        this.phaseStartTime = timestamp;
+        this.history.push(event);
+
+        this.listeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Phase listener error:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhaseTracker, SHOT_PHASES };
+}
@@ -3,162 +3,136 @@
 // EXACTLY matches Python posture_metrics() logic
 
 class PoseAnalyzer {
-    constructor() {
+    constructor(registry = metricRegistry) {
         this.landmarks = CONFIG.landmarks;
-        this.thresholds = CONFIG.thresholds;
+        this.registry = registry;
+        this.thresholds = registry.baseThresholds();
+        this.view = null; // camera view from CameraSetup; null judges every check
+    }
+
+    /**
+     * Use personalized thresholds (see Calibration.thresholdsFor)
+     */
+    setThresholds(thresholds) {
+        this.thresholds = thresholds;
+    }
+
+    /**
+     * Only judge the checks that are valid from this camera view, or from
+     * any of several views when more than one camera is fused
+     * (metrics are still computed, the phase tracker relies on them)
+     */
+    setView(view) {
+        this.view = view;
     }
 
     /**
      * Calculate all pose metrics from landmarks
-     * Matches Python posture_metrics() function exactly
+     * Matches Python posture_metrics() function exactly; the per-metric
+     * formulas live in the metric registry. With world landmarks (and
+     * CONFIG.pose.metricMode 'auto') metrics that define compute3D are
+     * measured in 3D, so they do not depend on where the camera stands.
      */
-    calculateMetrics(poseLandmarks, userConfig) {
-        const hand = userConfig.hand;
-        
-        // Determine bow side and draw side based on hand (matches Python logic)
-        const bowSide = hand === 'left' ? 'LEFT' : 'RIGHT';
-        const drawSide = hand === 'left' ? 'RIGHT' : 'LEFT';
-        
-        // Get landmark indices
-        const bowShoulderIdx = this.landmarks[`${bowSide}_SHOULDER`];
-        const bowElbowIdx = this.landmarks[`${bowSide}_ELBOW`];
-        const bowWristIdx = this.landmarks[`${bowSide}_WRIST`];
-        
-        const drawShoulderIdx = this.landmarks[`${drawSide}_SHOULDER`];
-        const drawElbowIdx = this.landmarks[`${drawSide}_ELBOW`];
-        const drawWristIdx = this.landmarks[`${drawSide}_WRIST`];
-        
-        const leftShoulderIdx = this.landmarks.LEFT_SHOULDER;
-        const rightShoulderIdx = this.landmarks.RIGHT_SHOULDER;
-        const leftHipIdx = this.landmarks.LEFT_HIP;
-        const rightHipIdx = this.landmarks.RIGHT_HIP;
-        const leftEarIdx = this.landmarks.LEFT_EAR;
-        const rightEarIdx = this.landmarks.RIGHT_EAR;
-        const noseIdx = this.landmarks.NOSE;
-        const mouthIdx = hand === 'right' ? this.landmarks.MOUTH_LEFT : this.landmarks.MOUTH_RIGHT;
-        
-        // Extract points (x, y normalized 0-1)
-        const bowShoulder = poseLandmarks[bowShoulderIdx];
-        const bowElbow = poseLandmarks[bowElbowIdx];
-        const bowWrist = poseLandmarks[bowWristIdx];
-        
-        const drawShoulder = poseLandmarks[drawShoulderIdx];
-        const drawElbow = poseLandmarks[drawElbowIdx];
-        const drawWrist = poseLandmarks[drawWristIdx];
-        
-        const leftShoulder = poseLandmarks[leftShoulderIdx];
-        const rightShoulder = poseLandmarks[rightShoulderIdx];
-        const leftHip = poseLandmarks[leftHipIdx];
-        const rightHip = poseLandmarks[rightHipIdx];
-        const leftEar = poseLandmarks[leftEarIdx];
-        const rightEar = poseLandmarks[rightEarIdx];
-        const nose = poseLandmarks[noseIdx];
-        const mouth = poseLandmarks[mouthIdx];
+    calculateMetrics(poseLandmarks, userConfig, worldLandmarks = null) {
+        const points = this.resolvePoints(poseLandmarks, userConfig);
+        const worldPoints = this.usesWorldLandmarks(worldLandmarks)
+            ? this.resolvePoints(worldLandmarks, userConfig, true)
+            : null;
+
+        const metrics = {};
+        this.registry.poseMetrics().forEach(metric => {
+            const threshold = this.thresholds[metric.thresholdKey] || this.registry.baseThreshold(metric);
+            const value = worldPoints && metric.compute3D
+                ? metric.compute3D(worldPoints, userConfig)
+                : metric.compute(points, userConfig);
+            metrics[metric.metricKey] = parseFloat(value.toFixed(MetricRegistry.digits(threshold.unit)));
+        });
 
-        // 1. SHOULDER LINE - Robust angle calculation (matches Python)
-        let angSh = Math.abs(Utils.calculateLineAngle(leftShoulder, rightShoulder));
-        const shoulderLineDeg = Math.min(angSh, Math.abs(180.0 - angSh));
+        metrics.shoulderWidthPx = parseFloat(points.shoulderWidth.toFixed(1));
+        metrics.confidence = this.calculateConfidence(poseLandmarks);
+        metrics.metricMode = worldPoints ? '3d' : '2d';
+        return metrics;
+    }
 
-        // 2. BOW ELBOW - Joint angle at bow elbow
-        const bowElbowDeg = Utils.calculateAngle(bowShoulder, bowElbow, bowWrist);
+    usesWorldLandmarks(worldLandmarks) {
+        return CONFIG.pose.metricMode !== '2d' && !!worldLandmarks && worldLandmarks.length > 0;
+    }
 
-        // 3. DRAW ALIGNMENT - Alignment of draw elbow with arrow line
-        const a1 = Utils.calculateLineAngle(drawShoulder, drawWrist);
-        const a2 = Utils.calculateLineAngle(drawElbow, drawWrist);
-        let angleDiff = Math.abs(a1 - a2);
-        const drawAlignDeg = Math.min(angleDiff, 360 - angleDiff);
+    /**
+     * Named landmarks handed to each metric's compute function.
+     * Bow and draw sides follow the archer's hand (matches Python logic).
+     * World points also carry the vertical and the archer's frontal-plane normal.
+     */
+    resolvePoints(poseLandmarks, userConfig, world = false) {
+        const points = { landmarks: poseLandmarks };
+        Object.entries(this.pointIndices(userConfig)).forEach(([name, index]) => {
+            points[name] = poseLandmarks[index];
+        });
 
-        // 4. HEAD TILT - Calculate head tilt
-        let headTiltDeg;
-        if (leftEar.visibility > 0 && rightEar.visibility > 0) {
-            // Use ears if visible
-            headTiltDeg = Math.abs(Utils.calculateLineAngle(leftEar, rightEar));
+        if (world) {
+            // World y points down; the frontal plane holds the shoulder line and the vertical
+            points.up = { x: 0, y: -1, z: 0 };
+            points.frontalNormal = Utils.cross3D(Utils.vector3D(points.leftShoulder, points.rightShoulder), points.up);
+            points.shoulderWidth = Utils.calculateDistance3D(points.leftShoulder, points.rightShoulder);
         } else {
-            // Fallback to nose-mouth angle
-            const noseMouthAngle = Utils.calculateLineAngle(mouth, nose);
-            headTiltDeg = Math.abs(noseMouthAngle - 90.0);
+            points.shoulderWidth = Utils.calculateDistance(points.leftShoulder, points.rightShoulder);
         }
+        return points;
+    }
 
-        // 5. SPINE LEAN - Calculate spine deviation from vertical
-        const midHip = Utils.getMidpoint(leftHip, rightHip);
-        const midShoulder = Utils.getMidpoint(leftShoulder, rightShoulder);
-        const angleShHip = Math.abs(Utils.calculateLineAngle(midHip, midShoulder));
-        const spineLeanDeg = Math.abs(90.0 - angleShHip);
-
-        // 6. ANCHOR RATIO - Distance from draw wrist to mouth vs shoulder width
-        const shoulderWidth = Utils.calculateDistance(leftShoulder, rightShoulder);
-        const anchorDist = Utils.calculateDistance(drawWrist, mouth);
-        const anchorRatio = shoulderWidth > 0 ? anchorDist / shoulderWidth : Infinity;
+    /**
+     * Landmark index of each named point
+     */
+    pointIndices(userConfig) {
+        const hand = userConfig.hand;
+        const bowSide = hand === 'left' ? 'LEFT' : 'RIGHT';
+        const drawSide = hand === 'left' ? 'RIGHT' : 'LEFT';
 
         return {
-            shoulderLineDeg: parseFloat(shoulderLineDeg.toFixed(1)),
-            bowElbowDeg: parseFloat(bowElbowDeg.toFixed(1)),
-            drawAlignDeg: parseFloat(drawAlignDeg.toFixed(1)),
-            headTiltDeg: parseFloat(headTiltDeg.toFixed(1)),
-            spineLeanDeg: parseFloat(spineLeanDeg.toFixed(1)),
-            anchorRatio: parseFloat(anchorRatio.toFixed(2)),
-            shoulderWidthPx: parseFloat(shoulderWidth.toFixed(1)),
-            confidence: this.calculateConfidence(poseLandmarks)
+            bowShoulder: this.landmarks[`${bowSide}_SHOULDER`],
+            bowElbow: this.landmarks[`${bowSide}_ELBOW`],
+            bowWrist: this.landmarks[`${bowSide}_WRIST`],
+            drawShoulder: this.landmarks[`${drawSide}_SHOULDER`],
+            drawElbow: this.landmarks[`${drawSide}_ELBOW`],
+            drawWrist: this.landmarks[`${drawSide}_WRIST`],
+            leftShoulder: this.landmarks.LEFT_SHOULDER,
+            rightShoulder: this.landmarks.RIGHT_SHOULDER,
+            leftHip: this.landmarks.LEFT_HIP,
+            rightHip: this.landmarks.RIGHT_HIP,
+            leftEar: this.landmarks.LEFT_EAR,
+            rightEar: this.landmarks.RIGHT_EAR,
+            nose: this.landmarks.NOSE,
+            mouth: this.landmarks[hand === 'right' ? 'MOUTH_LEFT' : 'MOUTH_RIGHT']
         };
     }
 
     /**
      * Evaluate form against thresholds
      * Matches Python posture_passfail() function exactly
+     * Stability checks are added when anchor-hold metrics are supplied;
+     * checks that cannot be judged from the current camera view are left out
      */
-    evaluateForm(poseLandmarks, userConfig) {
-        const metrics = this.calculateMetrics(poseLandmarks, userConfig);
-        
-        return {
-            shoulderLine: {
-                name: this.thresholds.shoulderLine.name,
-                value: metrics.shoulderLineDeg,
-                threshold: this.thresholds.shoulderLine.max,
-                unit: this.thresholds.shoulderLine.unit,
-                pass: metrics.shoulderLineDeg <= this.thresholds.shoulderLine.max,
-                description: this.thresholds.shoulderLine.description
-            },
-            bowElbow: {
-                name: this.thresholds.bowElbow.name,
-                value: metrics.bowElbowDeg,
-                threshold: this.thresholds.bowElbow.target,
-                unit: this.thresholds.bowElbow.unit,
-                pass: Math.abs(metrics.bowElbowDeg - this.thresholds.bowElbow.target) <= this.thresholds.bowElbow.tolerance,
-                description: this.thresholds.bowElbow.description
-            },
-            drawAlign: {
-                name: this.thresholds.drawAlign.name,
-                value: metrics.drawAlignDeg,
-                threshold: this.thresholds.drawAlign.max,
-                unit: this.thresholds.drawAlign.unit,
-                pass: metrics.drawAlignDeg <= this.thresholds.drawAlign.max,
-                description: this.thresholds.drawAlign.description
-            },
-            headTilt: {
-                name: this.thresholds.headTilt.name,
-                value: metrics.headTiltDeg,
-                threshold: this.thresholds.headTilt.max,
-                unit: this.thresholds.headTilt.unit,
-                pass: metrics.headTiltDeg <= this.thresholds.headTilt.max,
-                description: this.thresholds.headTilt.description
-            },
-            spineLean: {
-                name: this.thresholds.spineLean.name,
-                value: metrics.spineLeanDeg,
-                threshold: this.thresholds.spineLean.max,
-                unit: this.thresholds.spineLean.unit,
-                pass: metrics.spineLeanDeg <= this.thresholds.spineLean.max,
-                description: this.thresholds.spineLean.description
-            },
-            anchor: {
-                name: this.thresholds.anchorRatio.name,
-                value: metrics.anchorRatio,
-                threshold: this.thresholds.anchorRatio.max,
-                unit: this.thresholds.anchorRatio.unit,
-                pass: metrics.anchorRatio <= this.thresholds.anchorRatio.max,
-                description: this.thresholds.anchorRatio.description
-            }
-        };
+    evaluateForm(poseLandmarks, userConfig, stability = null, worldLandmarks = null) {
+        return this.evaluateMetrics(this.calculateMetrics(poseLandmarks, userConfig, worldLandmarks), stability);
+    }
+
+    /**
+     * Evaluate already computed metrics (e.g. fused from several cameras)
+     * @param {boolean} [live] - a live frame rather than a captured shot (see MetricRegistry.evaluate)
+     */
+    evaluateMetrics(metrics, stability = null, live = false) {
+        const evaluation = {};
+
+        this.registry.forView(this.view).forEach(metric => {
+            const values = metric.source === 'stability' ? stability : metrics;
+            const value = values ? values[metric.metricKey] : null;
+            const threshold = this.thresholds[metric.thresholdKey];
+            if (value === null || value === undefined || !threshold) return;
+
+            evaluation[metric.key] = this.registry.evaluate(metric, value, threshold, live);
+        });
+
+        return evaluation;
     }
 
     /**
@@ -189,25 +163,6 @@ class PoseAnalyzer {
         return count > 0 ? sum / count : 0;
     }
 
-    /**
-     * Detect shot phase based on pose (for future use)
-     * Matches Python phase detection logic
-     */
-    detectPhase(metrics, previousMetrics) {
-        if (!previousMetrics) return 'rest';
-        
-        // Simple phase detection based on bow elbow angle
-        if (metrics.bowElbowDeg > 160 && metrics.anchorRatio < 0.3) {
-            return 'anchor';
-        } else if (metrics.bowElbowDeg > 140) {
-            return 'draw';
-        } else if (metrics.bowElbowDeg < 140) {
-            return 'rest';
-        }
-        
-        return 'unknown';
-    }
-
     /**
      * Get landmark by name (helper method)
      */
@@ -216,57 +171,44 @@ class PoseAnalyzer {
         return poseLandmarks[index];
     }
 
+    /**
+     * Named points the checks judged from this view need, that are missing
+     * or not visible (the shoulders are always needed)
+     * @returns {Array<string>} point names, e.g. ['bowWrist']
+     */
+    missingLandmarks(poseLandmarks, userConfig, view = this.view) {
+        const indices = this.pointIndices(userConfig);
+        const names = new Set(['leftShoulder', 'rightShoulder']);
+        this.registry.forView(view).forEach(metric => {
+            (metric.landmarks || []).forEach(name => names.add(name));
+        });
+
+        const visibilityThreshold = CONFIG.cameraSetup.minVisibility;
+        return Array.from(names).filter(name => {
+            const landmark = poseLandmarks[indices[name]];
+            return !landmark || landmark.visibility < visibilityThreshold;
+        });
+    }
+
     /**
      * Check if all required landmarks are visible
      */
-    hasRequiredLandmarks(poseLandmarks, userConfig) {
-        const hand = userConfig.hand;
-        const bowSide = hand === 'left' ? 'LEFT' : 'RIGHT';
-        const drawSide = hand === 'left' ? 'RIGHT' : 'LEFT';
-        
-        const requiredIndices = [
-            this.landmarks[`${bowSide}_SHOULDER`],
-            this.landmarks[`${bowSide}_ELBOW`],
-            this.landmarks[`${bowSide}_WRIST`],
-            this.landmarks[`${drawSide}_SHOULDER`],
-            this.landmarks[`${drawSide}_ELBOW`],
-            this.landmarks[`${drawSide}_WRIST`],
-            this.landmarks.LEFT_SHOULDER,
-            this.landmarks.RIGHT_SHOULDER,
-            this.landmarks.NOSE
-        ];
-        
-        const visibilityThreshold = 0.5;
-        
-        for (const idx of requiredIndices) {
-            if (idx >= poseLandmarks.length || poseLandmarks[idx].visibility < visibilityThreshold) {
-                return false;
-            }
-        }
-        
-        return true;
+    hasRequiredLandmarks(poseLandmarks, userConfig, view = this.view) {
+        return this.missingLandmarks(poseLandmarks, userConfig, view).length === 0;
     }
 
     /**
      * Generate priority feedback message (matches Python build_status_sentence)
      */
-    getPriorityFeedback(metrics, flags) {
-        const checks = [
-            { key: 'shoulder_line_ok', message: `Keep shoulders level (${metrics.shoulderLineDeg.toFixed(0)}° <= ${this.thresholds.shoulderLine.max}°)` },
-            { key: 'bow_elbow_ok', message: `Straighten bow elbow (${metrics.bowElbowDeg.toFixed(0)}° ~ ${this.thresholds.bowElbow.target}°)` },
-            { key: 'draw_align_ok', message: `Align draw elbow with string (${metrics.drawAlignDeg.toFixed(0)}° <= ${this.thresholds.drawAlign.max}°)` },
-            { key: 'head_tilt_ok', message: `Reduce head tilt (${metrics.headTiltDeg.toFixed(0)}° <= ${this.thresholds.headTilt.max}°)` },
-            { key: 'spine_lean_ok', message: `Stand tall; reduce spine lean (${metrics.spineLeanDeg.toFixed(0)}° <= ${this.thresholds.spineLean.max}°)` },
-            { key: 'anchor_ok', message: 'Anchor to mouth corner' }
-        ];
-        
-        for (const check of checks) {
-            if (!flags[check.key]) {
-                return check.message;
+    getPriorityFeedback(evaluation) {
+        for (const metric of this.registry.list()) {
+            const entry = evaluation[metric.key];
+            if (entry && !entry.pass) {
+                return this.registry.prompt(metric, entry.value, this.thresholds[metric.thresholdKey]);
             }
         }
         
-        return 'Form looks good';
+        return i18n.t('status.formGood');
     }
 }
 
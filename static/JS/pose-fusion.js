@@ -0,0 +1,77 @@
+// OneShot.pro Pose Fusion
+// Combines per-camera metrics into one set, taking each check from the
+// camera whose view measures it best
+
+class PoseFusion {
+    constructor(poseAnalyzer, registry = metricRegistry) {
+        this.poseAnalyzer = poseAnalyzer;
+        this.registry = registry;
+    }
+
+    /**
+     * How well a camera view measures a check: the position of the view in
+     * the check's `views` (earlier is better), -1 when it cannot be judged.
+     * Unknown views rank behind every listed view.
+     */
+    static viewRank(metric, view) {
+        if (!metric.views) return 0;
+        if (!view) return metric.views.length;
+        return metric.views.indexOf(view);
+    }
+
+    /**
+     * Mean visibility of the landmarks a check needs, on one camera
+     */
+    visibility(metric, landmarks, userConfig) {
+        const names = metric.landmarks || [];
+        if (names.length === 0) return 1;
+
+        const indices = this.poseAnalyzer.pointIndices(userConfig);
+        const sum = names.reduce((total, name) => {
+            const landmark = landmarks[indices[name]];
+            return total + (landmark && landmark.visibility !== undefined ? landmark.visibility : 0);
+        }, 0);
+        return sum / names.length;
+    }
+
+    /**
+     * @param {Array<Object>} readings - { id, view, landmarks, metrics } per camera, main camera first
+     * @returns {Object} the main camera's metrics with each pose metric taken from the
+     *   best-placed camera, plus `sources` ({ metricKey: camera id }) and `cameraCount`
+     */
+    fuse(readings, userConfig) {
+        const primary = readings[0];
+        const fused = { ...primary.metrics, sources: {}, cameraCount: readings.length };
+
+        this.registry.poseMetrics().forEach(metric => {
+            let best = null;
+            let bestRank = Infinity;
+            let bestVisibility = -1;
+
+            readings.forEach(reading => {
+                const value = reading.metrics[metric.metricKey];
+                const rank = PoseFusion.viewRank(metric, reading.view);
+                if (value === undefined || !Number.isFinite(value) || rank < 0) return;
+
+                const visibility = this.visibility(metric, reading.landmarks, userConfig);
+                if (rank < bestRank || (rank === bestRank && visibility > bestVisibility)) {
+                    best = reading;
+                    bestRank = rank;
+                    bestVisibility = visibility;
+                }
+            });
+
+            // No camera can judge it: keep the main camera's value for phase tracking
+            const source = best || primary;
+            fused[metric.metricKey] = source.metrics[metric.metricKey];
+            fused.sources[metric.metricKey] = source.id;
+        });
+
+        return fused;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoseFusion;
+}
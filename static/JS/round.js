@@ -0,0 +1,42 @@
+// OneShot.pro Rounds
+// A session's round template: how many arrows make an end, how many ends
+// make the round, and the rest between ends for collecting arrows
+
+class Round {
+    constructor(key = CONFIG.rounds.default, roundsConfig = CONFIG.rounds) {
+        const templates = roundsConfig.templates;
+        this.key = templates[key] ? key : roundsConfig.default;
+        this.template = templates[this.key];
+        this.ends = this.template.ends;
+        this.arrowsPerEnd = this.template.arrowsPerEnd;
+        this.restSeconds = this.template.restSeconds;
+
+        // Open practice has no last arrow
+        this.totalArrows = this.ends ? this.ends * this.arrowsPerEnd : Infinity;
+    }
+
+    /**
+     * Where the next shot falls after `count` shots
+     * @returns {Object} { end, arrowNumber }, both from 1
+     */
+    position(count) {
+        return {
+            end: Math.floor(count / this.arrowsPerEnd) + 1,
+            arrowNumber: count % this.arrowsPerEnd + 1
+        };
+    }
+
+    // The end finished by the `count`th shot, or null mid-end
+    completedEnd(count) {
+        return count > 0 && count % this.arrowsPerEnd === 0 ? count / this.arrowsPerEnd : null;
+    }
+
+    isComplete(count) {
+        return count >= this.totalArrows;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Round;
+}
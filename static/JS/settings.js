@@ -0,0 +1,47 @@
+// OneShot.pro Settings
+// User preferences kept in localStorage under CONFIG.storage.settings,
+// one section per feature, filled in from CONFIG.defaultSettings
+
+class Settings {
+    constructor(store = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.store = store;
+    }
+
+    readAll() {
+        if (!this.store) return {};
+        try {
+            return JSON.parse(this.store.getItem(CONFIG.storage.settings)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeAll(settings) {
+        if (this.store) {
+            this.store.setItem(CONFIG.storage.settings, JSON.stringify(settings));
+        }
+    }
+
+    /**
+     * One section with defaults for anything not saved yet
+     */
+    get(section) {
+        return { ...(CONFIG.defaultSettings[section] || {}), ...(this.readAll()[section] || {}) };
+    }
+
+    /**
+     * Save changes to one section
+     * @returns {Object} the whole section after the update
+     */
+    update(section, changes) {
+        const settings = this.readAll();
+        settings[section] = { ...(settings[section] || {}), ...changes };
+        this.writeAll(settings);
+        return this.get(section);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Settings;
+}
@@ -0,0 +1,123 @@
+// OneShot.pro Shot Comparison
+// Compares a shot against the archer's pinned reference form: skeletons
+// normalized by shoulder width, plus per-check deltas from evaluateForm
+
+class ShotComparison {
+    constructor(store = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.store = store;
+    }
+
+    // --- Pinned reference shot ---
+
+    getReference() {
+        if (!this.store) return null;
+        try {
+            return JSON.parse(this.store.getItem(CONFIG.storage.referenceShot));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pin a shot as reference form. The draw-cycle timeline is dropped to
+     * keep the stored copy small; landmarks and evaluation are all a comparison needs.
+     */
+    pinReference(shot) {
+        const { timeline, phaseStats, ...reference } = shot;
+        reference.pinnedAt = new Date().toISOString();
+        if (this.store) {
+            this.store.setItem(CONFIG.storage.referenceShot, JSON.stringify(reference));
+        }
+        return reference;
+    }
+
+    clearReference() {
+        if (this.store) {
+            this.store.removeItem(CONFIG.storage.referenceShot);
+        }
+    }
+
+    isReference(shot) {
+        const reference = this.getReference();
+        return !!reference && reference.id === shot.id;
+    }
+
+    // --- Comparison ---
+
+    /**
+     * Landmarks relative to the shoulder midpoint, in shoulder widths,
+     * so archers at different distances from the camera line up
+     * @param {number} aspect - source frame width / height; MediaPipe x and y are
+     *   fractions of different lengths, so x is stretched back before measuring
+     *   (shots stored without one assume the default camera resolution)
+     * @returns {Array|null} null when the shoulders are not visible
+     */
+    static normalizeLandmarks(landmarks, aspect = CONFIG.camera.width / CONFIG.camera.height) {
+        if (!landmarks) return null;
+
+        const frame = landmarks.map(landmark => ({ ...landmark, x: landmark.x * aspect }));
+        const left = frame[CONFIG.landmarks.LEFT_SHOULDER];
+        const right = frame[CONFIG.landmarks.RIGHT_SHOULDER];
+        if (!left || !right) return null;
+
+        const width = Utils.calculateDistance(left, right);
+        if (width === 0) return null;
+
+        const center = Utils.getMidpoint(left, right);
+        return frame.map(landmark => ({
+            x: (landmark.x - center.x) / width,
+            y: (landmark.y - center.y) / width,
+            visibility: landmark.visibility
+        }));
+    }
+
+    /**
+     * How far a check is from ideal: distance from target, or amount over max
+     * (negative when comfortably inside). Lower is better. Fallback for shots
+     * stored before evaluations carried a scoring deviation.
+     */
+    static deviation(key, entry) {
+        const metric = metricRegistry.get(key);
+        if (metric && metric.rule === 'target') {
+            return Math.abs(entry.value - entry.threshold);
+        }
+        return entry.value - entry.threshold;
+    }
+
+    /**
+     * Per-check deltas (shot minus reference) for every check both shots have
+     * @returns {Array<Object>} { key, name, unit, value, referenceValue, delta, pass, referencePass, better }
+     */
+    static compareChecks(shot, reference) {
+        const evaluation = shot.evaluation || {};
+        const referenceEvaluation = reference.evaluation || {};
+
+        return Object.keys(evaluation)
+            .filter(key => referenceEvaluation[key])
+            .map(key => {
+                const entry = evaluation[key];
+                const referenceEntry = referenceEvaluation[key];
+                const digits = entry.unit === 'ratio' ? 2 : 1;
+                const scored = entry.deviation !== undefined && referenceEntry.deviation !== undefined;
+                const deviation = scored ? entry.deviation : ShotComparison.deviation(key, entry);
+                const referenceDeviation = scored ? referenceEntry.deviation : ShotComparison.deviation(key, referenceEntry);
+
+                return {
+                    key,
+                    name: entry.name,
+                    unit: entry.unit,
+                    value: entry.value,
+                    referenceValue: referenceEntry.value,
+                    delta: parseFloat((entry.value - referenceEntry.value).toFixed(digits)),
+                    pass: entry.pass,
+                    referencePass: referenceEntry.pass,
+                    better: deviation < referenceDeviation
+                };
+            });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotComparison;
+}
@@ -0,0 +1,119 @@
+// OneShot.pro Shot History
+// Shots of one session (or any loaded set, e.g. a whole club's) with score
+// and error statistics, overall and per end
+
+class ShotHistory {
+    constructor() {
+        this.shots = [];
+    }
+
+    addShot(shot) {
+        this.shots.push(shot);
+    }
+
+    getShots() {
+        return this.shots;
+    }
+
+    // Highest-scoring shot with stored landmarks, optionally skipping one
+    getBestShot(excludeId = null) {
+        return this.shots
+            .filter(shot => shot.id !== excludeId && shot.landmarks)
+            .reduce((best, shot) => (!best || shot.overallScore > best.overallScore ? shot : best), null);
+    }
+
+    getStats() {
+        if (this.shots.length === 0) return null;
+
+        const scores = this.shots.map(s => s.overallScore);
+        const averageScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+        const bestScore = Math.max(...scores);
+
+        const ends = this.getEndStats();
+
+        return {
+            totalShots: this.shots.length,
+            averageScore,
+            bestScore,
+            arrowTotal: ends[ends.length - 1].runningTotal,
+            commonErrors: this.getCommonErrors(),
+            errorDistribution: this.getErrorCounts(),
+            ends
+        };
+    }
+
+    // The end a shot belongs to; shots from before rounds count in ends of the practice round
+    static endOf(shot) {
+        return shot.end || Math.ceil((shot.sequenceNumber || 1) / CONFIG.rounds.templates.practice.arrowsPerEnd);
+    }
+
+    /**
+     * Scores per end, in end order. Arrow totals count the arrows recorded
+     * so far; the running total adds up the ends before and including this one.
+     * @returns {Array} [{ end, shots, averageScore, bestScore, arrowTotal, arrowsScored, runningTotal }]
+     */
+    getEndStats() {
+        const ends = new Map();
+        this.shots.forEach(shot => {
+            const end = ShotHistory.endOf(shot);
+            if (!ends.has(end)) ends.set(end, []);
+            ends.get(end).push(shot);
+        });
+
+        let runningTotal = 0;
+        return Array.from(ends.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([end, shots]) => {
+                const scores = shots.map(s => s.overallScore);
+                const arrows = shots.filter(s => s.arrow).map(s => s.arrow.targetScore);
+                const arrowTotal = arrows.reduce((a, b) => a + b, 0);
+                runningTotal += arrowTotal;
+                return {
+                    end,
+                    shots: shots.length,
+                    averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+                    bestScore: Math.max(...scores),
+                    arrowTotal,
+                    arrowsScored: arrows.length,
+                    runningTotal
+                };
+            });
+    }
+
+    // Occurrences of each check's error across all shots, by check key
+    getErrorCounts() {
+        const errorCounts = {};
+        this.shots.forEach(shot => {
+            shot.errors.forEach(error => {
+                const key = MetricRegistry.errorKey(error);
+                errorCounts[key] = (errorCounts[key] || 0) + 1;
+            });
+        });
+        return errorCounts;
+    }
+
+    /**
+     * Most frequent errors first
+     * @returns {Array} [{ key, count, rate }] - rate is the share of shots with the error
+     */
+    getCommonErrors(limit = 3) {
+        return Object.entries(this.getErrorCounts())
+            .map(([key, count]) => ({ key, count, rate: count / this.shots.length }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    // Replace contents with shots loaded from storage
+    load(shots) {
+        this.shots = shots.slice();
+    }
+
+    clear() {
+        this.shots = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotHistory;
+}
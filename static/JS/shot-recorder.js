@@ -0,0 +1,136 @@
+// OneShot.pro Shot Recorder
+// Keeps a rolling window of per-frame landmarks and metrics so each shot
+// can carry the whole draw cycle instead of a single snapshot
+
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Oldest to newest
+    toArray() {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            result.push(this.items[(this.start + i) % this.capacity]);
+        }
+        return result;
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+class ShotRecorder {
+    constructor(recordingConfig = CONFIG.recording) {
+        this.config = recordingConfig;
+        this.buffer = new RingBuffer(recordingConfig.bufferSize);
+        this.cycleStartTime = null;
+    }
+
+    reset() {
+        this.buffer.clear();
+        this.cycleStartTime = null;
+    }
+
+    /**
+     * Record one analyzed frame
+     * @param {Object} frame - { timestamp, phase, landmarks, metrics }
+     */
+    addFrame(frame) {
+        this.buffer.push({
+            timestamp: frame.timestamp,
+            phase: frame.phase,
+            landmarks: frame.landmarks.map(lm => ({
+                x: lm.x,
+                y: lm.y,
+                z: lm.z,
+                visibility: lm.visibility
+            })),
+            metrics: frame.metrics
+        });
+    }
+
+    /**
+     * Mark the start of a draw cycle (rest -> draw)
+     */
+    markCycleStart(timestamp) {
+        this.cycleStartTime = timestamp;
+    }
+
+    /**
+     * Frames belonging to the current draw cycle, up to endTime.
+     * Falls back to the whole buffer when no draw start has been seen.
+     */
+    getCycleFrames(endTime) {
+        const start = this.cycleStartTime !== null ? this.cycleStartTime : -Infinity;
+        return this.buffer.toArray().filter(frame =>
+            frame.timestamp >= start && frame.timestamp <= endTime
+        );
+    }
+
+    /**
+     * Build the time-series payload attached to a shot summary
+     */
+    buildTimeline(endTime) {
+        const frames = this.getCycleFrames(endTime);
+
+        return {
+            startTime: frames.length > 0 ? frames[0].timestamp : endTime,
+            endTime,
+            frames,
+            phaseStats: ShotRecorder.aggregateByPhase(frames, metricRegistry.metricKeys())
+        };
+    }
+
+    /**
+     * Per-phase mean/min/max/stddev of each metric
+     * @returns {Object} { [phase]: { frames, duration, metrics: { [metricKey]: stats } } }
+     */
+    static aggregateByPhase(frames, metricKeys) {
+        const byPhase = {};
+
+        frames.forEach(frame => {
+            if (!byPhase[frame.phase]) byPhase[frame.phase] = [];
+            byPhase[frame.phase].push(frame);
+        });
+
+        const result = {};
+        Object.entries(byPhase).forEach(([phase, phaseFrames]) => {
+            const metrics = {};
+            metricKeys.forEach(key => {
+                const stats = Utils.calculateStats(phaseFrames.map(f => f.metrics[key]));
+                if (stats) metrics[key] = stats;
+            });
+
+            result[phase] = {
+                frames: phaseFrames.length,
+                duration: phaseFrames[phaseFrames.length - 1].timestamp - phaseFrames[0].timestamp,
+                metrics
+            };
+        });
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShotRecorder, RingBuffer };
+}
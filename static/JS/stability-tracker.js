@@ -0,0 +1,122 @@
+// OneShot.pro Stability Tracker
+// Rolling-window steadiness measures for the anchor hold:
+// bow-wrist jitter, draw-hand drift and hold duration
+
+class StabilityTracker {
+    constructor(stabilityConfig = CONFIG.stability) {
+        this.config = stabilityConfig;
+        this.landmarks = CONFIG.landmarks;
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.holdStart = null;
+        this.holdEnd = null;
+        this.anchorDrawHand = null;
+        this.lastMetrics = null;
+    }
+
+    /**
+     * Feed one frame
+     * @param {Array} poseLandmarks - MediaPipe landmarks
+     * @param {Object} userConfig - session config (hand)
+     * @param {number} timestamp - frame time in ms
+     * @param {boolean} holding - true while the archer is at anchor (anchor/expansion phase)
+     */
+    addSample(poseLandmarks, userConfig, timestamp, holding) {
+        if (!holding) {
+            if (this.holdStart !== null) {
+                this.holdEnd = timestamp;
+                this.holdStart = null;
+                this.samples = [];
+            }
+            return;
+        }
+
+        const point = this.normalizedHands(poseLandmarks, userConfig);
+        if (!point) return;
+
+        if (this.holdStart === null) {
+            this.holdStart = timestamp;
+            this.holdEnd = null;
+            this.anchorDrawHand = point.drawHand;
+        }
+
+        this.samples.push({ timestamp, ...point });
+        const cutoff = timestamp - this.config.windowMs;
+        while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+            this.samples.shift();
+        }
+
+        this.lastMetrics = this.computeMetrics(timestamp);
+    }
+
+    /**
+     * Bow and draw wrist positions in shoulder-width units
+     */
+    normalizedHands(poseLandmarks, userConfig) {
+        const bowSide = userConfig.hand === 'left' ? 'LEFT' : 'RIGHT';
+        const drawSide = userConfig.hand === 'left' ? 'RIGHT' : 'LEFT';
+
+        const leftShoulder = poseLandmarks[this.landmarks.LEFT_SHOULDER];
+        const rightShoulder = poseLandmarks[this.landmarks.RIGHT_SHOULDER];
+        const bowWrist = poseLandmarks[this.landmarks[`${bowSide}_WRIST`]];
+        const drawWrist = poseLandmarks[this.landmarks[`${drawSide}_WRIST`]];
+
+        if (!leftShoulder || !rightShoulder || !bowWrist || !drawWrist) return null;
+
+        const shoulderWidth = Utils.calculateDistance(leftShoulder, rightShoulder);
+        if (!(shoulderWidth > 0)) return null;
+
+        return {
+            bowHand: { x: bowWrist.x / shoulderWidth, y: bowWrist.y / shoulderWidth },
+            drawHand: { x: drawWrist.x / shoulderWidth, y: drawWrist.y / shoulderWidth }
+        };
+    }
+
+    computeMetrics(timestamp) {
+        const holdDurationSec = (timestamp - this.holdStart) / 1000;
+        if (this.samples.length < this.config.minSamples) {
+            return { bowWristJitter: null, drawHandDrift: null, holdDurationSec };
+        }
+
+        // Jitter: RMS distance of the bow wrist from its mean position in the window
+        const mean = {
+            x: this.samples.reduce((sum, s) => sum + s.bowHand.x, 0) / this.samples.length,
+            y: this.samples.reduce((sum, s) => sum + s.bowHand.y, 0) / this.samples.length
+        };
+        const meanSquare = this.samples.reduce((sum, s) => {
+            const d = Utils.calculateDistance(s.bowHand, mean);
+            return sum + d * d;
+        }, 0) / this.samples.length;
+
+        // Drift: how far the draw hand has moved since anchor lock
+        const latest = this.samples[this.samples.length - 1];
+        const drift = Utils.calculateDistance(this.anchorDrawHand, latest.drawHand);
+
+        return {
+            bowWristJitter: parseFloat((Math.sqrt(meanSquare) * 100).toFixed(2)),
+            drawHandDrift: parseFloat((drift * 100).toFixed(1)),
+            holdDurationSec: parseFloat(holdDurationSec.toFixed(2))
+        };
+    }
+
+    /**
+     * Current hold metrics, or the last hold's for a short time after it ends.
+     * Returns null when there is no recent hold to report on.
+     */
+    getMetrics(timestamp = Date.now()) {
+        if (!this.lastMetrics) return null;
+        if (this.holdStart === null &&
+            (this.holdEnd === null || timestamp - this.holdEnd > this.config.retainMs)) {
+            return null;
+        }
+        return this.lastMetrics;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StabilityTracker;
+}
@@ -0,0 +1,148 @@
+// OneShot.pro Local Storage
+// IndexedDB persistence for sessions and shots so training survives a closed tab
+
+class ShotStorage {
+    constructor(dbConfig = CONFIG.database) {
+        this.dbConfig = dbConfig;
+        this.sessionStore = CONFIG.storage.sessionData;
+        this.shotStore = CONFIG.storage.shotHistory;
+        this.clipStore = CONFIG.storage.shotClips;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Wrap an IDBRequest in a promise
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!ShotStorage.isSupported()) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = indexedDB.open(this.dbConfig.name, this.dbConfig.version);
+        request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+
+        this.db = await ShotStorage.promisify(request);
+        return this.db;
+    }
+
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const sessions = db.createObjectStore(this.sessionStore, { keyPath: 'id' });
+            sessions.createIndex('startTime', 'startTime');
+
+            const shots = db.createObjectStore(this.shotStore, { keyPath: 'id' });
+            shots.createIndex('sessionId', 'sessionId');
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore(this.clipStore, { keyPath: 'shotId' });
+        }
+    }
+
+    async transaction(storeNames, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(storeNames, mode);
+    }
+
+    // Resolve when a write transaction commits
+    static complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async saveSession(session) {
+        const tx = await this.transaction([this.sessionStore], 'readwrite');
+        tx.objectStore(this.sessionStore).put(session);
+        return ShotStorage.complete(tx);
+    }
+
+    async saveShots(shots) {
+        if (shots.length === 0) return;
+
+        const tx = await this.transaction([this.shotStore], 'readwrite');
+        const store = tx.objectStore(this.shotStore);
+        shots.forEach(shot => store.put(shot));
+        return ShotStorage.complete(tx);
+    }
+
+    async getSession(sessionId) {
+        const tx = await this.transaction([this.sessionStore]);
+        return ShotStorage.promisify(tx.objectStore(this.sessionStore).get(sessionId));
+    }
+
+    /**
+     * All sessions, newest first
+     */
+    async getSessions() {
+        const tx = await this.transaction([this.sessionStore]);
+        const sessions = await ShotStorage.promisify(
+            tx.objectStore(this.sessionStore).index('startTime').getAll()
+        );
+        return sessions.reverse();
+    }
+
+    /**
+     * Shots for one session in capture order
+     */
+    async getShots(sessionId) {
+        const tx = await this.transaction([this.shotStore]);
+        const shots = await ShotStorage.promisify(
+            tx.objectStore(this.shotStore).index('sessionId').getAll(sessionId)
+        );
+        return shots.sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+    }
+
+    /**
+     * Every stored shot across all sessions
+     */
+    async getAllShots() {
+        const tx = await this.transaction([this.shotStore]);
+        return ShotStorage.promisify(tx.objectStore(this.shotStore).getAll());
+    }
+
+    async deleteSession(sessionId) {
+        const shots = await this.getShots(sessionId);
+
+        const tx = await this.transaction([this.sessionStore, this.shotStore, this.clipStore], 'readwrite');
+        tx.objectStore(this.sessionStore).delete(sessionId);
+        const shotStore = tx.objectStore(this.shotStore);
+        const clipStore = tx.objectStore(this.clipStore);
+        shots.forEach(shot => {
+            shotStore.delete(shot.id);
+            clipStore.delete(shot.id);
+        });
+        return ShotStorage.complete(tx);
+    }
+
+    // Recorded replay clips, one per shot: { shotId, sessionId, blob, mimeType, duration }
+    async saveClip(clip) {
+        const tx = await this.transaction([this.clipStore], 'readwrite');
+        tx.objectStore(this.clipStore).put(clip);
+        return ShotStorage.complete(tx);
+    }
+
+    async getClip(shotId) {
+        const tx = await this.transaction([this.clipStore]);
+        return ShotStorage.promisify(tx.objectStore(this.clipStore).get(shotId));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotStorage;
+}
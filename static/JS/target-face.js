@@ -0,0 +1,155 @@
+// OneShot.pro Target Face
+// World Archery 10-ring faces: ring scoring, the SVG face used for arrow
+// entry and conversion of taps to impact positions. Impacts are stored in
+// cm from the centre of the X, right and up positive.
+
+const ARROW_DIRECTIONS = ['right', 'highRight', 'high', 'highLeft', 'left', 'lowLeft', 'low', 'lowRight'];
+
+class TargetFace {
+    static get(faceKey) {
+        const faces = CONFIG.targets.faces;
+        return faces[faceKey] || faces.wa122;
+    }
+
+    // Smallest face shot at this distance (40 cm indoor, 80 cm up to 50 m, 122 cm beyond)
+    static forDistance(distance) {
+        const faces = Object.entries(CONFIG.targets.faces).sort((a, b) => a[1].diameter - b[1].diameter);
+        const match = faces.find(([, face]) => distance <= face.maxDistance);
+        return match ? match[0] : faces[faces.length - 1][0];
+    }
+
+    // The face a shot is scored on: the one recorded with it, else the session's
+    static forShot(shot) {
+        if (shot.arrow && shot.arrow.targetFace) return shot.arrow.targetFace;
+        const config = shot.userConfig || {};
+        return config.targetFace || TargetFace.forDistance(config.distance);
+    }
+
+    // The face most of these arrows were shot on
+    static commonFace(arrows) {
+        const counts = {};
+        arrows.forEach(arrow => {
+            counts[arrow.targetFace] = (counts[arrow.targetFace] || 0) + 1;
+        });
+        const faceKey = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        return faceKey || TargetFace.forDistance(undefined);
+    }
+
+    static ringWidth(faceKey) {
+        return TargetFace.get(faceKey).diameter / 20;
+    }
+
+    /**
+     * Arrow result for an impact; an arrow on a line scores the higher ring
+     * @returns {Object} ArrowData: { targetFace, impactX, impactY, targetScore, isX }
+     */
+    static score(faceKey, impactX, impactY) {
+        const width = TargetFace.ringWidth(faceKey);
+        const radius = Math.hypot(impactX, impactY);
+        const ring = Math.min(10, 11 - Math.ceil(radius / width));
+
+        return {
+            targetFace: faceKey,
+            impactX: Math.round(impactX * 10) / 10,
+            impactY: Math.round(impactY * 10) / 10,
+            targetScore: Math.max(0, ring),
+            isX: radius <= width / 2
+        };
+    }
+
+    // An arrow that missed the boss: scored 0 with no position
+    static miss(faceKey) {
+        return { targetFace: faceKey, impactX: null, impactY: null, targetScore: 0, isX: false };
+    }
+
+    static hasImpact(arrow) {
+        return !!arrow && arrow.impactX !== null && arrow.impactX !== undefined;
+    }
+
+    // One of eight 45° sectors around the centre
+    static direction(point) {
+        const angle = Math.atan2(point.impactY, point.impactX);
+        const sector = Math.round(angle / (Math.PI / 4));
+        return ARROW_DIRECTIONS[(sector + 8) % 8];
+    }
+
+    // 'X', '10' ... '1', or 'M' for a miss
+    static label(arrow) {
+        if (arrow.isX) return 'X';
+        return arrow.targetScore > 0 ? String(arrow.targetScore) : 'M';
+    }
+
+    // Ring colours from the outside in: white, black, blue, red, gold
+    static ringColor(ring) {
+        return ['#f8fafc', '#1e293b', '#38bdf8', '#ef4444', '#facc15'][Math.floor((ring - 1) / 2)];
+    }
+
+    /**
+     * Impact in another face's cm, keeping its position in ring widths
+     * (so arrows shot on different faces can share one plot)
+     */
+    static convert(arrow, faceKey) {
+        const scale = TargetFace.ringWidth(faceKey) / TargetFace.ringWidth(arrow.targetFace);
+        return { ...arrow, targetFace: faceKey, impactX: arrow.impactX * scale, impactY: arrow.impactY * scale };
+    }
+
+    /**
+     * SVG face with impacts marked; the view is in cm with one ring of margin
+     * for arrows that land just off the face
+     * @param {Array<Object>} arrows - ArrowData on this face (misses without a position are skipped)
+     * @param {Object} options - { highlight: arrow to emphasise, fliers: arrows to mark,
+     *     centroid: { x, y } group centre to mark, onclick: handler source }
+     */
+    static svg(faceKey, arrows = [], options = {}) {
+        const width = TargetFace.ringWidth(faceKey);
+        const half = 10 * width + width;
+
+        const rings = [];
+        for (let ring = 1; ring <= 10; ring++) {
+            const lineColor = ring === 3 || ring === 4 ? '#f8fafc' : '#0f172a';
+            rings.push(`<circle r="${(11 - ring) * width}" fill="${TargetFace.ringColor(ring)}" stroke="${lineColor}" stroke-width="${width / 20}"/>`);
+        }
+        rings.push(`<circle r="${width / 2}" fill="none" stroke="#0f172a" stroke-width="${width / 30}"/>`);
+
+        const fliers = options.fliers || [];
+        const impacts = arrows.filter(TargetFace.hasImpact).map(arrow => `
+            <circle class="impact${arrow === options.highlight ? ' latest' : ''}${fliers.includes(arrow) ? ' flier' : ''}"
+                cx="${arrow.impactX}" cy="${-arrow.impactY}" r="${Math.max(width * 0.25, 0.4)}"
+                stroke-width="${width / 15}"/>
+        `).join('');
+
+        const centroid = options.centroid;
+        const mark = width * 0.6;
+        const centroidMark = centroid ? `
+            <path class="centroid" stroke-width="${width / 10}"
+                d="M${centroid.x - mark} ${-centroid.y}h${2 * mark}M${centroid.x} ${-centroid.y - mark}v${2 * mark}"/>
+        ` : '';
+
+        return `
+            <svg class="target-face" viewBox="${-half} ${-half} ${2 * half} ${2 * half}" data-face="${faceKey}"
+                role="img" aria-label="${i18n.t('arrows.faceName', { diameter: TargetFace.get(faceKey).diameter })}"
+                ${options.onclick ? `onclick="${options.onclick}"` : ''}>
+                ${rings.join('')}
+                ${impacts}
+                ${centroidMark}
+            </svg>
+        `;
+    }
+
+    /**
+     * Impact position of a click or tap on a face drawn by svg()
+     * @returns {Object} { x, y } in cm, up positive
+     */
+    static pointFromEvent(svgElement, event) {
+        const rect = svgElement.getBoundingClientRect();
+        const viewBox = svgElement.viewBox.baseVal;
+        const x = viewBox.x + (event.clientX - rect.left) / rect.width * viewBox.width;
+        const y = viewBox.y + (event.clientY - rect.top) / rect.height * viewBox.height;
+        return { x, y: -y };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TargetFace, ARROW_DIRECTIONS };
+}
@@ -6,6 +6,10 @@ class UIController {
         this.isPanelCollapsed = false;
         this.lastStatusUpdate = 0;
         this.speechSynthesis = window.speechSynthesis;
+        this.speechSettings = { ...CONFIG.defaultSettings.audio };
+        this.voicesListener = null;
+        this.replayUrl = null;
+        this.currentShot = null; // shot shown in the shot modal
     }
 
     // Update status bar
@@ -25,52 +29,523 @@ class UIController {
         // Update panel info
         const panelInfo = document.getElementById('panelInfo');
         if (panelInfo) {
-            panelInfo.textContent = `H: ${userConfig.height}m | D: ${userConfig.distance}m | ${userConfig.hand.toUpperCase()}`;
+            panelInfo.textContent = [
+                i18n.t('panel.height', { value: i18n.formatNumber(userConfig.height, 2, 0) }),
+                i18n.t('panel.distance', { value: i18n.formatNumber(userConfig.distance, 1, 0) }),
+                i18n.t(`panel.hand.${userConfig.hand}`),
+                metrics.metricMode === '3d' ? '3D' : null,
+                metrics.cameraCount > 1 ? i18n.t('panel.cameras', { count: metrics.cameraCount }) : null
+            ].filter(Boolean).join(' | ');
         }
 
-        // Create check items
-        const checks = [
-            { key: 'shoulderLine', eval: evaluation.shoulderLine },
-            { key: 'bowElbow', eval: evaluation.bowElbow },
-            { key: 'drawAlign', eval: evaluation.drawAlign },
-            { key: 'headTilt', eval: evaluation.headTilt },
-            { key: 'spineLean', eval: evaluation.spineLean },
-            { key: 'anchor', eval: evaluation.anchor }
-        ];
-
-        container.innerHTML = checks.map(check => {
+        // With several cameras, show which one each check was taken from
+        container.innerHTML = UIController.renderChecks(evaluation, metrics.cameraCount > 1 ? metrics.sources : null);
+    }
+
+    /**
+     * Check items in registry order (stability checks only exist while holding at anchor)
+     * @param {Object|null} sources - metric key -> camera id, to tag each check with its camera
+     */
+    static renderChecks(evaluation, sources = null) {
+        const checks = metricRegistry.list()
+            .map(metric => ({ key: metric.key, eval: evaluation[metric.key] }))
+            .filter(check => check.eval);
+
+        return checks.map(check => {
             const status = check.eval.pass ? 'pass' : 'fail';
-            const metricDisplay = check.eval.unit === 'ratio' 
-                ? check.eval.value.toFixed(2)
-                : `${check.eval.value}${check.eval.unit}`;
+            const metricDisplay = MetricRegistry.format(check.eval.value, check.eval.unit);
+            const metric = metricRegistry.get(check.key);
+            const source = sources && metric ? sources[metric.metricKey] : null;
 
             return `
                 <div class="check-item">
                     <div class="check-dot ${status}"></div>
                     <span>${check.eval.name}</span>
+                    ${source ? `<span class="metric-source">${UIController.cameraTag(source)}</span>` : ''}
                     <span class="metric">${metricDisplay}</span>
                 </div>
             `;
         }).join('');
     }
 
-    // Update shot counter
-    updateShotCounter(currentShots, maxShots) {
-        const shotCount = document.getElementById('shotCount');
-        const shotLimit = document.getElementById('shotLimit');
-        
-        if (shotCount) shotCount.textContent = currentShots;
-        if (shotLimit) shotLimit.textContent = maxShots;
+    // 'camera2' -> 'Cam 2'
+    static cameraTag(cameraId) {
+        return i18n.t('camera.tag', { number: cameraId.replace('camera', '') });
+    }
+
+    // --- Multi-archer sessions ---
+
+    // Archer panels replace the single form panel; the shared capture and clip buttons are hidden
+    showArcherPanels(active) {
+        const container = document.getElementById('archerPanels');
+        if (container) {
+            container.innerHTML = '';
+            container.hidden = !active;
+        }
+        ['formPanel', 'shotButton', 'recordClipsButton'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.hidden = active;
+        });
+    }
+
+    /**
+     * Panel for a newly tracked archer: bow setup, live checks and their shots
+     * @param {TrackedArcher} archer
+     */
+    addArcherPanel(archer) {
+        const container = document.getElementById('archerPanels');
+        if (!container) return;
+
+        const select = (field, options) => `
+            <select aria-label="${i18n.t(field === 'hand' ? 'training.bowHand' : 'training.bowType')}"
+                onchange="setArcherConfig(${archer.id}, '${field}', this.value)">
+                ${options.map(([value, label]) => `
+                    <option value="${value}" ${archer.userConfig[field] === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        `;
+
+        const panel = document.createElement('div');
+        panel.className = 'archer-panel';
+        panel.dataset.archerId = archer.id;
+        panel.style.setProperty('--archer-color', archer.color);
+        panel.innerHTML = `
+            <div class="archer-panel-header">
+                <h3 class="panel-title">${archer.label}</h3>
+                <span class="archer-away">${i18n.t('archers.away')}</span>
+            </div>
+            <div class="archer-config">
+                ${select('hand', [['right', i18n.t('training.right')], ['left', i18n.t('training.left')]])}
+                ${select('bowType', ['recurve', 'compound', 'traditional'].map(type => [type, i18n.t(`bowTypes.${type}`)]))}
+            </div>
+            <div class="phase-indicator" data-phase="rest">${archer.phaseTracker.getPhaseLabel()}</div>
+            <div class="checks-container"></div>
+            <div class="archer-shots"></div>
+            <button class="btn-secondary" onclick="captureArcherShot(${archer.id})">${i18n.t('controls.capture')}</button>
+        `;
+        container.appendChild(panel);
+        this.updateArcherShots(archer);
+    }
+
+    archerPanel(archer) {
+        return document.querySelector(`.archer-panel[data-archer-id="${archer.id}"]`);
+    }
+
+    updateArcherPanel(archer, evaluation, phase) {
+        const panel = this.archerPanel(archer);
+        if (!panel) return;
+
+        const indicator = panel.querySelector('.phase-indicator');
+        indicator.textContent = archer.phaseTracker.getPhaseLabel(phase);
+        indicator.dataset.phase = phase;
+        panel.querySelector('.checks-container').innerHTML = UIController.renderChecks(evaluation);
+    }
+
+    // Dim the panels of archers who have stepped out of view
+    updateArcherPresence(archers) {
+        archers.forEach(archer => {
+            const panel = this.archerPanel(archer);
+            if (panel) panel.classList.toggle('away', !archer.present);
+        });
+    }
+
+    // Shot count, average and the latest shots, newest first
+    updateArcherShots(archer, recentShots = CONFIG.multiArcher.recentShots) {
+        const panel = this.archerPanel(archer);
+        if (!panel) return;
+
+        const shots = archer.shotHistory.getShots();
+        const stats = archer.shotHistory.getStats();
+        const recent = shots.map((shot, index) => ({ shot, index })).slice(-recentShots).reverse();
+
+        panel.querySelector('.archer-shots').innerHTML = `
+            <p class="muted">${stats
+                ? `${i18n.t('sessions.shots', { count: shots.length })} • ${i18n.t('archers.average', { score: stats.averageScore })}`
+                : i18n.t('archers.noShots')}</p>
+            ${recent.map(({ shot, index }) => `
+                <button class="history-shot" onclick="showArcherShot(${archer.id}, ${index})">
+                    <span class="history-shot-number">#${index + 1}</span>
+                    <span>${shot.feedback.message}</span>
+                    <span class="history-shot-score">${shot.overallScore}</span>
+                </button>
+            `).join('')}
+        `;
+    }
+
+    // Archer name above their head, in their skeleton colour
+    drawArcherLabel(ctx, archer, landmarks, width, height) {
+        const nose = landmarks[CONFIG.landmarks.NOSE];
+        if (!nose) return;
+
+        ctx.font = 'bold 18px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = archer.color;
+        ctx.fillText(archer.label, nose.x * width, Math.max(20, nose.y * height - 40));
+    }
+
+    // Update shot phase indicator
+    updatePhaseIndicator(phase, label) {
+        const indicator = document.getElementById('phaseIndicator');
+        if (!indicator) return;
+
+        indicator.textContent = label;
+        indicator.dataset.phase = phase;
+    }
+
+    // Reflect hands-free capture state on its toggle button
+    updateAutoCaptureButton(enabled) {
+        const button = document.getElementById('autoCaptureButton');
+        if (!button) return;
+
+        button.classList.toggle('active', enabled);
+        button.setAttribute('aria-pressed', String(enabled));
+        const label = button.querySelector('span');
+        if (label) label.textContent = i18n.t(enabled ? 'controls.autoCaptureOn' : 'controls.autoCaptureOff');
+    }
+
+    updateRecordClipsButton(enabled, supported = true) {
+        const button = document.getElementById('recordClipsButton');
+        if (!button) return;
+
+        button.disabled = !supported;
+        button.title = supported ? '' : i18n.t('errors.clipsUnsupported');
+        button.classList.toggle('active', enabled);
+        button.setAttribute('aria-pressed', String(enabled));
+        const label = button.querySelector('span');
+        if (label) label.textContent = i18n.t(enabled ? 'controls.recordClipsOn' : 'controls.recordClipsOff');
+    }
+
+    /**
+     * Camera checkboxes on the setup form; the first checked camera is the main view
+     * @param {Array<Object>} devices - MultiCamera.listDevices() result
+     */
+    renderCameraList(devices, maxCameras) {
+        const list = document.getElementById('cameraList');
+        if (!list) return;
+
+        if (devices.length === 0) {
+            list.innerHTML = `<p class="muted">${i18n.t('camera.noneFound')}</p>`;
+            return;
+        }
+
+        list.innerHTML = devices.map((device, index) => `
+            <label class="camera-option">
+                <input type="checkbox" name="cameraDevice" value="${Utils.escapeHtml(device.deviceId)}" ${index === 0 ? 'checked' : ''}>
+                <span>${Utils.escapeHtml(device.label)}</span>
+            </label>
+        `).join('');
+
+        // Keep the selection within the camera limit
+        list.querySelectorAll('input[name="cameraDevice"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const checked = list.querySelectorAll('input[name="cameraDevice"]:checked');
+                if (checked.length > maxCameras) input.checked = false;
+            });
+        });
+    }
+
+    /**
+     * Extra camera feeds under the main video; pass [] to clear
+     * @param {Array<Object>} feeds - MultiCamera feeds (each carries its canvas)
+     */
+    showCameraFeeds(feeds) {
+        const container = document.getElementById('cameraFeeds');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.hidden = feeds.length === 0;
+        feeds.forEach(feed => {
+            const item = document.createElement('div');
+            item.className = 'camera-feed';
+            item.dataset.feedId = feed.id;
+
+            const label = document.createElement('div');
+            label.className = 'camera-feed-label';
+            label.textContent = feed.label;
+
+            item.appendChild(feed.canvas);
+            item.appendChild(label);
+            container.appendChild(item);
+        });
+    }
+
+    updateCameraFeedLabel(feed, view) {
+        const label = document.querySelector(`.camera-feed[data-feed-id="${feed.id}"] .camera-feed-label`);
+        if (!label) return;
+
+        const viewLabel = view ? CameraSetup.viewLabel(view) : i18n.t('camera.detectingView');
+        label.textContent = `${UIController.cameraTag(feed.id)} • ${feed.label} • ${viewLabel}`;
+    }
+
+    // Camera placement wizard shown over the video before a live session starts
+    showSetupWizard() {
+        const wizard = document.getElementById('setupWizard');
+        if (wizard) wizard.hidden = false;
+        this.updateSetupWizard({ view: null, checks: [], advice: [], metrics: [], ready: false, stable: false });
+    }
+
+    hideSetupWizard() {
+        const wizard = document.getElementById('setupWizard');
+        if (wizard) wizard.hidden = true;
+    }
+
+    /**
+     * @param {Object} assessment - CameraSetup.update() result
+     */
+    updateSetupWizard(assessment) {
+        const checks = document.getElementById('setupChecks');
+        const advice = document.getElementById('setupAdvice');
+        const metrics = document.getElementById('setupMetrics');
+        const startButton = document.getElementById('setupStartButton');
+        if (!checks || !advice || !metrics || !startButton) return;
+
+        checks.innerHTML = assessment.checks.map(check => `
+            <div class="check-item">
+                <div class="check-dot ${check.pass ? 'pass' : 'fail'}"></div>
+                <span>${check.label}</span>
+            </div>
+        `).join('');
+
+        advice.innerHTML = assessment.advice.length > 0
+            ? assessment.advice.map(line => `<li>${line}</li>`).join('')
+            : `<li>${i18n.t('setup.placementGood')}</li>`;
+
+        metrics.textContent = assessment.metrics.length > 0
+            ? i18n.t('setup.viewChecks', { checks: assessment.metrics.join(', ') })
+            : '';
+
+        startButton.disabled = !assessment.stable;
+    }
+
+    // Reference-shot progress while calibrating; pass null to hide
+    updateCalibrationProgress(count, total) {
+        const progress = document.getElementById('calibrationProgress');
+        if (!progress) return;
+
+        progress.hidden = count === null;
+        if (count !== null) {
+            progress.textContent = i18n.t('calibration.progress', { count, total });
+        }
+    }
+
+    // Stored baseline summary on the setup form
+    updateCalibrationStatus(baseline) {
+        const status = document.getElementById('calibrationStatus');
+        if (!status) return;
+
+        if (!baseline) {
+            status.innerHTML = i18n.t('calibration.none');
+            return;
+        }
+
+        status.innerHTML = `
+            <strong>${i18n.t('calibration.baseline')}</strong> ${i18n.t(`bowTypes.${baseline.bowType}`)}, ${i18n.t(`hands.${baseline.hand}`)} •
+            ${i18n.t('calibration.shots', { count: baseline.shotCount })} • ${Utils.formatTimestamp(baseline.createdAt)}
+            <button class="btn-link" onclick="resetCalibration()">${i18n.t('common.reset')}</button>
+        `;
+    }
+
+    // --- Video file timeline ---
+
+    showVideoTimeline(duration) {
+        const timeline = document.getElementById('videoTimeline');
+        const slider = document.getElementById('timelineSlider');
+        const markers = document.getElementById('timelineMarkers');
+        if (!timeline) return;
+
+        timeline.hidden = false;
+        if (slider) {
+            slider.max = duration;
+            slider.value = 0;
+        }
+        if (markers) markers.innerHTML = '';
+        this.updateVideoTimeline(0, duration);
+    }
+
+    hideVideoTimeline() {
+        const timeline = document.getElementById('videoTimeline');
+        if (timeline) timeline.hidden = true;
+    }
+
+    updateVideoTimeline(position, duration) {
+        const slider = document.getElementById('timelineSlider');
+        const time = document.getElementById('timelineTime');
+
+        if (slider) slider.value = position;
+        if (time) time.textContent = `${Utils.formatDuration(position)} / ${Utils.formatDuration(duration)}`;
+    }
+
+    // Scrubbing is only possible while analysis is paused or finished
+    updateVideoAnalysisState(running, finished) {
+        const button = document.getElementById('videoAnalysisButton');
+        const slider = document.getElementById('timelineSlider');
+
+        if (button) {
+            button.textContent = i18n.t(running ? 'video.pause' : (finished ? 'video.complete' : 'video.resume'));
+            button.disabled = finished;
+        }
+        if (slider) slider.disabled = running;
+    }
+
+    // Mark a detected shot on the timeline; clicking it opens the shot
+    addTimelineMarker(shot, index, duration) {
+        const markers = document.getElementById('timelineMarkers');
+        if (!markers || !duration) return;
+
+        const marker = document.createElement('button');
+        marker.className = `timeline-marker ${shot.errors.length === 0 ? 'good' : 'poor'}`;
+        marker.style.left = `${(shot.videoTime / duration) * 100}%`;
+        marker.title = i18n.t('video.marker', {
+            number: index + 1,
+            score: shot.overallScore,
+            time: Utils.formatDuration(shot.videoTime)
+        });
+        marker.setAttribute('aria-label', marker.title);
+        marker.onclick = () => showVideoShot(index);
+        markers.appendChild(marker);
+    }
+
+    /**
+     * End and arrow of the next shot, with the running totals and the shots
+     * left on the tier. Without a round (multi-archer lanes) only the shot count.
+     */
+    updateShotCounter(currentShots, maxShots, round = null, stats = null) {
+        const position = document.getElementById('shotPosition');
+        const totals = document.getElementById('shotTotals');
+
+        if (position) {
+            if (!round) {
+                position.textContent = i18n.t('sessions.shots', { count: currentShots });
+            } else {
+                position.textContent = round.isComplete(currentShots)
+                    ? i18n.t('rounds.complete')
+                    : i18n.t('rounds.counter', round.position(currentShots));
+            }
+        }
+        if (totals) {
+            const parts = [];
+            if (stats) {
+                parts.push(i18n.t('rounds.formAverage', { score: stats.averageScore }));
+                if (stats.ends.some(end => end.arrowsScored > 0)) {
+                    parts.push(i18n.t('rounds.runningTotal', { total: stats.arrowTotal }));
+                }
+            }
+            if (maxShots !== Infinity) {
+                parts.push(i18n.t('rounds.shotsLeft', { count: Math.max(0, maxShots - currentShots) }));
+            }
+            totals.textContent = parts.join(' • ');
+        }
 
         // Disable shot button if limit reached
         const shotButton = document.getElementById('shotButton');
-        if (shotButton && currentShots >= maxShots) {
-            shotButton.disabled = true;
-            shotButton.style.opacity = '0.5';
-            shotButton.style.cursor = 'not-allowed';
+        if (shotButton) {
+            const limitReached = currentShots >= maxShots;
+            shotButton.disabled = limitReached;
+            shotButton.style.opacity = limitReached ? '0.5' : '';
+            shotButton.style.cursor = limitReached ? 'not-allowed' : '';
         }
     }
 
+    /**
+     * Summary of the end just shot: its shots (tap one to record its arrow),
+     * form average and arrow total, and the running total for the round
+     */
+    showEndSummary(end, shots, stats, roundComplete) {
+        const summary = document.getElementById('endSummary');
+        if (!summary) return;
+
+        summary.dataset.end = end;
+        summary.dataset.complete = roundComplete ? 'true' : '';
+        summary.hidden = false;
+        this.updateEndSummary(shots, stats);
+    }
+
+    updateEndSummary(shots, stats) {
+        const summary = document.getElementById('endSummary');
+        if (!summary || summary.hidden || !stats) return;
+
+        const end = parseInt(summary.dataset.end, 10);
+        const endStats = stats.ends.find(entry => entry.end === end);
+        if (!endStats) return;
+
+        const timer = summary.querySelector('.rest-timer');
+        const rows = shots
+            .map((shot, index) => ({ shot, index }))
+            .filter(({ shot }) => shot.end === end)
+            .map(({ shot, index }) => `
+                <button class="history-shot" onclick="showSessionShot(${index})">
+                    <span class="history-shot-number">${i18n.t('rounds.arrow', { number: shot.arrowNumber })}</span>
+                    <span>${shot.feedback.message}</span>
+                    <span class="arrow-value">${shot.arrow ? TargetFace.label(shot.arrow) : '–'}</span>
+                    <span class="history-shot-score">${shot.overallScore}</span>
+                </button>
+            `).join('');
+
+        summary.innerHTML = `
+            <h3>${i18n.t(summary.dataset.complete ? 'rounds.roundComplete' : 'rounds.endComplete', { end })}</h3>
+            <p class="muted">
+                ${i18n.t('rounds.formAverage', { score: endStats.averageScore })} •
+                ${i18n.t('rounds.endTotal', { total: endStats.arrowTotal, scored: endStats.arrowsScored, shots: endStats.shots })} •
+                ${i18n.t('rounds.runningTotal', { total: endStats.runningTotal })}
+            </p>
+            <div class="history-shots">${rows}</div>
+            ${summary.dataset.complete ? '' : `
+                <div class="end-summary-actions">
+                    <span class="rest-timer${timer && timer.classList.contains('over') ? ' over' : ''}">${timer ? timer.textContent : ''}</span>
+                    <button class="btn-secondary" onclick="skipRest()">${i18n.t('rounds.nextEnd')}</button>
+                </div>
+            `}
+        `;
+    }
+
+    // Rest left before the next end (0 once it is over)
+    updateRestTimer(seconds) {
+        const timer = document.querySelector('#endSummary .rest-timer');
+        if (!timer) return;
+
+        timer.textContent = seconds > 0
+            ? i18n.t('rounds.rest', { time: Utils.formatDuration(seconds * 1000) })
+            : i18n.t('rounds.restOver');
+        timer.classList.toggle('over', seconds === 0);
+    }
+
+    hideEndSummary() {
+        const summary = document.getElementById('endSummary');
+        if (summary) summary.hidden = true;
+    }
+
+    // Tier summary under the setup form
+    updateTierInfo(tier, unlimited) {
+        const summary = document.getElementById('tierSummary');
+        if (summary) {
+            const limit = tier.maxShots === Infinity
+                ? i18n.t('tier.unlimited')
+                : i18n.t('tier.perSession', { count: tier.maxShots });
+            const extras = i18n.t(unlimited ? 'tier.advanced' : 'tier.basic');
+            summary.innerHTML = `<strong>${i18n.t('tier.name', { tier: tier.name })}</strong> ${limit} • ${extras}`;
+        }
+
+        const upgradeLink = document.getElementById('upgradeLink');
+        if (upgradeLink) upgradeLink.hidden = unlimited;
+    }
+
+    // Multi-archer option on the setup form; it needs the Club plan
+    updateMultiArcherOption(available) {
+        const option = document.getElementById('multiArcher');
+        if (option) {
+            option.disabled = !available;
+            if (!available) option.checked = false;
+        }
+        const hint = document.getElementById('multiArcherHint');
+        if (hint) hint.innerHTML = i18n.t(available ? 'training.multiArcherHint' : 'training.multiArcherClub');
+    }
+
+    // Header login link shows the signed-in archer's name
+    updateAccountLink(user) {
+        const link = document.querySelector('.btn-login');
+        if (link) link.textContent = user ? user.name : i18n.t('nav.login');
+    }
+
     // Draw skeleton on canvas
     drawSkeleton(ctx, landmarks, width, height) {
         const ui = CONFIG.ui;
@@ -141,19 +616,102 @@ class UIController {
 
     // Speak feedback using text-to-speech
     speakFeedback(message) {
-        if (!this.speechSynthesis) return;
+        if (!this.speechSynthesis || this.speechSettings.verbosity === 'off') return;
         
         // Cancel any ongoing speech
         this.speechSynthesis.cancel();
         
         const utterance = new SpeechSynthesisUtterance(message);
-        utterance.rate = 1.0;
+        utterance.rate = this.speechSettings.rate;
         utterance.pitch = 1.0;
         utterance.volume = 0.8;
+
+        // Cues are written in the interface language: a saved language or voice for
+        // another language is ignored until the interface switches back to it
+        const speaksLocale = (tag) => UIController.languageOf(tag) === UIController.languageOf(i18n.speechLang());
+        const language = speaksLocale(this.speechSettings.language) ? this.speechSettings.language : '';
+        const voices = this.speechSynthesis.getVoices();
+        const chosen = voices.find(v => v.name === this.speechSettings.voice && speaksLocale(v.lang));
+        const voice = chosen || UIController.voiceFor(voices, language || i18n.speechLang());
+        if (voice) utterance.voice = voice;
+        utterance.lang = language || (voice && voice.lang) || i18n.speechLang();
         
         this.speechSynthesis.speak(utterance);
     }
 
+    /**
+     * Voice for a BCP 47 tag: the exact language and region, else any voice
+     * of the same language (browser default voices first)
+     */
+    static voiceFor(voices, lang) {
+        const normalize = (tag) => (tag || '').replace('_', '-').toLowerCase();
+        const wanted = normalize(lang);
+        const sameLanguage = voices
+            .filter(v => UIController.languageOf(v.lang) === UIController.languageOf(lang))
+            .sort((a, b) => Number(b.default) - Number(a.default));
+        return sameLanguage.find(v => normalize(v.lang) === wanted) || sameLanguage[0] || null;
+    }
+
+    // Primary language subtag: 'es-MX' and 'es_ES' are both 'es'
+    static languageOf(tag) {
+        return (tag || '').replace('_', '-').toLowerCase().split('-')[0];
+    }
+
+    /**
+     * @param {Object} settings - audio settings (see CONFIG.defaultSettings.audio)
+     */
+    setSpeechSettings(settings) {
+        this.speechSettings = { ...settings };
+    }
+
+    /**
+     * Fill the audio coaching settings on the setup form. Browsers load voices
+     * asynchronously, so the lists are refilled when they arrive.
+     */
+    renderAudioSettings(settings) {
+        const verbosity = document.getElementById('audioVerbosity');
+        const voiceSelect = document.getElementById('audioVoice');
+        const language = document.getElementById('audioLanguage');
+        const rate = document.getElementById('audioRate');
+        if (!verbosity || !voiceSelect || !language || !rate) return;
+
+        const voices = this.speechSynthesis ? this.speechSynthesis.getVoices() : [];
+        const languages = Array.from(new Set(voices.map(voice => voice.lang))).sort();
+        const matching = voices.filter(voice => !settings.language || voice.lang === settings.language);
+
+        language.innerHTML = `<option value="">${i18n.t('audio.interfaceLanguage')}</option>` + languages
+            .map(lang => `<option value="${lang}">${lang}</option>`).join('');
+        voiceSelect.innerHTML = `<option value="">${i18n.t('audio.defaultVoice')}</option>` + matching
+            .map(voice => `<option value="${voice.name}">${voice.name}</option>`).join('');
+
+        verbosity.value = settings.verbosity;
+        language.value = settings.language;
+        voiceSelect.value = matching.some(voice => voice.name === settings.voice) ? settings.voice : '';
+        rate.value = settings.rate;
+        const rateValue = document.getElementById('audioRateValue');
+        if (rateValue) rateValue.textContent = `${i18n.formatNumber(parseFloat(settings.rate), 1)}×`;
+
+        if (this.speechSynthesis && !this.voicesListener) {
+            this.voicesListener = () => this.renderAudioSettings(this.speechSettings);
+            this.speechSynthesis.addEventListener('voiceschanged', this.voicesListener);
+        }
+    }
+
+    // Audio settings as entered on the setup form; a voice is dropped when the language changes under it
+    readAudioSettings() {
+        const language = document.getElementById('audioLanguage').value;
+        const voiceName = document.getElementById('audioVoice').value;
+        const voices = this.speechSynthesis ? this.speechSynthesis.getVoices() : [];
+        const voice = voices.find(v => v.name === voiceName);
+
+        return {
+            verbosity: document.getElementById('audioVerbosity').value,
+            voice: voice && (!language || voice.lang === language) ? voiceName : '',
+            language,
+            rate: parseFloat(document.getElementById('audioRate').value)
+        };
+    }
+
     // Show shot summary modal
     showShotModal(shotSummary) {
         const modal = document.getElementById('shotModal');
@@ -165,11 +723,27 @@ class UIController {
             ? shotSummary.errors.map(error => `
                 <div class="error-item">
                     <span class="error-severity ${error.severity}">${error.severity.toUpperCase()}</span>
-                    <strong>${error.type}:</strong> ${error.description}
-                    <span class="error-value">${error.value.toFixed(1)} (target: ${error.threshold})</span>
+                    <strong>${Utils.escapeHtml(metricRegistry.checkName(MetricRegistry.errorKey(error)))}:</strong> ${error.description}
+                    <span class="error-value">${i18n.t('shot.errorValue', {
+                        value: i18n.formatNumber(error.value, 1, 1),
+                        threshold: i18n.formatNumber(error.threshold, 2, 0)
+                    })}</span>
                 </div>
             `).join('')
-            : '<p style="color: var(--success);">✓ All form checks passed!</p>';
+            : `<p style="color: var(--success);">✓ ${i18n.t('shot.allPassed')}</p>`;
+
+        const thresholds = metricRegistry.baseThresholds();
+        const metricCards = metricRegistry.poseMetrics()
+            .filter(metric => shotSummary.metrics[metric.metricKey] !== undefined)
+            .map(metric => {
+                const threshold = thresholds[metric.thresholdKey];
+                return `
+                    <div class="metric-card">
+                        <span class="metric-label">${metricRegistry.label(metric)}</span>
+                        <span class="metric-value">${MetricRegistry.format(shotSummary.metrics[metric.metricKey], threshold.unit)}</span>
+                    </div>
+                `;
+            }).join('');
 
         modalBody.innerHTML = `
             <div class="shot-summary">
@@ -183,7 +757,7 @@ class UIController {
                             ${shotSummary.overallScore}
                         </text>
                     </svg>
-                    <p>Form Score</p>
+                    <p>${i18n.t('shot.formScore')}</p>
                 </div>
                 
                 <div class="feedback-message">
@@ -191,37 +765,510 @@ class UIController {
                     <p>${shotSummary.feedback.detail}</p>
                 </div>
 
+                <div class="arrow-section" id="shotArrow">${this.renderArrowEntry(shotSummary)}</div>
+
                 <div class="metrics-grid">
-                    <div class="metric-card">
-                        <span class="metric-label">Shoulder Level</span>
-                        <span class="metric-value">${shotSummary.metrics.shoulderLineDeg}°</span>
+                    ${metricCards}
+                </div>
+
+                <div class="errors-section">
+                    <h4>${i18n.t('shot.formAnalysis')}</h4>
+                    ${errorList}
+                </div>
+
+                ${this.renderPhaseStats(shotSummary.phaseStats)}
+
+                <div class="replay-section" id="shotReplay" hidden></div>
+
+                <div class="comments-section" id="shotComments" hidden></div>
+
+                <div class="shot-actions">
+                    <button class="btn-secondary" id="pinReferenceButton" onclick="pinReferenceShot()">${i18n.t('shot.pinReference')}</button>
+                    <button class="btn-secondary" onclick="compareShot()">${i18n.t('shot.compare')}</button>
+                </div>
+
+                <div class="timestamp">
+                    ${i18n.t('shot.capturedAt', { time: new Date(shotSummary.timestamp).toLocaleTimeString(i18n.locale) })}
+                </div>
+            </div>
+        `;
+
+        this.releaseReplay();
+        this.currentShot = shotSummary;
+        modalBody.dataset.shotId = shotSummary.id || '';
+        modal.classList.add('active');
+    }
+
+    updateReferenceButton(pinned) {
+        const button = document.getElementById('pinReferenceButton');
+        if (!button) return;
+
+        button.disabled = pinned;
+        button.textContent = pinned ? `${i18n.t('shot.referenceForm')} ✓` : i18n.t('shot.pinReference');
+    }
+
+    /**
+     * Shot vs reference: overlaid skeletons and per-check deltas
+     * @param {Array<Object>} rows - from ShotComparison.compareChecks()
+     */
+    showComparison(shot, reference, rows) {
+        const modal = document.getElementById('compareModal');
+        const modalBody = document.getElementById('compareModalBody');
+
+        if (!modal || !modalBody) return;
+
+        const ui = CONFIG.ui;
+        const label = (s) => `#${s.sequenceNumber} • ${new Date(s.timestamp).toLocaleDateString(i18n.locale)}`;
+
+        const tableRows = rows.map(row => {
+            const trend = row.delta === 0 ? 'same' : (row.better ? 'better' : 'worse');
+            const sign = row.delta > 0 ? '+' : '';
+            return `
+                <tr>
+                    <th scope="row">${row.name}</th>
+                    <td class="${row.pass ? 'pass' : 'fail'}">${MetricRegistry.format(row.value, row.unit)}</td>
+                    <td class="${row.referencePass ? 'pass' : 'fail'}">${MetricRegistry.format(row.referenceValue, row.unit)}</td>
+                    <td class="comparison-delta ${trend}">${sign}${MetricRegistry.format(row.delta, row.unit)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const scoreDelta = shot.overallScore - reference.overallScore;
+
+        modalBody.innerHTML = `
+            <div class="shot-comparison">
+                <canvas id="comparisonCanvas" class="comparison-canvas" width="480" height="480"></canvas>
+                <div class="comparison-legend">
+                    <span><i class="comparison-swatch" style="background: ${ui.comparisonShotColor}"></i>${i18n.t('compare.thisShot')} ${label(shot)} (${shot.overallScore})</span>
+                    <span><i class="comparison-swatch" style="background: ${ui.comparisonReferenceColor}"></i>${i18n.t('compare.reference')} ${label(reference)} (${reference.overallScore})</span>
+                </div>
+                <p class="muted">${i18n.t('compare.summary', { delta: `${scoreDelta >= 0 ? '+' : ''}${scoreDelta}` })}</p>
+
+                <table class="phase-stats-table comparison-table">
+                    <thead><tr><th></th><th>${i18n.t('compare.thisShot')}</th><th>${i18n.t('compare.reference')}</th><th>Δ</th></tr></thead>
+                    <tbody>${tableRows}</tbody>
+                </table>
+            </div>
+        `;
+
+        const canvas = document.getElementById('comparisonCanvas');
+        this.drawComparison(canvas.getContext('2d'), canvas.width, canvas.height, shot, reference);
+
+        modal.classList.add('active');
+    }
+
+    // Reference skeleton behind the shot's, both centred on the shoulder midpoint and
+    // drawn at one scale on both axes, so joint angles look as they did in the frame
+    drawComparison(ctx, width, height, shot, reference) {
+        const ui = CONFIG.ui;
+        const scale = width / ui.comparisonSpan;
+        const origin = { x: width / 2, y: height / 3 };
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = ui.skeletonThickness;
+        ctx.lineCap = 'round';
+
+        [[reference, ui.comparisonReferenceColor], [shot, ui.comparisonShotColor]].forEach(([source, color]) => {
+            const points = ShotComparison.normalizeLandmarks(source.landmarks, source.frameAspect);
+            if (!points) return;
+
+            const toCanvas = (point) => ({ x: origin.x + point.x * scale, y: origin.y + point.y * scale });
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            CONFIG.connections.forEach(([startIdx, endIdx]) => {
+                const start = points[startIdx];
+                const end = points[endIdx];
+                if (start.visibility > 0.5 && end.visibility > 0.5) {
+                    const a = toCanvas(start);
+                    const b = toCanvas(end);
+                    ctx.beginPath();
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    ctx.stroke();
+                }
+            });
+
+            points.forEach(point => {
+                if (point.visibility > 0.5) {
+                    const p = toCanvas(point);
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, ui.jointRadius - 1, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            });
+        });
+    }
+
+    closeCompareModal() {
+        const modal = document.getElementById('compareModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Target face for recording where the shot's arrow landed
+    renderArrowEntry(shotSummary) {
+        const faceKey = TargetFace.forShot(shotSummary);
+        const arrow = shotSummary.arrow || null;
+
+        return `
+            <h4>${i18n.t('arrows.title')}</h4>
+            <div class="arrow-entry">
+                ${TargetFace.svg(faceKey, arrow ? [arrow] : [], { highlight: arrow, onclick: 'recordArrowImpact(event)' })}
+                <div class="arrow-entry-info">
+                    <span class="arrow-value">${arrow ? TargetFace.label(arrow) : '–'}</span>
+                    <p class="muted">${i18n.t('arrows.faceName', { diameter: TargetFace.get(faceKey).diameter })} •
+                        ${i18n.t(arrow ? 'arrows.tapToMove' : 'arrows.tapToRecord')}</p>
+                    <div class="arrow-actions">
+                        <button class="btn-secondary" onclick="recordArrowMiss()">${i18n.t('arrows.miss')}</button>
+                        ${arrow ? `<button class="btn-link" onclick="clearArrow()">${i18n.t('arrows.clear')}</button>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    updateArrowEntry(shotSummary) {
+        const modalBody = document.getElementById('shotModalBody');
+        const section = document.getElementById('shotArrow');
+        if (!section || !modalBody || modalBody.dataset.shotId !== (shotSummary.id || '')) return;
+
+        section.innerHTML = this.renderArrowEntry(shotSummary);
+    }
+
+    /**
+     * Slow-motion replay of a shot's recorded clip, with a WebM download.
+     * Ignored if the modal has moved on to another shot meanwhile.
+     */
+    showShotReplay(shotSummary, clip) {
+        const modalBody = document.getElementById('shotModalBody');
+        const replay = document.getElementById('shotReplay');
+        if (!clip || !replay || modalBody.dataset.shotId !== shotSummary.id) return;
+
+        this.releaseReplay();
+        this.replayUrl = URL.createObjectURL(clip.blob);
+
+        const speeds = CONFIG.recording.clips.replaySpeeds.map(speed => `
+            <button class="replay-speed${speed === 1 ? ' active' : ''}" data-speed="${speed}">${speed}×</button>
+        `).join('');
+
+        replay.innerHTML = `
+            <h4>${i18n.t('replay.title')}</h4>
+            <video class="replay-video" src="${this.replayUrl}" controls muted loop playsinline></video>
+            <div class="replay-controls">
+                <div class="replay-speeds" role="group" aria-label="${i18n.t('replay.speed')}">${speeds}</div>
+                <a class="btn-secondary" href="${this.replayUrl}" download="${this.clipFileName(shotSummary)}">${i18n.t('replay.download')}</a>
+            </div>
+        `;
+        replay.hidden = false;
+
+        const video = replay.querySelector('video');
+        replay.querySelectorAll('.replay-speed').forEach(button => {
+            button.addEventListener('click', () => {
+                video.playbackRate = parseFloat(button.dataset.speed);
+                replay.querySelectorAll('.replay-speed').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                video.play();
+            });
+        });
+    }
+
+    /**
+     * Coach comments under the shot in the open modal, once fetched.
+     * Ignored if the modal has moved on to another shot meanwhile.
+     */
+    showShotComments(shotSummary, comments) {
+        const modalBody = document.getElementById('shotModalBody');
+        const container = document.getElementById('shotComments');
+        if (!container || modalBody.dataset.shotId !== shotSummary.id || comments.length === 0) return;
+
+        container.innerHTML = `
+            <h4>${i18n.t('comments.title')}</h4>
+            <div class="comment-list">
+                ${comments.map(comment => `
+                    <div class="comment">
+                        <span class="comment-meta">${i18n.t('comments.meta', {
+                            author: Utils.escapeHtml(comment.authorName),
+                            time: new Date(comment.createdAt).toLocaleString(i18n.locale)
+                        })}</span>
+                        <p>${Utils.escapeHtml(comment.text)}</p>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        container.hidden = false;
+    }
+
+    releaseReplay() {
+        if (this.replayUrl) {
+            URL.revokeObjectURL(this.replayUrl);
+            this.replayUrl = null;
+        }
+    }
+
+    // e.g. oneshot-2026-10-18-shot3-draw-alignment.webm (first failing check, if any)
+    clipFileName(shotSummary) {
+        const date = new Date(shotSummary.timestamp).toISOString().slice(0, 10);
+        const parts = ['oneshot', date, `shot${shotSummary.sequenceNumber || 1}`];
+        if (shotSummary.errors.length > 0) {
+            // Accents are stripped so translated check names stay ASCII
+            parts.push(shotSummary.errors[0].type.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+        }
+        return `${parts.join('-')}.webm`;
+    }
+
+    /**
+     * Pass/fail list drawn into the canvas so recorded clips show the checks
+     */
+    drawCheckSummary(ctx, evaluation, width) {
+        const checks = Object.values(evaluation);
+        const fontSize = Math.max(12, Math.round(width / 60));
+        const lineHeight = fontSize * 1.4;
+        const padding = fontSize / 2;
+
+        ctx.save();
+        ctx.font = `${fontSize}px sans-serif`;
+        const boxWidth = Math.max(...checks.map(check => ctx.measureText(`✗ ${check.name}`).width)) + padding * 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(padding, padding, boxWidth, checks.length * lineHeight + padding);
+
+        ctx.textBaseline = 'top';
+        checks.forEach((check, i) => {
+            ctx.fillStyle = check.pass ? 'rgba(16, 185, 129, 1)' : 'rgba(239, 68, 68, 1)';
+            ctx.fillText(`${check.pass ? '✓' : '✗'} ${check.name}`, padding * 2, padding * 1.5 + i * lineHeight);
+        });
+        ctx.restore();
+    }
+
+    // Per-phase metric table (mean ± stddev) for the recorded draw cycle
+    renderPhaseStats(phaseStats) {
+        if (!phaseStats || Object.keys(phaseStats).length === 0) return '';
+
+        const phases = Object.keys(CONFIG.phases.labels).filter(phase => phaseStats[phase]);
+
+        const header = phases.map(phase => `<th>${i18n.t(`phases.${phase}`, {}, CONFIG.phases.labels[phase])}</th>`).join('');
+        const thresholds = metricRegistry.baseThresholds();
+        const rows = metricRegistry.poseMetrics().map(metric => {
+            const key = metric.metricKey;
+            const threshold = thresholds[metric.thresholdKey];
+            const digits = MetricRegistry.digits(threshold.unit);
+            const cells = phases.map(phase => {
+                const stats = phaseStats[phase].metrics[key];
+                if (!stats) return '<td>–</td>';
+                const format = (value) => i18n.formatNumber(value, digits, digits);
+                return `<td title="${i18n.t('phaseStats.range', { min: format(stats.min), max: format(stats.max) })}">` +
+                    `${format(stats.mean)} <span class="stat-spread">± ${format(stats.stddev)}</span></td>`;
+            }).join('');
+            return `<tr><th scope="row">${metricRegistry.name(metric, threshold)}</th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <div class="phase-stats">
+                <h4>${i18n.t('phaseStats.title')}</h4>
+                <table class="phase-stats-table">
+                    <thead><tr><th></th>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Render the list of stored sessions on the setup screen
+    renderSessionList(sessions) {
+        const container = document.getElementById('sessionList');
+        if (!container) return;
+
+        if (sessions === null) {
+            container.innerHTML = `<p class="muted">${i18n.t('sessions.unavailable')}</p>`;
+            return;
+        }
+
+        if (sessions.length === 0) {
+            container.innerHTML = `<p class="muted">${i18n.t('sessions.none')}</p>`;
+            return;
+        }
+
+        container.innerHTML = sessions.map(session => {
+            const summary = session.summary;
+            const score = summary
+                ? i18n.t('sessions.scores', { average: summary.averageScore, best: summary.bestScore })
+                : i18n.t('sessions.noShots');
+            const status = session.endTime ? Utils.formatDuration(session.duration * 1000) : i18n.t('sessions.unfinished');
+            const source = session.source === 'video' ? ` • ${i18n.t('sessions.video', { file: Utils.escapeHtml(session.fileName) })}` : '';
+            const archers = session.archers ? ` • ${i18n.t('sessions.archers', { count: session.archers.length })}` : '';
+            const round = session.round && session.round !== CONFIG.rounds.default
+                ? ` • ${i18n.t(`rounds.names.${session.round}`)}`
+                : '';
+
+            return `
+                <div class="session-row">
+                    <div class="session-row-info">
+                        <strong>${Utils.formatTimestamp(session.startTime)}</strong>
+                        <span>${i18n.t('sessions.shots', { count: session.shotCount })} • ${session.targetDistance}m • ${score} • ${status}${round}${source}${archers}</span>
                     </div>
+                    <button class="btn-secondary" onclick="openArchivedSession('${session.id}')">${i18n.t('common.view')}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Show a stored session with its shots in the history modal
+    showSessionHistory(session, shots, stats) {
+        const modal = document.getElementById('historyModal');
+        const modalBody = document.getElementById('historyModalBody');
+
+        if (!modal || !modalBody || !session) return;
+
+        const commonErrors = stats && stats.commonErrors.length > 0
+            ? stats.commonErrors.map(e => `${Utils.escapeHtml(metricRegistry.checkName(e.key))} (${e.count})`).join(', ')
+            : i18n.t('common.none');
+
+        const shotRows = shots.map((shot, index) => `
+            <button class="history-shot" onclick="showArchivedShot(${index})">
+                <span class="history-shot-number">#${shot.sequenceNumber}</span>
+                <span>${new Date(shot.timestamp).toLocaleTimeString(i18n.locale)}${shot.archer ? ` • ${shot.archer.label}` : ''}${shot.arrow ? ` • ${TargetFace.label(shot.arrow)}` : ''}</span>
+                <span>${shot.feedback.message}</span>
+                <span class="history-shot-score">${shot.overallScore}</span>
+            </button>
+        `).join('');
+
+        modalBody.innerHTML = `
+            <div class="session-history">
+                <div class="metrics-grid">
                     <div class="metric-card">
-                        <span class="metric-label">Bow Elbow</span>
-                        <span class="metric-value">${shotSummary.metrics.bowElbowDeg}°</span>
+                        <span class="metric-label">${i18n.t('history.shots')}</span>
+                        <span class="metric-value">${shots.length}</span>
                     </div>
                     <div class="metric-card">
-                        <span class="metric-label">Draw Align</span>
-                        <span class="metric-value">${shotSummary.metrics.drawAlignDeg}°</span>
+                        <span class="metric-label">${i18n.t('history.average')}</span>
+                        <span class="metric-value">${stats ? stats.averageScore : '–'}</span>
                     </div>
                     <div class="metric-card">
-                        <span class="metric-label">Head Tilt</span>
-                        <span class="metric-value">${shotSummary.metrics.headTiltDeg}°</span>
+                        <span class="metric-label">${i18n.t('history.best')}</span>
+                        <span class="metric-value">${stats ? stats.bestScore : '–'}</span>
                     </div>
                 </div>
+                <p class="muted">
+                    ${Utils.formatTimestamp(session.startTime)} • ${i18n.t(`rounds.names.${session.round || CONFIG.rounds.default}`)} •
+                    ${session.targetDistance}m • ${i18n.t(`bowTypes.${session.userConfig.bowType}`)} •
+                    ${i18n.t('history.commonErrors', { errors: commonErrors })}
+                </p>
+                ${this.renderArrowGroups(session, shots)}
+                ${this.renderEnds(shots)}
+                <div class="history-shots">
+                    ${shotRows || `<p class="muted">${i18n.t('history.noShots')}</p>`}
+                </div>
+                <button class="btn-secondary danger" onclick="deleteArchivedSession('${session.id}')">${i18n.t('history.delete')}</button>
+            </div>
+        `;
 
-                <div class="errors-section">
-                    <h4>Form Analysis</h4>
-                    ${errorList}
+        modal.classList.add('active');
+    }
+
+    static formatCm(value) {
+        return i18n.t('groups.cm', { value: i18n.formatNumber(value, 1, 1) });
+    }
+
+    static groupSizeText(groupStats) {
+        return i18n.t('groups.size', {
+            offset: UIController.formatCm(groupStats.offset),
+            direction: i18n.t(`arrows.directions.${groupStats.direction}`),
+            radius: UIController.formatCm(groupStats.meanRadius),
+            spread: UIController.formatCm(groupStats.extremeSpread)
+        });
+    }
+
+    /**
+     * Arrow groups of a stored session: the session's group with its centre
+     * and fliers marked, and a sight correction
+     */
+    renderArrowGroups(session, shots) {
+        // Archers sharing a lane each shoot their own group
+        const group = new ArrowGroup(shots.filter(shot => !shot.archer));
+        const stats = group.getStats();
+        if (!stats) return '';
+
+        const sight = group.getSightAdjustment(session.userConfig);
+        const sightText = sight ? i18n.t('groups.sight', {
+            moves: sight.map(move => i18n.t('groups.move', {
+                mm: i18n.formatNumber(move.mm, 1, 0),
+                direction: i18n.t(`groups.directions.${move.direction}`)
+            })).join(', ')
+        }) : '';
+
+        const flierRows = stats.fliers.map(flier => `
+            <li>
+                <button class="btn-link" onclick="showArchivedShot(${shots.indexOf(flier.shot)})">#${flier.shot.sequenceNumber}</button>
+                ${i18n.t('groups.flier', {
+                    distance: UIController.formatCm(flier.distance),
+                    faults: flier.faults.length > 0
+                        ? flier.faults.map(fault => fault.name).join(', ')
+                        : i18n.t('groups.noFault')
+                })}
+            </li>
+        `).join('');
+
+        return `
+            <div class="arrow-groups">
+                <h4>${i18n.t('groups.title')}</h4>
+                <div class="arrow-entry">
+                    ${TargetFace.svg(group.face, group.points, {
+                        centroid: stats.centroid,
+                        fliers: stats.fliers.map(flier => group.points[group.shots.indexOf(flier.shot)])
+                    })}
+                    <div class="arrow-entry-info">
+                        <strong>${i18n.t('groups.session', { count: stats.arrows })}</strong>
+                        <p class="muted">${UIController.groupSizeText(stats)}</p>
+                        ${sightText ? `<p class="group-sight">${sightText}</p>` : ''}
+                    </div>
                 </div>
+                ${flierRows ? `<ul class="group-fliers">${flierRows}</ul>` : ''}
+            </div>
+        `;
+    }
 
-                <div class="timestamp">
-                    Shot captured at ${new Date(shotSummary.timestamp).toLocaleTimeString()}
+    /**
+     * One line per end: form average, arrow total with the running total,
+     * and how the end's arrows grouped
+     */
+    renderEnds(shots) {
+        const ended = shots.filter(shot => !shot.archer);
+        const history = new ShotHistory();
+        history.load(ended);
+        const ends = history.getEndStats();
+        if (ends.length === 0) return '';
+
+        const groups = new Map(ArrowGroup.byEnd(ended).map(({ end, group }) => [end, group.getStats()]));
+        const rows = ends.map(end => {
+            const group = groups.get(end.end);
+            const totals = [i18n.t('rounds.formAverage', { score: end.averageScore })];
+            if (end.arrowsScored > 0) {
+                totals.push(i18n.t('rounds.endTotal', { total: end.arrowTotal, scored: end.arrowsScored, shots: end.shots }));
+                totals.push(i18n.t('rounds.runningTotal', { total: end.runningTotal }));
+            }
+            return `
+                <div class="history-end">
+                    <span class="history-shot-number">${i18n.t('rounds.end', { number: end.end })}</span>
+                    <span>${totals.join(' • ')}</span>
+                    <span class="muted">${group ? UIController.groupSizeText(group) : ''}${group && group.fliers.length > 0
+                        ? ` • ${i18n.t('groups.fliers', { count: group.fliers.length })}`
+                        : ''}</span>
                 </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="history-ends">
+                <h4>${i18n.t('rounds.ends')}</h4>
+                ${rows}
             </div>
         `;
+    }
 
-        modal.classList.add('active');
+    closeHistoryModal() {
+        const modal = document.getElementById('historyModal');
+        if (modal) modal.classList.remove('active');
     }
 
     // Toggle form panel collapse
@@ -239,13 +1286,13 @@ class UIController {
     }
 
     // Show upgrade prompt for free tier users
-    showUpgradePrompt() {
-        const message = "You've reached your free tier limit (5 shots). Upgrade to Pro for unlimited shots and advanced features!";
+    showUpgradePrompt(maxShots = CONFIG.tiers.free.maxShots) {
+        const message = i18n.t('tier.limitReached', { count: maxShots });
         this.updateStatusBar(message);
         
         // Optional: Show modal or toast notification
-        if (confirm(message + '\n\nWould you like to learn more about Pro?')) {
-            window.location.href = '/pricing'; // Redirect to pricing page
+        if (confirm(`${message}\n\n${i18n.t('tier.learnMore')}`)) {
+            window.location.href = 'pricing.html'; // Redirect to pricing page
         }
     }
 
@@ -275,6 +1322,7 @@ class UIController {
 function closeModal() {
     const modal = document.getElementById('shotModal');
     if (modal) modal.classList.remove('active');
+    if (window.uiController) window.uiController.releaseReplay();
 }
 
 function nextShot() {
@@ -286,6 +1334,18 @@ function nextShot() {
     }
 }
 
+function closeHistoryModal() {
+    if (window.uiController) {
+        window.uiController.closeHistoryModal();
+    }
+}
+
+function closeCompareModal() {
+    if (window.uiController) {
+        window.uiController.closeCompareModal();
+    }
+}
+
 function togglePanel() {
     if (window.uiController) {
         window.uiController.togglePanel();
@@ -293,19 +1353,5 @@ function togglePanel() {
 }
 
 function showLogin() {
-    alert('Login functionality coming soon!\n\nFor now, enjoy the free tier with 5 shots per session.');
+    window.location.href = 'login.html';
 }
-
-function viewHistory() {
-    if (window.shotHistory) {
-        const stats = window.shotHistory.getStats();
-        if (stats) {
-            alert(`Session Statistics:\n\n` +
-                  `Total Shots: ${stats.totalShots}\n` +
-                  `Average Score: ${stats.averageScore}%\n` +
-                  `Common Errors: ${stats.commonErrors.map(e => e.type).join(', ') || 'None'}`);
-        } else {
-            alert('No shots recorded in this session yet.');
-        }
-    }
-}
\ No newline at end of file
@@ -0,0 +1,165 @@
+// OneShot.pro Video File Analyzer
+// Steps through a recorded MP4/WebM frame by frame, feeding each frame to
+// MediaPipe Pose, and keeps the landmarks so the timeline can be scrubbed
+
+class VideoFileAnalyzer {
+    /**
+     * @param {HTMLVideoElement} videoElement - element the file is loaded into
+     * @param {Function} sendFrame - async (video) => void; resolves once the frame's pose results are handled
+     */
+    constructor(videoElement, sendFrame, videoConfig = CONFIG.videoAnalysis) {
+        this.video = videoElement;
+        this.sendFrame = sendFrame;
+        this.config = videoConfig;
+        this.objectUrl = null;
+        this.reset();
+    }
+
+    reset() {
+        this.active = false;
+        this.running = false;
+        this.finished = false;
+        this.fileName = null;
+        this.duration = 0;      // ms
+        this.position = 0;      // ms of footage analyzed so far
+        this.frameTime = 0;     // ms timestamp of the frame being processed
+        this.frames = [];       // { time, landmarks, worldLandmarks } in time order
+        this.onProgress = null;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    // Resolve on the next occurrence of an element event, reject on any of failEvents
+    static once(element, eventName, failEvents = ['error']) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                element.removeEventListener(eventName, onEvent);
+                failEvents.forEach(name => element.removeEventListener(name, onError));
+            };
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('This video could not be decoded'));
+            };
+            element.addEventListener(eventName, onEvent);
+            failEvents.forEach(name => element.addEventListener(name, onError));
+        });
+    }
+
+    /**
+     * Load a file into the video element
+     * @returns {Promise<Object>} { width, height, duration } (duration in ms)
+     */
+    async load(file) {
+        if (file.type && this.video.canPlayType(file.type) === '') {
+            throw new Error(`Unsupported video format: ${file.type}`);
+        }
+
+        this.unload();
+        this.objectUrl = URL.createObjectURL(file);
+
+        this.video.srcObject = null;
+        this.video.autoplay = false;
+        this.video.muted = true;
+        const loaded = VideoFileAnalyzer.once(this.video, 'loadedmetadata');
+        this.video.src = this.objectUrl;
+        await loaded;
+
+        this.active = true;
+        this.fileName = file.name;
+        this.duration = Math.round(this.video.duration * 1000);
+
+        return {
+            width: this.video.videoWidth,
+            height: this.video.videoHeight,
+            duration: this.duration
+        };
+    }
+
+    async seek(timeMs) {
+        // 'emptied' means the file was unloaded mid-seek
+        const seeked = VideoFileAnalyzer.once(this.video, 'seeked', ['error', 'emptied']);
+        this.video.currentTime = timeMs / 1000;
+        await seeked;
+    }
+
+    /**
+     * Analyze from the current position to the end of the file.
+     * Resolves true when the whole file has been processed, false if paused.
+     */
+    async analyze() {
+        const step = 1000 / this.config.fps;
+        this.running = true;
+
+        while (this.running && this.position <= this.duration) {
+            await this.seek(this.position);
+            if (!this.running) break;
+            this.frameTime = Math.round(this.position);
+            await this.sendFrame(this.video);
+
+            if (this.onProgress) this.onProgress(this.position, this.duration);
+            this.position += step;
+        }
+
+        this.finished = this.position > this.duration;
+        this.running = false;
+        return this.finished;
+    }
+
+    pause() {
+        this.running = false;
+    }
+
+    recordFrame(landmarks, worldLandmarks = null) {
+        this.frames.push({ time: this.frameTime, landmarks, worldLandmarks });
+    }
+
+    /**
+     * Stored frame closest to a time (binary search over the analyzed frames)
+     */
+    frameAt(timeMs) {
+        if (this.frames.length === 0) return null;
+
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.frames[mid].time < timeMs) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        if (low > 0 && timeMs - this.frames[low - 1].time < this.frames[low].time - timeMs) {
+            low--;
+        }
+        return this.frames[low];
+    }
+
+    unload() {
+        this.running = false;
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video.autoplay = true;
+        }
+        this.reset();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoFileAnalyzer;
+}
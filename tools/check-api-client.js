@@ -0,0 +1,221 @@
+// OneShot.pro API Client Check
+// Runs ApiClient against the mock API server in this process: login, the
+// session/shot round trip, draining the offline queue after the server
+// comes back, and expired or rejected tokens.
+//
+//   node tools/check-api-client.js
+//
+// Exits non-zero on the first failing step.
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+const { CONFIG } = require('../static/JS/config.js');
+const { createServer, seedDemoUsers, db } = require('./mock-api-server.js');
+const { ApiClient, ApiError } = require('../static/JS/api-client.js');
+
+const DEMO_PASSWORD = 'oneshot123';
+
+// localStorage stand-in
+class MemoryStore {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function listen(server, port = 0) {
+    return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function stop(server) {
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+}
+
+function createClient(port) {
+    return new ApiClient({ ...CONFIG.api, baseUrl: `http://127.0.0.1:${port}${CONFIG.api.baseUrl}` }, new MemoryStore());
+}
+
+// An unsigned token with the given expiry (seconds since the epoch)
+function fakeToken(exp) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: 'nobody', exp })}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// A captured shot summary as app.js stores it
+function localShot(sessionId, sequenceNumber) {
+    return {
+        id: crypto.randomUUID(),
+        sessionId,
+        timestamp: new Date().toISOString(),
+        sequenceNumber,
+        end: 1,
+        arrowNumber: sequenceNumber,
+        metrics: { shoulderLineDeg: 4.2, bowElbowDeg: 171.5, anchorRatio: 0.21, confidence: 0.93 },
+        evaluation: {
+            shoulderLine: { name: 'Shoulder Level', value: 4.2, threshold: 10, pass: true },
+            anchor: { name: 'Punto de anclaje', value: 0.31, threshold: 0.25, pass: false }
+        },
+        // Captured with the interface in Spanish: the display name is localized
+        errors: [{ key: 'anchor', type: 'Punto de anclaje', severity: 'medium', value: 0.31, threshold: 0.25 }],
+        feedback: { detail: 'Good form.', type: 'success' },
+        overallScore: 88
+    };
+}
+
+const steps = [];
+
+function step(name, run) {
+    steps.push({ name, run });
+}
+
+async function main() {
+    seedDemoUsers();
+    const server = createServer();
+    const port = await listen(server);
+    const client = createClient(port);
+    const localSession = { id: crypto.randomUUID(), targetDistance: 18, round: CONFIG.rounds.default };
+    let remoteSessionId = null;
+
+    step('login with a demo account', async () => {
+        const user = await client.login('pro@oneshot.pro', DEMO_PASSWORD);
+        assert.strictEqual(user.email, 'pro@oneshot.pro');
+        assert.ok(client.isAuthenticated());
+        assert.strictEqual(client.getTier(), 'pro');
+    });
+
+    step('reject a wrong password', async () => {
+        const other = createClient(port);
+        await assert.rejects(other.login('pro@oneshot.pro', 'wrong-password'),
+            error => error instanceof ApiError && error.status === 401);
+        assert.ok(!other.isAuthenticated());
+    });
+
+    step('sync a session and its shots', async () => {
+        await client.syncSessionStart(localSession);
+        remoteSessionId = client.remoteIds[localSession.id];
+        assert.ok(remoteSessionId, 'session was created on the server');
+
+        const shot = localShot(localSession.id, 1);
+        await client.syncShot(shot);
+        assert.strictEqual(client.getPendingCount(), 0);
+
+        const shots = await client.getSessionShots(remoteSessionId);
+        assert.strictEqual(shots.length, 1);
+        assert.strictEqual(shots[0].id, shot.id);
+        assert.strictEqual(shots[0].score, 88);
+        assert.strictEqual(shots[0].poseMetrics.anchorRatio, 0.21);
+        assert.strictEqual(shots[0].errors[0].type, 'anchor', 'errors are sent by check key');
+    });
+
+    step('drain the offline queue once the server is back', async () => {
+        await stop(server);
+
+        const shot = localShot(localSession.id, 2);
+        await client.syncShot(shot);
+        assert.strictEqual(client.getPendingCount(), 1, 'shot stays queued while offline');
+        assert.strictEqual(client.queue[0].attempts, 1);
+        assert.ok(client.retryTimer, 'a retry is scheduled');
+
+        await listen(server, port);
+        await client.flush();
+        assert.strictEqual(client.getPendingCount(), 0);
+        assert.strictEqual(client.retryTimer, null);
+
+        const shots = await client.getSessionShots(remoteSessionId);
+        assert.deepStrictEqual(shots.map(s => s.sequenceNumber), [1, 2]);
+    });
+
+    step('end the session with a summary', async () => {
+        await client.syncSessionEnd({ ...localSession, endTime: new Date().toISOString() });
+        const session = await client.getSession(remoteSessionId);
+        assert.ok(session.endTime);
+        assert.strictEqual(session.summary.totalShots, 2);
+        assert.strictEqual(client.remoteIds[localSession.id], undefined);
+    });
+
+    step('keep other archers from overwriting a shot', async () => {
+        const [shot] = await client.getSessionShots(remoteSessionId);
+        const other = createClient(port);
+        await other.login('free@oneshot.pro', DEMO_PASSWORD);
+        const session = await other.request('POST', CONFIG.api.endpoints.sessions, {});
+
+        await assert.rejects(other.request('POST', CONFIG.api.endpoints.shots, { id: shot.id, sessionId: session.id, score: 0 }),
+            error => error.status === 409);
+        assert.strictEqual(db.shots.get(shot.id).score, 88);
+    });
+
+    step('only store numbers in numeric shot fields', async () => {
+        const shot = ApiClient.toShotPayload(localShot(localSession.id, 3));
+        const post = body => client.request('POST', CONFIG.api.endpoints.shots, { ...shot, ...body, sessionId: remoteSessionId });
+
+        await assert.rejects(post({ score: '<img src=x onerror=alert(1)>' }), error => error.status === 400);
+        await assert.rejects(post({ sequenceNumber: '3' }), error => error.status === 400);
+        await assert.rejects(post({ poseMetrics: { anchorRatio: '0.2' } }), error => error.status === 400);
+        assert.ok(!db.shots.has(shot.id));
+    });
+
+    step('treat an expired token as signed out', async () => {
+        const expired = createClient(port);
+        expired.setAuth(fakeToken(Math.floor(Date.now() / 1000) - 60), { id: 'nobody', tier: 'pro' });
+
+        assert.ok(!expired.isAuthenticated());
+        assert.strictEqual(expired.getUser(), null);
+        assert.strictEqual(expired.getTier(), 'free');
+        await assert.rejects(expired.getSessions(), error => error.status === 401 && error.code === 'unauthenticated');
+
+        // Nothing is queued for a signed-out archer
+        await expired.syncSessionStart(localSession);
+        assert.strictEqual(expired.getPendingCount(), 0);
+    });
+
+    step('sign out and keep queued writes when the server rejects the token', async () => {
+        const rejected = createClient(port);
+        rejected.setAuth(fakeToken(Math.floor(Date.now() / 1000) + 3600), { id: 'nobody', tier: 'pro' });
+        assert.ok(rejected.isAuthenticated());
+
+        await rejected.syncSessionStart(localSession);
+        assert.ok(!rejected.isAuthenticated(), 'auth is cleared after a 401');
+        assert.strictEqual(rejected.getPendingCount(), 1, 'the write waits for the next login');
+    });
+
+    step('answer a malformed bearer token with 401', async () => {
+        const response = await fetch(`http://127.0.0.1:${port}${CONFIG.api.baseUrl}/sessions`, {
+            headers: { Authorization: 'Bearer not.a-token' }
+        });
+        assert.strictEqual(response.status, 401);
+    });
+
+    let failed = false;
+    for (const { name, run } of steps) {
+        try {
+            await run();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            console.error(`not ok - ${name}`);
+            console.error(error);
+            failed = true;
+            break;
+        }
+    }
+
+    clearTimeout(client.retryTimer);
+    await stop(server);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
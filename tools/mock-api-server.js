@@ -0,0 +1,643 @@
+// OneShot.pro Mock API Server
+// In-memory implementation of oneshot_api_spec.txt for local development.
+// Also serves the front end so the app and API share an origin.
+//
+//   node tools/mock-api-server.js [--port 8080]
+//   open http://localhost:8080/HTML/index.html
+//
+// Data lives in memory and is lost when the server stops; stopping it is
+// also the easiest way to exercise the client's offline queue.
+// Demo accounts for each tier (password: oneshot123):
+//   free@oneshot.pro, pro@oneshot.pro, club@oneshot.pro
+// The club account coaches the free and pro accounts; all three are members
+// of one demo club.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The progress endpoint reuses the dashboard's calculations
+const { CONFIG, Utils } = require('../static/JS/config.js');
+global.CONFIG = CONFIG;
+global.Utils = Utils;
+const { MetricRegistry, metricRegistry } = require('../static/JS/metric-registry.js');
+global.MetricRegistry = MetricRegistry;
+global.metricRegistry = metricRegistry;
+const { ProgressAnalytics } = require('../static/JS/analytics.js');
+const ShotHistory = require('../static/JS/shot-history.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_PREFIX = '/api/v1';
+const TOKEN_SECRET = crypto.randomBytes(32);
+const TOKEN_TTL = 24 * 60 * 60; // seconds
+const DEMO_PASSWORD = 'oneshot123';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+const db = {
+    users: new Map(),      // id → { ...User, passwordHash, salt }
+    sessions: new Map(),   // id → Session
+    shots: new Map(),      // id → Shot
+    coaches: new Map(),    // id → Coach
+    clubs: new Map(),      // id → Club
+    comments: new Map()    // id → Comment
+};
+
+class HttpError extends Error {
+    constructor(status, code, message, details = undefined) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// --- JWT (HS256) ---
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: user.id, tier: user.tier, iat: now, exp: now + TOKEN_TTL }));
+    const signature = base64url(crypto.createHmac('sha256', TOKEN_SECRET).update(`${header}.${payload}`).digest());
+    return `${header}.${payload}.${signature}`;
+}
+
+function verifyToken(token) {
+    const [header, payload, signature] = (token || '').split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', TOKEN_SECRET).update(`${header}.${payload}`).digest());
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64').toString());
+    } catch (error) {
+        return null;
+    }
+    return claims && claims.exp * 1000 > Date.now() ? claims : null;
+}
+
+function authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const claims = match && verifyToken(match[1]);
+    const user = claims && db.users.get(claims.sub);
+    if (!user) {
+        throw new HttpError(401, 'unauthorized', 'Missing or invalid token');
+    }
+    return user;
+}
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function publicUser(user) {
+    const { passwordHash, salt, ...rest } = user;
+    return rest;
+}
+
+// --- Helpers ---
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            if (!data) return resolve({});
+            try {
+                resolve(JSON.parse(data));
+            } catch (error) {
+                reject(new HttpError(400, 'invalid_json', 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function ownedSession(user, sessionId) {
+    const session = db.sessions.get(sessionId);
+    if (!session || session.userId !== user.id) {
+        throw new HttpError(404, 'not_found', 'Session not found');
+    }
+    return session;
+}
+
+// Coaches can read their students' sessions, shots and progress
+function coaches(user, studentId) {
+    const coach = user.coachId && db.coaches.get(user.coachId);
+    return !!coach && coach.students.includes(studentId);
+}
+
+function canView(user, ownerId) {
+    return ownerId === user.id || coaches(user, ownerId);
+}
+
+function viewableSession(user, sessionId) {
+    const session = db.sessions.get(sessionId);
+    if (!session || !canView(user, session.userId)) {
+        throw new HttpError(404, 'not_found', 'Session not found');
+    }
+    return session;
+}
+
+// The userId query parameter, defaulting to the caller
+function viewableUserId(user, userId) {
+    const id = userId || user.id;
+    if (!canView(user, id)) {
+        throw new HttpError(403, 'forbidden', 'Only your coaches can view your training data');
+    }
+    return id;
+}
+
+function viewableShot(user, shotId) {
+    const shot = db.shots.get(shotId);
+    const session = shot && db.sessions.get(shot.sessionId);
+    if (!session || !canView(user, session.userId)) {
+        throw new HttpError(404, 'not_found', 'Shot not found');
+    }
+    return { shot, session };
+}
+
+function sessionShots(sessionId) {
+    return [...db.shots.values()]
+        .filter(shot => shot.sessionId === sessionId)
+        .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+}
+
+function userSessions(userId) {
+    return [...db.sessions.values()].filter(session => session.userId === userId);
+}
+
+// Shots in the shape the dashboard's ProgressAnalytics and ShotHistory expect
+function analyticsShots(sessions) {
+    return sessions.flatMap(session => sessionShots(session.id)).map(shot => ({
+        ...shot,
+        overallScore: shot.score,
+        metrics: shot.poseMetrics || {},
+        errors: shot.errors || []
+    }));
+}
+
+/**
+ * One club member's activity and form over a period
+ * @param {ShotHistory} team - collects the member's shots for team-wide stats
+ */
+function memberStats(member, period, team) {
+    const sessions = userSessions(member.id);
+    const analytics = new ProgressAnalytics(sessions, analyticsShots(sessions));
+    const shots = analytics.getShotsInPeriod(period);
+    shots.forEach(shot => team.addShot(shot));
+
+    const progress = analytics.getProgress(period);
+    const activeSince = Date.now() - CONFIG.clubs.activeSessionHours * 60 * 60 * 1000;
+    const lastActive = sessions.map(session => session.startTime)
+        .concat(analytics.shots.map(shot => shot.timestamp))
+        .sort().pop() || null;
+
+    return {
+        userId: member.id,
+        name: member.name,
+        bowType: member.profile.bowType || null,
+        experience: member.profile.experience || null,
+        sessions: new Set(shots.map(shot => shot.sessionId)).size,
+        totalShots: progress.totalShots,
+        averageScore: progress.averageScore,
+        improvementRate: progress.improvementRate,
+        activeSessions: sessions.filter(session =>
+            !session.endTime && new Date(session.startTime).getTime() >= activeSince).length,
+        lastActive
+    };
+}
+
+// --- Routes ---
+
+const routes = [];
+
+function route(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/\{(\w+)\}/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    }) + '$');
+    routes.push({ method, regex, keys, handler });
+}
+
+function createUser(email, password, name, tier = 'free') {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+    const user = {
+        id: crypto.randomUUID(),
+        email: email.toLowerCase(),
+        name,
+        tier,
+        profile: {},
+        createdAt: now,
+        updatedAt: now,
+        salt,
+        passwordHash: hashPassword(password, salt)
+    };
+    db.users.set(user.id, user);
+    return user;
+}
+
+function createCoach(user, studentIds = []) {
+    const coach = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        certifications: [],
+        specializations: [],
+        students: studentIds,
+        rating: null
+    };
+    db.coaches.set(coach.id, coach);
+    user.coachId = coach.id;
+    return coach;
+}
+
+function createClub(name, admin, members = []) {
+    const club = {
+        id: crypto.randomUUID(),
+        name,
+        adminId: admin.id,
+        members: [admin, ...members].map(member => member.id),
+        coaches: admin.coachId ? [admin.coachId] : [],
+        subscription: { tier: 'club', status: 'active', startDate: new Date().toISOString(), autoRenew: true }
+    };
+    db.clubs.set(club.id, club);
+    [admin, ...members].forEach(member => { member.clubId = club.id; });
+    return club;
+}
+
+function seedDemoUsers() {
+    const users = {};
+    Object.keys(CONFIG.tiers).forEach(tier => {
+        users[tier] = createUser(`${tier}@oneshot.pro`, DEMO_PASSWORD, `${CONFIG.tiers[tier].name} Archer`, tier);
+    });
+    createCoach(users.club, [users.free.id, users.pro.id]);
+    createClub('OneShot Demo Club', users.club, [users.free, users.pro]);
+}
+
+route('POST', '/auth/register', async (req) => {
+    const { email, password, name } = await readBody(req);
+    if (!email || !/^[^@\s]+@[^@\s]+$/.test(email) || !name || !password || password.length < 8) {
+        throw new HttpError(400, 'invalid_input', 'Name, a valid email and a password of at least 8 characters are required');
+    }
+    if ([...db.users.values()].some(user => user.email === email.toLowerCase())) {
+        throw new HttpError(400, 'email_taken', 'An account with this email already exists');
+    }
+
+    const user = createUser(email, password, name);
+    return [201, { user: publicUser(user), token: signToken(user) }];
+});
+
+route('POST', '/auth/login', async (req) => {
+    const { email, password } = await readBody(req);
+    const user = [...db.users.values()].find(u => u.email === String(email || '').toLowerCase());
+    if (!user || hashPassword(String(password || ''), user.salt) !== user.passwordHash) {
+        throw new HttpError(401, 'invalid_credentials', 'Invalid email or password');
+    }
+    return [200, { user: publicUser(user), token: signToken(user) }];
+});
+
+route('GET', '/users/{userId}', async (req, params) => {
+    const user = authenticate(req);
+    if (params.userId !== user.id) {
+        throw new HttpError(403, 'forbidden', 'You can only view your own profile');
+    }
+    return [200, publicUser(user)];
+});
+
+route('PUT', '/users/{userId}', async (req, params) => {
+    const user = authenticate(req);
+    if (params.userId !== user.id) {
+        throw new HttpError(403, 'forbidden', 'You can only update your own profile');
+    }
+    user.profile = { ...user.profile, ...(await readBody(req)) };
+    user.updatedAt = new Date().toISOString();
+    return [200, publicUser(user)];
+});
+
+route('POST', '/sessions', async (req) => {
+    const user = authenticate(req);
+    const { targetDistance, environment, round } = await readBody(req);
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        startTime: new Date().toISOString(),
+        endTime: null,
+        duration: 0,
+        shotCount: 0,
+        targetDistance: targetDistance !== undefined ? targetDistance : null,
+        round: CONFIG.rounds.templates[round] ? round : CONFIG.rounds.default,
+        environment: environment || null,
+        summary: null
+    };
+    db.sessions.set(session.id, session);
+    return [201, session];
+});
+
+route('GET', '/sessions', async (req, params, query) => {
+    const userId = viewableUserId(authenticate(req), query.get('userId'));
+    const limit = parseInt(query.get('limit') || '20', 10);
+    const offset = parseInt(query.get('offset') || '0', 10);
+    const sessions = [...db.sessions.values()]
+        .filter(session => session.userId === userId)
+        .sort((a, b) => b.startTime.localeCompare(a.startTime));
+    return [200, { sessions: sessions.slice(offset, offset + limit), total: sessions.length }];
+});
+
+route('GET', '/sessions/{sessionId}', async (req, params) => {
+    return [200, viewableSession(authenticate(req), params.sessionId)];
+});
+
+route('PATCH', '/sessions/{sessionId}', async (req, params) => {
+    const session = ownedSession(authenticate(req), params.sessionId);
+    const { endTime } = await readBody(req);
+    if (endTime) {
+        session.endTime = endTime;
+        session.duration = Math.round((new Date(endTime) - new Date(session.startTime)) / 1000);
+    }
+
+    const scores = sessionShots(session.id).map(shot => shot.score);
+    const errorDistribution = {};
+    sessionShots(session.id).forEach(shot => {
+        (shot.errors || []).forEach(error => {
+            errorDistribution[error.type] = (errorDistribution[error.type] || 0) + 1;
+        });
+    });
+    const history = new ShotHistory();
+    history.load(analyticsShots([session]));
+    session.summary = {
+        averageScore: scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0,
+        totalShots: scores.length,
+        errorDistribution,
+        ends: history.getEndStats()
+    };
+    return [200, session];
+});
+
+route('POST', '/shots', async (req) => {
+    const user = authenticate(req);
+    const body = await readBody(req);
+    const session = ownedSession(user, body.sessionId);
+
+    // Coaches see these fields rendered, so only numbers are stored
+    const count = value => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+    const number = value => value === undefined || value === null || Number.isFinite(value);
+    const metrics = body.poseMetrics === undefined ? {} : body.poseMetrics;
+    const errors = body.errors === undefined ? [] : body.errors;
+    if (!count(body.sequenceNumber) || !count(body.end) || !count(body.arrowNumber)
+        || !number(body.score) || body.score < 0 || body.score > 100
+        || !metrics || typeof metrics !== 'object' || !Object.values(metrics).every(number)
+        || !Array.isArray(errors) || !errors.every(error => error && number(error.value) && number(error.threshold))) {
+        throw new HttpError(400, 'invalid_input',
+            'sequenceNumber, end and arrowNumber must be positive integers, score a number from 0 to 100, and pose metric and error values numbers');
+    }
+
+    // Client-supplied ids make retried posts idempotent, for the shot's own archer only
+    const existing = body.id && db.shots.get(body.id);
+    const owner = existing && db.sessions.get(existing.sessionId);
+    if (existing && (!owner || owner.userId !== user.id)) {
+        throw new HttpError(409, 'id_conflict', 'A shot with this id already exists');
+    }
+
+    const shot = { ...body, id: body.id || crypto.randomUUID(), timestamp: body.timestamp || new Date().toISOString() };
+    db.shots.set(shot.id, shot);
+    session.shotCount = sessionShots(session.id).length;
+    return [201, shot];
+});
+
+// Arrows are usually entered after the end, so they arrive after the shot itself
+route('PATCH', '/shots/{shotId}', async (req, params) => {
+    const user = authenticate(req);
+    const { shot, session } = viewableShot(user, params.shotId);
+    if (session.userId !== user.id) {
+        throw new HttpError(403, 'forbidden', 'Only the archer can record where their arrows landed');
+    }
+
+    const { arrow } = await readBody(req);
+    if (arrow === null) {
+        delete shot.arrow;
+        return [200, shot];
+    }
+
+    const position = value => value === null || value === undefined || Number.isFinite(value);
+    if (!arrow || !CONFIG.targets.faces[arrow.targetFace] || !Number.isInteger(arrow.targetScore)
+        || arrow.targetScore < 0 || arrow.targetScore > 10 || !position(arrow.impactX) || !position(arrow.impactY)) {
+        throw new HttpError(400, 'invalid_input',
+            `arrow needs a targetFace (${Object.keys(CONFIG.targets.faces).join(', ')}) and a targetScore from 0 to 10`);
+    }
+
+    shot.arrow = {
+        ...shot.arrow,
+        targetFace: arrow.targetFace,
+        targetScore: arrow.targetScore,
+        isX: !!arrow.isX,
+        impactX: arrow.impactX === undefined ? null : arrow.impactX,
+        impactY: arrow.impactY === undefined ? null : arrow.impactY
+    };
+    return [200, shot];
+});
+
+route('GET', '/sessions/{sessionId}/shots', async (req, params) => {
+    const session = viewableSession(authenticate(req), params.sessionId);
+    return [200, sessionShots(session.id)];
+});
+
+route('GET', '/shots/{shotId}/comments', async (req, params) => {
+    const { shot } = viewableShot(authenticate(req), params.shotId);
+    const comments = [...db.comments.values()]
+        .filter(comment => comment.shotId === shot.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return [200, comments];
+});
+
+route('POST', '/shots/{shotId}/comments', async (req, params) => {
+    const user = authenticate(req);
+    const { shot, session } = viewableShot(user, params.shotId);
+    if (!coaches(user, session.userId)) {
+        throw new HttpError(403, 'forbidden', "Only the archer's coaches can comment on a shot");
+    }
+
+    const { text } = await readBody(req);
+    if (!text || !String(text).trim() || String(text).length > CONFIG.coaching.maxCommentLength) {
+        throw new HttpError(400, 'invalid_input',
+            `Comment text is required and limited to ${CONFIG.coaching.maxCommentLength} characters`);
+    }
+
+    const comment = {
+        id: crypto.randomUUID(),
+        shotId: shot.id,
+        authorId: user.id,
+        authorName: user.name,
+        text: String(text).trim(),
+        createdAt: new Date().toISOString()
+    };
+    db.comments.set(comment.id, comment);
+    return [201, comment];
+});
+
+route('GET', '/analytics/progress', async (req, params, query) => {
+    const userId = viewableUserId(authenticate(req), query.get('userId'));
+    const period = query.get('period') || 'month';
+    if (!CONFIG.analytics.periods[period]) {
+        throw new HttpError(400, 'invalid_period', 'Period must be week, month or year');
+    }
+
+    const sessions = userSessions(userId);
+    return [200, new ProgressAnalytics(sessions, analyticsShots(sessions)).getProgress(period)];
+});
+
+route('GET', '/coaches/{coachId}/students', async (req, params) => {
+    const user = authenticate(req);
+    const coach = db.coaches.get(params.coachId);
+    if (!coach || coach.userId !== user.id) {
+        throw new HttpError(403, 'forbidden', 'You can only view your own students');
+    }
+    return [200, coach.students.map(id => db.users.get(id)).filter(Boolean).map(publicUser)];
+});
+
+route('GET', '/clubs/{clubId}/dashboard', async (req, params, query) => {
+    const user = authenticate(req);
+    const club = db.clubs.get(params.clubId);
+    if (!club || !club.members.includes(user.id)) {
+        throw new HttpError(404, 'not_found', 'Club not found');
+    }
+    if (!CONFIG.tiers[user.tier].features.includes('team_dashboard')) {
+        throw new HttpError(403, 'forbidden', 'The team dashboard is part of the Club plan');
+    }
+
+    const period = query.get('period') || 'month';
+    if (!CONFIG.analytics.periods[period]) {
+        throw new HttpError(400, 'invalid_period', 'Period must be week, month or year');
+    }
+
+    // Filters match the archer profile each member's app keeps up to date
+    const bowType = query.get('bowType');
+    const experience = query.get('experience');
+    const members = club.members.map(id => db.users.get(id)).filter(member => member &&
+        (!bowType || member.profile.bowType === bowType) &&
+        (!experience || member.profile.experience === experience));
+
+    const team = new ShotHistory();
+    const leaderboard = members.map(member => memberStats(member, period, team))
+        .sort((a, b) => b.averageScore - a.averageScore || b.totalShots - a.totalShots);
+    const stats = team.getStats();
+
+    return [200, {
+        club: { id: club.id, name: club.name },
+        period,
+        members: members.length,
+        activeMembers: leaderboard.filter(member => member.totalShots > 0).length,
+        activeSessions: leaderboard.reduce((sum, member) => sum + member.activeSessions, 0),
+        totalShots: stats ? stats.totalShots : 0,
+        averageScore: stats ? stats.averageScore : 0,
+        leaderboard,
+        // The API names a fault by its check key in `type`, as on shot errors
+        commonErrors: team.getCommonErrors(CONFIG.clubs.commonErrors).map(({ key, ...error }) => ({ type: key, ...error }))
+    }];
+});
+
+// --- Server ---
+
+async function handleApi(req, res, url) {
+    const apiPath = url.pathname.slice(API_PREFIX.length) || '/';
+    const candidates = routes.filter(r => r.regex.test(apiPath));
+    if (candidates.length === 0) {
+        throw new HttpError(404, 'not_found', `No route for ${apiPath}`);
+    }
+
+    const match = candidates.find(r => r.method === req.method);
+    if (!match) {
+        throw new HttpError(405, 'method_not_allowed', `${req.method} not allowed on ${apiPath}`);
+    }
+
+    const values = match.regex.exec(apiPath).slice(1);
+    const params = {};
+    match.keys.forEach((key, i) => { params[key] = decodeURIComponent(values[i]); });
+
+    const [status, body] = await match.handler(req, params, url.searchParams);
+    sendJson(res, status, body);
+}
+
+function serveStatic(req, res, url) {
+    const filePath = path.join(ROOT, decodeURIComponent(url.pathname === '/' ? '/HTML/home.html' : url.pathname));
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function createServer() {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        if (!url.pathname.startsWith(API_PREFIX + '/') && url.pathname !== API_PREFIX) {
+            return serveStatic(req, res, url);
+        }
+
+        try {
+            await handleApi(req, res, url);
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error(error);
+            sendJson(res, status, {
+                code: error.code || 'internal_error',
+                message: error.message,
+                details: error.details
+            });
+        }
+    });
+}
+
+if (require.main === module) {
+    const portFlag = process.argv.indexOf('--port');
+    const port = portFlag !== -1 ? parseInt(process.argv[portFlag + 1], 10) : (parseInt(process.env.PORT, 10) || 8080);
+
+    seedDemoUsers();
+    createServer().listen(port, () => {
+        console.log(`OneShot.pro mock API on http://localhost:${port}${API_PREFIX}`);
+        console.log(`App: http://localhost:${port}/HTML/index.html`);
+    });
+}
+
+module.exports = { createServer, seedDemoUsers, db };